@@ -53,6 +53,7 @@ async function main() {
       name: 'Admin User',
       password: passwordHash,
       tier: 'ENTERPRISE',
+      role: 'ADMIN',
       status: 'ACTIVE',
     },
   });
@@ -94,7 +95,10 @@ async function main() {
       keyPrefix: testApiKey.substring(0, 16),
       tier: 'ENTERPRISE',
       status: 'ACTIVE',
-      permissions: ['read', 'write', 'admin'],
+      permissions: [
+        'solana:read', 'solana:write', 'polymarket:read',
+        'zk:prove', 'workflows:execute', 'webhooks:manage',
+      ],
       rateLimit: 10000,
     },
   });
@@ -110,7 +114,7 @@ async function main() {
       keyPrefix: proApiKey.substring(0, 16),
       tier: 'PRO',
       status: 'ACTIVE',
-      permissions: ['read', 'write'],
+      permissions: ['solana:read', 'polymarket:read', 'zk:prove', 'workflows:execute', 'webhooks:manage'],
       rateLimit: 1000,
     },
   });
@@ -126,7 +130,7 @@ async function main() {
       keyPrefix: freeApiKey.substring(0, 16),
       tier: 'FREE',
       status: 'ACTIVE',
-      permissions: ['read'],
+      permissions: ['solana:read', 'polymarket:read'],
       rateLimit: 100,
     },
   });
@@ -1,13 +1,49 @@
 /**
  * PM2 Cluster Mode for Production
  * Runs multiple worker processes
+ *
+ * With ENABLE_METRICS=true the master serves Prometheus metrics aggregated
+ * across all workers on METRICS_PORT (a worker's own /metrics only covers
+ * that worker).
  */
 
+require('dotenv').config();
+
 const cluster = require('cluster');
+const http = require('http');
 const os = require('os');
+const { AggregatorRegistry } = require('prom-client');
+const config = require('./config/app');
 
 const numCPUs = Math.min(os.cpus().length, 4); // Max 4 workers
 
+/**
+ * Serve cluster-wide metrics from the master process
+ */
+function startMetricsServer() {
+  const aggregatorRegistry = new AggregatorRegistry();
+
+  const server = http.createServer(async (req, res) => {
+    if (req.url !== '/metrics') {
+      res.writeHead(404);
+      return res.end('Not found');
+    }
+
+    try {
+      const metrics = await aggregatorRegistry.clusterMetrics();
+      res.writeHead(200, { 'Content-Type': aggregatorRegistry.contentType });
+      res.end(metrics);
+    } catch (error) {
+      res.writeHead(500);
+      res.end(error.message);
+    }
+  });
+
+  server.listen(config.metrics.port, () => {
+    console.log(`📈 Cluster metrics on :${config.metrics.port}/metrics`);
+  });
+}
+
 if (cluster.isMaster) {
   console.log(`🚀 Master ${process.pid} is running`);
   console.log(`📊 Starting ${numCPUs} workers...`);
@@ -17,6 +53,10 @@ if (cluster.isMaster) {
     cluster.fork();
   }
 
+  if (config.metrics.enabled) {
+    startMetricsServer();
+  }
+
   // Handle worker exit
   cluster.on('exit', (worker, code, signal) => {
     console.log(`⚠️ Worker ${worker.process.pid} died (${signal || code}). Restarting...`);
@@ -30,6 +70,6 @@ if (cluster.isMaster) {
 
 } else {
   // Workers share the TCP connection
-  require('./index.js');
+  require('./index.js').startServer();
   console.log(`👷 Worker ${process.pid} started`);
 }
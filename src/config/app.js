@@ -11,10 +11,72 @@ module.exports = {
 
   // Security
   jwtSecret: process.env.JWT_SECRET || 'development-secret-change-in-production',
-  jwtExpiry: process.env.JWT_EXPIRY || '24h',
+  jwtExpiry: process.env.JWT_EXPIRY || '15m',
+  jwtRefreshExpiry: process.env.JWT_REFRESH_EXPIRY || '7d',
   apiKeySalt: process.env.API_KEY_SALT || 'development-salt',
   bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 12,
 
+  // API key rotation (old secret stays valid for the grace period)
+  apiKeyRotation: {
+    gracePeriodHours: parseInt(process.env.API_KEY_ROTATION_GRACE_HOURS, 10) || 24,
+    maxGracePeriodHours: parseInt(process.env.API_KEY_ROTATION_MAX_GRACE_HOURS, 10) || 168,
+  },
+
+  // Signed requests (allowed clock skew; nonces are remembered for twice this long)
+  // Signing keys are derived from API keys with the pepper, which never leaves the server
+  requestSigning: {
+    maxClockSkewSeconds: parseInt(process.env.REQUEST_SIGNING_MAX_SKEW_SECONDS, 10) || 300,
+    pepper: process.env.REQUEST_SIGNING_PEPPER || 'development-pepper-change-in-production',
+  },
+
+  // Monthly quotas (Redis counters are flushed to Postgres on this interval)
+  quota: {
+    flushIntervalMs: parseInt(process.env.QUOTA_FLUSH_INTERVAL_MS, 10) || 60000,
+  },
+
+  // Per-request usage metrics (buffered and written in batches)
+  usageMetrics: {
+    batchSize: parseInt(process.env.USAGE_METRICS_BATCH_SIZE, 10) || 100,
+    flushIntervalMs: parseInt(process.env.USAGE_METRICS_FLUSH_INTERVAL_MS, 10) || 5000,
+    maxBuffer: parseInt(process.env.USAGE_METRICS_MAX_BUFFER, 10) || 10000,
+  },
+
+  // Submitted transaction tracking (PENDING -> CONFIRMED/FAILED)
+  transactionTracker: {
+    pollIntervalMs: parseInt(process.env.TX_TRACKER_POLL_INTERVAL_MS, 10) || 5000,
+    batchSize: parseInt(process.env.TX_TRACKER_BATCH_SIZE, 10) || 100,
+    commitment: process.env.TX_TRACKER_COMMITMENT || 'confirmed',
+    // Only used for transactions without a recorded blockhash
+    maxPendingMs: parseInt(process.env.TX_TRACKER_MAX_PENDING_MS, 10) || 600000,
+  },
+
+  // Watched Solana accounts (account.updated events)
+  // Uses accountSubscribe over WebSocket, and polling while it's unavailable
+  accountWatcher: {
+    enabled: process.env.ACCOUNT_WATCHER_ENABLED !== 'false',
+    wsUrl: process.env.SOLANA_WS_URL || null, // defaults to the primary RPC URL
+    commitment: process.env.ACCOUNT_WATCHER_COMMITMENT || 'confirmed',
+    pollIntervalMs: parseInt(process.env.ACCOUNT_WATCHER_POLL_INTERVAL_MS, 10) || 15000,
+    refreshIntervalMs: parseInt(process.env.ACCOUNT_WATCHER_REFRESH_INTERVAL_MS, 10) || 30000,
+  },
+
+  // Helius (primary Solana RPC, DAS and Enhanced APIs)
+  helius: {
+    apiKey: process.env.HELIUS_API_KEY || '8bff5899-6c9b-4630-92a3-2c9a23fd714f',
+  },
+
+  // Solana RPC provider pool
+  // providers: JSON array, or path to a JSON file (defaults to the HELIUS_RPC_URL / SOLANA_*_RPC_* providers)
+  rpcPool: {
+    providers: process.env.SOLANA_RPC_PROVIDERS || null,
+    probeIntervalMs: parseInt(process.env.RPC_PROBE_INTERVAL_MS, 10) || 15000,
+    probeTimeoutMs: parseInt(process.env.RPC_PROBE_TIMEOUT_MS, 10) || 5000,
+    syncIntervalMs: parseInt(process.env.RPC_HEALTH_SYNC_INTERVAL_MS, 10) || 5000,
+    maxSlotLag: parseInt(process.env.RPC_MAX_SLOT_LAG, 10) || 50,
+    failureThreshold: parseInt(process.env.RPC_FAILURE_THRESHOLD, 10) || 2,
+    cooldownMs: parseInt(process.env.RPC_FAILURE_COOLDOWN_MS, 10) || 60000,
+  },
+
   // Rate Limiting
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 60000,
@@ -9,9 +9,22 @@ const ERROR_CODES = {
   INVALID_API_KEY: 'INVALID_API_KEY',
   API_KEY_EXPIRED: 'API_KEY_EXPIRED',
   API_KEY_REVOKED: 'API_KEY_REVOKED',
+  INSUFFICIENT_SCOPE: 'INSUFFICIENT_SCOPE',
+  INVALID_TOKEN: 'INVALID_TOKEN',
+  TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+  SESSION_REQUIRED: 'SESSION_REQUIRED',
+  FORBIDDEN: 'FORBIDDEN',
+  TIER_NOT_ALLOWED: 'TIER_NOT_ALLOWED',
+  IP_NOT_ALLOWED: 'IP_NOT_ALLOWED',
+  ORIGIN_NOT_ALLOWED: 'ORIGIN_NOT_ALLOWED',
+  SIGNATURE_REQUIRED: 'SIGNATURE_REQUIRED',
+  INVALID_REQUEST_SIGNATURE: 'INVALID_REQUEST_SIGNATURE',
+  REQUEST_EXPIRED: 'REQUEST_EXPIRED',
+  NONCE_REUSED: 'NONCE_REUSED',
 
   // Rate Limiting
   RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
 
   // Validation
   VALIDATION_ERROR: 'VALIDATION_ERROR',
@@ -33,7 +46,10 @@ const ERROR_CODES = {
   RPC_ERROR: 'RPC_ERROR',
   INVALID_ADDRESS: 'INVALID_ADDRESS',
   INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+  INVALID_TRANSACTION: 'INVALID_TRANSACTION',
   TRANSACTION_FAILED: 'TRANSACTION_FAILED',
+  INVALID_NETWORK: 'INVALID_NETWORK',
+  NETWORK_NOT_SUPPORTED: 'NETWORK_NOT_SUPPORTED',
 
   // Workflow
   WORKFLOW_EXECUTION_FAILED: 'WORKFLOW_EXECUTION_FAILED',
@@ -57,6 +73,7 @@ const HTTP_STATUS = {
   NO_CONTENT: 204,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
+  PAYMENT_REQUIRED: 402,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
@@ -76,6 +93,8 @@ const CACHE_TTL = {
   TRANSACTION: 30,
   BLOCK: 60,
   SLOT: 0, // No caching
+  FINALIZED: 86400, // Finalized transactions and blocks never change
+  CLUSTER_CONFIG: 3600, // Genesis hash, epoch schedule, rent exemption minimums
 
   // Polymarket
   MARKET_LIST: 300,
@@ -90,25 +109,186 @@ const CACHE_TTL = {
 };
 
 // Rate Limit Tiers
+// algorithm: 'sliding_window' (requests per windowMs) or 'token_bucket'
+// (refills requests per windowMs, holds up to burst tokens)
 const RATE_LIMIT_TIERS = {
   FREE: {
+    algorithm: 'sliding_window',
     requests: 100,
     windowMs: 60000,
   },
   BASIC: {
+    algorithm: 'sliding_window',
     requests: 500,
     windowMs: 60000,
   },
   PRO: {
+    algorithm: 'token_bucket',
     requests: 2000,
     windowMs: 60000,
+    burst: 200,
   },
   ENTERPRISE: {
+    algorithm: 'token_bucket',
     requests: 10000,
     windowMs: 60000,
+    burst: 1000,
   },
 };
 
+// Per-route rate limits, applied on top of the tier limit with routeRateLimit(name)
+// `tiers` overrides fields for specific tiers; failClosed rejects requests if Redis is down
+const ROUTE_RATE_LIMITS = {
+  // ZK proof generation (CPU heavy)
+  zkProof: {
+    algorithm: 'token_bucket',
+    requests: 10,
+    windowMs: 60000,
+    burst: 3,
+    tiers: {
+      PRO: { requests: 30, burst: 10 },
+      ENTERPRISE: { requests: 120, burst: 30 },
+    },
+  },
+  // Login/registration (keyed by IP)
+  sensitive: {
+    algorithm: 'sliding_window',
+    requests: 5,
+    windowMs: 300000,
+    failClosed: true,
+  },
+  // Devnet/testnet airdrops (the public faucets are tightly limited)
+  airdrop: {
+    algorithm: 'sliding_window',
+    requests: 5,
+    windowMs: 3600000,
+  },
+};
+
+// JSON-RPC proxy (/v1/solana/rpc): methods each tier may call (on top of those
+// of the tiers below it) and the most calls allowed in one batch
+const RPC_PROXY_TIERS = {
+  FREE: {
+    maxBatch: 10,
+    methods: [
+      'getAccountInfo', 'getBalance', 'getBlockHeight', 'getBlockTime', 'getEpochInfo',
+      'getEpochSchedule', 'getFeeForMessage', 'getGenesisHash', 'getHealth', 'getLatestBlockhash',
+      'getMinimumBalanceForRentExemption', 'getMultipleAccounts', 'getRecentPrioritizationFees',
+      'getSignatureStatuses', 'getSignaturesForAddress', 'getSlot', 'getTokenAccountBalance',
+      'getTokenAccountsByOwner', 'getTokenSupply', 'getTransaction', 'getVersion',
+      'isBlockhashValid', 'sendTransaction', 'simulateTransaction',
+    ],
+  },
+  BASIC: {
+    maxBatch: 25,
+    methods: [
+      'getBlock', 'getBlockCommitment', 'getBlockProduction', 'getBlocks', 'getBlocksWithLimit',
+      'getClusterNodes', 'getFirstAvailableBlock', 'getHighestSnapshotSlot', 'getIdentity',
+      'getInflationGovernor', 'getInflationRate', 'getInflationReward', 'getLeaderSchedule',
+      'getMaxRetransmitSlot', 'getMaxShredInsertSlot', 'getRecentPerformanceSamples',
+      'getSlotLeader', 'getSlotLeaders', 'getStakeMinimumDelegation', 'getSupply',
+      'getTokenAccountsByDelegate', 'getTokenLargestAccounts', 'getTransactionCount',
+      'getVoteAccounts', 'minimumLedgerSlot',
+    ],
+  },
+  PRO: {
+    maxBatch: 100,
+    methods: [
+      'getLargestAccounts', 'getProgramAccounts',
+      // DAS
+      'getAsset', 'getAssetBatch', 'getAssetProof', 'getAssetProofBatch', 'getAssetsByAuthority',
+      'getAssetsByCreator', 'getAssetsByGroup', 'getAssetsByOwner', 'getSignaturesForAsset',
+      'searchAssets',
+    ],
+  },
+  ENTERPRISE: {
+    maxBatch: 250,
+    methods: [],
+  },
+};
+
+// JSON-RPC proxy methods that need the solana:write scope
+const RPC_PROXY_WRITE_METHODS = ['sendTransaction'];
+
+// Solana accounts each account tier can watch for changes
+const WATCHED_ACCOUNT_LIMITS = {
+  FREE: 5,
+  BASIC: 50,
+  PRO: 500,
+  ENTERPRISE: 5000,
+};
+
+// Private address labels each account tier can keep (/v1/solana/labels)
+const ADDRESS_LABEL_LIMITS = {
+  FREE: 100,
+  BASIC: 1000,
+  PRO: 10000,
+  ENTERPRISE: 100000,
+};
+
+// Monthly credit quotas per tier
+// Free accounts wait for the reset (429); paid accounts need an upgrade or top-up (402)
+const QUOTA_TIERS = {
+  FREE: {
+    monthlyCredits: 10000,
+    exhaustedStatus: 429,
+  },
+  BASIC: {
+    monthlyCredits: 250000,
+    exhaustedStatus: 402,
+  },
+  PRO: {
+    monthlyCredits: 2000000,
+    exhaustedStatus: 402,
+  },
+  ENTERPRISE: {
+    monthlyCredits: 20000000,
+    exhaustedStatus: 402,
+  },
+};
+
+// Credits charged per request (first match wins, anything else costs DEFAULT_ENDPOINT_COST)
+// perBatchItem charges the cost once per call in a JSON array body
+const ENDPOINT_COSTS = [
+  { method: 'POST', path: /^\/v1\/zk\/(proofs\/generate|balance-proof|holder-proof|threshold-proof)$/, cost: 100 },
+  { method: 'POST', path: /^\/v1\/zk\/proofs\/verify$/, cost: 10 },
+  { method: 'POST', path: /^\/v1\/solana\/graphql$/, cost: 10 },
+  { method: 'POST', path: /^\/v1\/solana\/rpc$/, cost: 1, perBatchItem: true },
+  { method: 'POST', path: /^\/v1\/workflows\/[^/]+\/execute$/, cost: 5 },
+  { path: /^\/v1\/(usage|admin)(\/|$)/, cost: 0 },
+];
+
+const DEFAULT_ENDPOINT_COST = 1;
+
+// Tier ordering (lowest to highest) - a key's tier is capped by its user's tier
+const TIER_ORDER = ['FREE', 'BASIC', 'PRO', 'ENTERPRISE'];
+
+// API Key Scopes
+const API_KEY_SCOPES = {
+  SOLANA_READ: 'solana:read',
+  SOLANA_WRITE: 'solana:write',
+  POLYMARKET_READ: 'polymarket:read',
+  ZK_PROVE: 'zk:prove',
+  WORKFLOWS_EXECUTE: 'workflows:execute',
+  WEBHOOKS_MANAGE: 'webhooks:manage',
+};
+
+// Scopes granted to new keys when none are requested (writes are opt-in)
+const DEFAULT_API_KEY_SCOPES = [
+  API_KEY_SCOPES.SOLANA_READ,
+  API_KEY_SCOPES.POLYMARKET_READ,
+  API_KEY_SCOPES.ZK_PROVE,
+  API_KEY_SCOPES.WORKFLOWS_EXECUTE,
+  API_KEY_SCOPES.WEBHOOKS_MANAGE,
+];
+
+// Pre-scope permission values still stored on older keys
+// Every key created before scopes holds "read" and could reach every router, so it keeps the defaults
+const LEGACY_PERMISSION_SCOPES = {
+  read: DEFAULT_API_KEY_SCOPES,
+  write: [...DEFAULT_API_KEY_SCOPES, API_KEY_SCOPES.SOLANA_WRITE],
+};
+
 // Webhook Retry Delays (in ms)
 const WEBHOOK_RETRY_DELAYS = [5000, 15000, 45000];
 
@@ -138,13 +318,65 @@ const SOLANA_NETWORKS = {
   DEVNET: 'devnet',
 };
 
+// Fee percentile targeted by each landing speed in priority fee estimates
+const PRIORITY_FEE_SPEEDS = {
+  slow: 'p25',
+  normal: 'p50',
+  fast: 'p75',
+  turbo: 'p95',
+};
+
+// Well-known Solana programs, used to name and classify transactions
+const SOLANA_PROGRAMS = {
+  '11111111111111111111111111111111': { name: 'System Program', category: 'system' },
+  ComputeBudget111111111111111111111111111111: { name: 'Compute Budget', category: 'system' },
+  AddressLookupTab1e1111111111111111111111111: { name: 'Address Lookup Table', category: 'system' },
+  Vote111111111111111111111111111111111111111: { name: 'Vote Program', category: 'system' },
+  Stake11111111111111111111111111111111111111: { name: 'Stake Program', category: 'stake' },
+  TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA: { name: 'SPL Token', category: 'token' },
+  TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb: { name: 'SPL Token-2022', category: 'token' },
+  ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL: { name: 'Associated Token Account', category: 'token' },
+  MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr: { name: 'Memo', category: 'token' },
+  JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4: { name: 'Jupiter', category: 'dex' },
+  JUP4Fb2cqiRUcaTHdrPC8h2gNsA2ETXiPDD33WcGuJB: { name: 'Jupiter v4', category: 'dex' },
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': { name: 'Raydium AMM', category: 'dex' },
+  CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK: { name: 'Raydium CLMM', category: 'dex' },
+  CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C: { name: 'Raydium CPMM', category: 'dex' },
+  whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc: { name: 'Orca Whirlpool', category: 'dex' },
+  '9W959DqEETiGZocYWCQPaJ6sBmUzgfxXfqGeTEdp3aQP': { name: 'Orca', category: 'dex' },
+  LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo: { name: 'Meteora DLMM', category: 'dex' },
+  PhoeNiXZ8ByJGLkxNfZRnkUfjvmuYqLR89jjFHGqdXY: { name: 'Phoenix', category: 'dex' },
+  '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P': { name: 'pump.fun', category: 'dex' },
+  metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s: { name: 'Metaplex Token Metadata', category: 'nft' },
+  BGUMAp9Gq7iTEuizy4pqaxsTyUCBK68MDfK752saRPUY: { name: 'Metaplex Bubblegum', category: 'nft' },
+  CndyV3LdqHUfDLmE5naZjVN8rBZz4tqhdefbAnjHG3JR: { name: 'Candy Machine v3', category: 'nft' },
+  Guard1JwRhJkVH6XZhzoYxeBVQe872VH6QggF4BWmS9g: { name: 'Candy Guard', category: 'nft' },
+  M2mx93ekt1fmXSVkTrUL9xVFHkmME8HTUi5Cyc5aF7K: { name: 'Magic Eden', category: 'nft_marketplace' },
+  TSWAPaqyCSx2KABk68Shruf4rp7CxcNi8hAsbdwmHbN: { name: 'Tensor Swap', category: 'nft_marketplace' },
+  TCMPhJdwDryooaGtiocG1u3xcYbRpiJzb283XfCZsDp: { name: 'Tensor', category: 'nft_marketplace' },
+};
+
 module.exports = {
   ERROR_CODES,
   HTTP_STATUS,
   CACHE_TTL,
   RATE_LIMIT_TIERS,
+  ROUTE_RATE_LIMITS,
+  RPC_PROXY_TIERS,
+  RPC_PROXY_WRITE_METHODS,
+  WATCHED_ACCOUNT_LIMITS,
+  ADDRESS_LABEL_LIMITS,
+  QUOTA_TIERS,
+  ENDPOINT_COSTS,
+  DEFAULT_ENDPOINT_COST,
+  TIER_ORDER,
+  API_KEY_SCOPES,
+  DEFAULT_API_KEY_SCOPES,
+  LEGACY_PERMISSION_SCOPES,
   WEBHOOK_RETRY_DELAYS,
   WORKFLOW_TRIGGERS,
   WORKFLOW_ACTIONS,
   SOLANA_NETWORKS,
+  PRIORITY_FEE_SPEEDS,
+  SOLANA_PROGRAMS,
 };
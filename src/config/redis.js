@@ -80,6 +80,39 @@ const cache = {
     }
   },
 
+  /**
+   * Get several cached values (aligned with keys, null for misses)
+   */
+  async getMany(keys) {
+    if (keys.length === 0) return [];
+    try {
+      const values = await redis.mget(...keys);
+      return values.map((value) => (value ? JSON.parse(value) : null));
+    } catch (error) {
+      logger.error('Cache getMany error:', error.message);
+      return keys.map(() => null);
+    }
+  },
+
+  /**
+   * Set several values with the same TTL
+   * entries: [[key, value], ...]
+   */
+  async setMany(entries, ttlSeconds = 60) {
+    if (entries.length === 0) return true;
+    try {
+      const pipeline = redis.pipeline();
+      for (const [key, value] of entries) {
+        pipeline.setex(key, ttlSeconds, JSON.stringify(value));
+      }
+      await pipeline.exec();
+      return true;
+    } catch (error) {
+      logger.error('Cache setMany error:', error.message);
+      return false;
+    }
+  },
+
   /**
    * Delete cached value
    */
@@ -105,6 +138,20 @@ const cache = {
     }
   },
 
+  /**
+   * Set value only if the key doesn't exist (SET NX)
+   * Returns true if set, false if it already existed, null on error
+   */
+  async setIfAbsent(key, value, ttlSeconds = 60) {
+    try {
+      const result = await redis.set(key, JSON.stringify(value), 'EX', ttlSeconds, 'NX');
+      return result === 'OK';
+    } catch (error) {
+      logger.error('Cache setIfAbsent error:', error.message);
+      return null;
+    }
+  },
+
   /**
    * Increment counter
    */
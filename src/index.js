@@ -19,8 +19,10 @@ const { connectRedis, disconnectRedis } = require('./config/redis');
 // Middleware
 const { authMiddleware } = require('./middleware/auth');
 const { rateLimitMiddleware } = require('./middleware/rateLimit');
+const { quotaMiddleware } = require('./middleware/quota');
 const { errorHandler } = require('./middleware/errorHandler');
-const { requestLogger } = require('./middleware/logging');
+const { requestLogger, logUsageMetrics } = require('./middleware/logging');
+const { metricsMiddleware } = require('./middleware/metrics');
 const { corsMiddleware } = require('./middleware/cors');
 const { validationMiddleware } = require('./middleware/validation');
 
@@ -32,6 +34,15 @@ const polymarketRoutes = require('./routes/v1/polymarket');
 const workflowRoutes = require('./routes/v1/workflows');
 const zkRoutes = require('./routes/v1/zk');
 const webhookRoutes = require('./routes/v1/webhooks');
+const adminRoutes = require('./routes/v1/admin');
+const usageRoutes = require('./routes/v1/usage');
+
+// Services
+const QuotaService = require('./services/quota');
+const UsageService = require('./services/usage');
+const RpcPool = require('./services/rpcPool');
+const TransactionTracker = require('./services/transactionTracker');
+const AccountWatcher = require('./services/accountWatcher');
 
 // Utils
 const logger = require('./utils/logger');
@@ -62,9 +73,12 @@ app.use(helmet({
 // Compression
 app.use(compression());
 
-// Body parsing
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Body parsing (keep the raw body for request signature verification)
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
 
 // CORS
 app.use(corsMiddleware);
@@ -75,6 +89,9 @@ if (config.env !== 'test') {
 }
 app.use(requestLogger);
 
+// Prometheus HTTP metrics
+app.use(metricsMiddleware);
+
 // Trust proxy (for Cloudflare)
 app.set('trust proxy', 1);
 
@@ -94,9 +111,11 @@ app.use('/v1/auth', authRoutes);
 // API Routes (With Auth)
 // ======================
 
-// Apply auth and rate limiting to all /v1 routes
+// Apply auth, usage recording, rate limiting and monthly quotas to all /v1 routes
 app.use('/v1', authMiddleware);
+app.use('/v1', logUsageMetrics);
 app.use('/v1', rateLimitMiddleware);
+app.use('/v1', quotaMiddleware);
 
 // V1 API Routes
 app.use('/v1/solana', solanaRoutes);
@@ -104,6 +123,8 @@ app.use('/v1/polymarket', polymarketRoutes);
 app.use('/v1/workflows', workflowRoutes);
 app.use('/v1/zk', zkRoutes);
 app.use('/v1/webhooks', webhookRoutes);
+app.use('/v1/admin', adminRoutes);
+app.use('/v1/usage', usageRoutes);
 
 // ======================
 // V2 Routes (Future)
@@ -157,6 +178,21 @@ async function startServer() {
     await connectRedis();
     logger.info('✅ Redis connected');
 
+    // Flush quota counters to Postgres periodically
+    QuotaService.startFlusher();
+
+    // Write buffered usage metrics in batches
+    UsageService.startFlusher();
+
+    // Probe Solana RPC providers and share their health with other workers
+    RpcPool.start();
+
+    // Resolve submitted transactions (PENDING -> CONFIRMED/FAILED)
+    TransactionTracker.start();
+
+    // Watch registered Solana accounts for changes (account.updated)
+    AccountWatcher.start();
+
     // Start Express server
     const server = app.listen(config.port, () => {
       logger.info(`🚀 API Server running on port ${config.port}`);
@@ -170,6 +206,14 @@ async function startServer() {
       
       server.close(async () => {
         logger.info('HTTP server closed');
+
+        await TransactionTracker.stop();
+        await AccountWatcher.stop();
+        await RpcPool.stop();
+
+        // Write pending quota counters and usage metrics before disconnecting
+        await QuotaService.stopFlusher().catch((err) => logger.error('Final quota flush failed:', err.message));
+        await UsageService.stopFlusher().catch((err) => logger.error('Final usage metrics flush failed:', err.message));
         
         // Close Prisma connection
         await disconnectPrisma();
@@ -1,15 +1,26 @@
 /**
  * Authentication Middleware
- * Validates API keys for protected routes
+ * Validates API keys and session tokens for protected routes
  */
 
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const { prisma } = require('../lib/prisma');
 const { cache } = require('../config/redis');
 const { errorResponse } = require('../utils/response');
-const { maskApiKey } = require('../utils/crypto');
+const { maskApiKey, hashRequestBody, createRequestSignature } = require('../utils/crypto');
+const { ipInCidrs, originAllowed } = require('../utils/network');
 const logger = require('../utils/logger');
-const { ERROR_CODES, HTTP_STATUS, CACHE_TTL } = require('../config/constants');
+const SessionService = require('../services/session');
+const config = require('../config/app');
+const {
+  ERROR_CODES,
+  HTTP_STATUS,
+  CACHE_TTL,
+  TIER_ORDER,
+  API_KEY_SCOPES,
+  LEGACY_PERMISSION_SCOPES,
+} = require('../config/constants');
 
 /**
  * Extract API key from request
@@ -29,10 +40,446 @@ function extractApiKey(req) {
   return req.query.api_key;
 }
 
+/**
+ * Extract session JWT from Authorization header
+ */
+function extractSessionToken(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    const token = authHeader.substring(7);
+    if (SessionService.isJwt(token)) return token;
+  }
+  return null;
+}
+
+/**
+ * Extract request signature headers (signed-request mode)
+ */
+function extractSignature(req) {
+  const signature = req.headers['x-signature'];
+  if (!signature) return null;
+
+  return {
+    signature,
+    keyId: req.headers['x-signature-key-id'],
+    timestamp: req.headers['x-signature-timestamp'],
+    nonce: req.headers['x-signature-nonce'],
+  };
+}
+
+/**
+ * API key cache entry (keyed by key hash)
+ */
+function apiKeyCacheKey(keyHash) {
+  return `apikey:${keyHash}`;
+}
+
+/**
+ * API key cache entry for signed requests (keyed by key ID)
+ */
+function apiKeyIdCacheKey(keyId) {
+  return `apikey:id:${keyId}`;
+}
+
+/**
+ * Drop cached entries for the given API key records so changes take effect immediately
+ */
+async function invalidateApiKeyCache(...apiKeys) {
+  const cacheKeys = apiKeys.flatMap((k) => [
+    apiKeyIdCacheKey(k.id),
+    apiKeyCacheKey(k.keyHash),
+    k.previousKeyHash && apiKeyCacheKey(k.previousKeyHash),
+  ]);
+
+  await Promise.all(cacheKeys.filter(Boolean).map((key) => cache.del(key)));
+}
+
+/**
+ * Drop cached entries for every API key a user owns
+ * (used when the user's tier or status changes)
+ */
+async function invalidateUserApiKeyCache(userId) {
+  const keys = await prisma.apiKey.findMany({
+    where: { userId },
+    select: { id: true, keyHash: true, previousKeyHash: true },
+  });
+
+  await invalidateApiKeyCache(...keys);
+}
+
+/**
+ * Cap a key tier at the owning user's tier
+ */
+function capTier(keyTier, userTier) {
+  const keyRank = TIER_ORDER.indexOf(keyTier?.toUpperCase());
+  const userRank = TIER_ORDER.indexOf(userTier?.toUpperCase());
+  return TIER_ORDER[Math.max(0, Math.min(keyRank, userRank))];
+}
+
+/**
+ * Resolve stored key permissions into scopes
+ * Legacy values ("read", "write") expand to their scope sets. Cache entries
+ * written before scopes existed have no permissions and count as "read".
+ */
+function resolveScopes(permissions = ['read']) {
+  const scopes = new Set();
+
+  for (const permission of permissions) {
+    const expanded = LEGACY_PERMISSION_SCOPES[permission] || [permission];
+    expanded.forEach((scope) => scopes.add(scope));
+  }
+
+  return Array.from(scopes);
+}
+
+/**
+ * Check a request against an API key's IP and Origin allowlists
+ * Empty lists mean unrestricted; every configured list must match
+ */
+function checkAccessRules(req, allowedIps = [], allowedOrigins = []) {
+  if (allowedIps.length > 0 && !ipInCidrs(req.ip, allowedIps)) {
+    return {
+      code: ERROR_CODES.IP_NOT_ALLOWED,
+      message: `Requests from ${req.ip} are not allowed for this API key`,
+    };
+  }
+
+  if (allowedOrigins.length > 0) {
+    const origin = req.headers.origin;
+
+    if (!origin || !originAllowed(origin, allowedOrigins)) {
+      return {
+        code: ERROR_CODES.ORIGIN_NOT_ALLOWED,
+        message: origin
+          ? `Origin ${origin} is not allowed for this API key`
+          : 'This API key requires an allowed Origin header',
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Authenticate a dashboard session (Bearer JWT)
+ */
+async function authenticateSession(token, req, res, next) {
+  try {
+    const payload = await SessionService.verifyAccessToken(token);
+
+    if (!payload) {
+      return errorResponse(
+        res,
+        ERROR_CODES.INVALID_TOKEN,
+        'Session has been revoked',
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: payload.sub },
+      select: {
+        id: true,
+        email: true,
+        tier: true,
+        role: true,
+        status: true,
+      },
+    });
+
+    if (!user || user.status !== 'ACTIVE') {
+      return errorResponse(
+        res,
+        ERROR_CODES.UNAUTHORIZED,
+        'User account is disabled',
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    // Sessions act for the user directly, so every scope is granted
+    req.user = {
+      id: user.id,
+      email: user.email,
+      tier: user.tier.toLowerCase(),
+      accountTier: user.tier.toLowerCase(),
+      role: user.role,
+      scopes: Object.values(API_KEY_SCOPES),
+      authType: 'session',
+      sessionId: payload.sid,
+    };
+
+    next();
+  } catch (error) {
+    if (error instanceof jwt.JsonWebTokenError) {
+      const expired = error instanceof jwt.TokenExpiredError;
+      return errorResponse(
+        res,
+        expired ? ERROR_CODES.TOKEN_EXPIRED : ERROR_CODES.INVALID_TOKEN,
+        expired ? 'Session token has expired' : 'Invalid session token',
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    logger.error('Session auth error:', error);
+    return errorResponse(
+      res,
+      ERROR_CODES.INTERNAL_ERROR,
+      'Authentication failed',
+      HTTP_STATUS.INTERNAL_ERROR
+    );
+  }
+}
+
+const API_KEY_INCLUDE = {
+  user: {
+    select: {
+      id: true,
+      email: true,
+      tier: true,
+      status: true,
+    },
+  },
+};
+
+/**
+ * Shape an API key record for caching
+ */
+function toApiKeyData(apiKeyRecord) {
+  return {
+    id: apiKeyRecord.id,
+    user_id: apiKeyRecord.userId,
+    name: apiKeyRecord.name,
+    tier: capTier(apiKeyRecord.tier, apiKeyRecord.user.tier),
+    user_tier: apiKeyRecord.user.tier,
+    permissions: apiKeyRecord.permissions,
+    allowed_ips: apiKeyRecord.allowedIps,
+    allowed_origins: apiKeyRecord.allowedOrigins,
+    signature_required: apiKeyRecord.signatureRequired,
+    is_active: apiKeyRecord.status === 'ACTIVE',
+    expires_at: apiKeyRecord.expiresAt,
+    last_used_at: apiKeyRecord.lastUsedAt,
+    email: apiKeyRecord.user.email,
+    user_active: apiKeyRecord.user.status === 'ACTIVE',
+  };
+}
+
+/**
+ * Check key/user status and allowlists, then attach the user to the request
+ * graceExpiresAt is set when the caller used the previous secret of a rotated key
+ */
+function authorizeApiKey(req, res, next, apiKeyData, graceExpiresAt = null) {
+  // Check if key is active
+  if (!apiKeyData.is_active) {
+    return errorResponse(
+      res,
+      ERROR_CODES.API_KEY_REVOKED,
+      'API key has been revoked',
+      HTTP_STATUS.UNAUTHORIZED
+    );
+  }
+
+  // Check if user is active
+  if (!apiKeyData.user_active) {
+    return errorResponse(
+      res,
+      ERROR_CODES.UNAUTHORIZED,
+      'User account is disabled',
+      HTTP_STATUS.UNAUTHORIZED
+    );
+  }
+
+  // Check expiration
+  if (apiKeyData.expires_at && new Date(apiKeyData.expires_at) < new Date()) {
+    return errorResponse(
+      res,
+      ERROR_CODES.API_KEY_EXPIRED,
+      'API key has expired',
+      HTTP_STATUS.UNAUTHORIZED
+    );
+  }
+
+  // Previous secret of a rotated key - only valid during the grace period
+  if (graceExpiresAt) {
+    const sunset = new Date(graceExpiresAt);
+
+    if (sunset < new Date()) {
+      return errorResponse(
+        res,
+        ERROR_CODES.API_KEY_EXPIRED,
+        'API key has been rotated and its grace period has ended',
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    res.set({
+      Deprecation: 'true',
+      Sunset: sunset.toUTCString(),
+    });
+  }
+
+  // IP / Origin allowlists
+  const denied = checkAccessRules(req, apiKeyData.allowed_ips, apiKeyData.allowed_origins);
+  if (denied) {
+    logger.warn('API key used outside its allowlist', {
+      keyId: apiKeyData.id,
+      code: denied.code,
+      ip: req.ip,
+      origin: req.headers.origin,
+    });
+    return errorResponse(res, denied.code, denied.message, HTTP_STATUS.FORBIDDEN);
+  }
+
+  // Attach user info to request
+  req.user = {
+    id: apiKeyData.user_id,
+    email: apiKeyData.email,
+    apiKeyId: apiKeyData.id,
+    apiKeyName: apiKeyData.name,
+    tier: (apiKeyData.tier || 'free').toLowerCase(),
+    accountTier: (apiKeyData.user_tier || apiKeyData.tier || 'free').toLowerCase(),
+    scopes: resolveScopes(apiKeyData.permissions),
+    authType: req.signedRequest ? 'signature' : 'api_key',
+  };
+
+  // Update last used (async, don't wait)
+  prisma.apiKey.update({
+    where: { id: apiKeyData.id },
+    data: { lastUsedAt: new Date() },
+  }).catch((err) => logger.error('Failed to update last_used_at:', err.message));
+
+  next();
+}
+
+/**
+ * Authenticate a signed request
+ *
+ * The signing key is HMAC-SHA256(pepper, API key) (see deriveSigningKey),
+ * issued with the key, so the secret itself never goes over the wire. The
+ * signature is an HMAC-SHA256 over METHOD\npath\nsha256(body)\ntimestamp\nnonce
+ * (see createRequestSignature). Signing keys are read from the database on
+ * every request and never cached.
+ */
+async function authenticateSignedRequest(signed, req, res, next) {
+  const { signature, keyId, timestamp, nonce } = signed;
+  const invalid = (code, message) => errorResponse(res, code, message, HTTP_STATUS.UNAUTHORIZED);
+
+  if (!keyId || !timestamp || !nonce) {
+    return invalid(
+      ERROR_CODES.INVALID_REQUEST_SIGNATURE,
+      'Signed requests require X-Signature-Key-Id, X-Signature-Timestamp and X-Signature-Nonce headers'
+    );
+  }
+
+  if (!/^[A-Za-z0-9_-]{16,128}$/.test(nonce)) {
+    return invalid(ERROR_CODES.INVALID_REQUEST_SIGNATURE, 'Nonce must be 16-128 URL-safe characters');
+  }
+
+  // Clock skew
+  const { maxClockSkewSeconds } = config.requestSigning;
+  const requestTime = Number(timestamp);
+  if (!Number.isInteger(requestTime) || Math.abs(Date.now() / 1000 - requestTime) > maxClockSkewSeconds) {
+    return invalid(
+      ERROR_CODES.REQUEST_EXPIRED,
+      `Request timestamp must be Unix seconds within ${maxClockSkewSeconds}s of server time`
+    );
+  }
+
+  try {
+    const signingKeys = await prisma.apiKey.findUnique({
+      where: { id: keyId },
+      select: { signingKey: true, previousSigningKey: true, previousKeyExpiresAt: true },
+    });
+
+    // Keys issued before signing keys existed have none until they are rotated
+    if (!signingKeys?.signingKey) {
+      logger.warn('Signed request with unknown or unsigned key ID', { keyId, ip: req.ip });
+      return invalid(ERROR_CODES.INVALID_REQUEST_SIGNATURE, 'Invalid request signature');
+    }
+
+    const payload = {
+      method: req.method,
+      path: req.originalUrl,
+      bodyHash: hashRequestBody(req.rawBody),
+      timestamp,
+      nonce,
+    };
+
+    const matches = (signingKey) => {
+      if (!signingKey) return false;
+      const expected = Buffer.from(createRequestSignature(signingKey, payload));
+      const provided = Buffer.from(String(signature).toLowerCase());
+      return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    };
+
+    let graceExpiresAt = null;
+    if (!matches(signingKeys.signingKey)) {
+      if (!matches(signingKeys.previousSigningKey)) {
+        logger.warn('Invalid request signature', { keyId, ip: req.ip });
+        return invalid(ERROR_CODES.INVALID_REQUEST_SIGNATURE, 'Invalid request signature');
+      }
+      graceExpiresAt = signingKeys.previousKeyExpiresAt;
+    }
+
+    // Replay protection - a nonce can only be used once per key within the skew window
+    const fresh = await cache.setIfAbsent(`nonce:${keyId}:${nonce}`, requestTime, maxClockSkewSeconds * 2);
+    if (fresh === null) {
+      return errorResponse(
+        res,
+        ERROR_CODES.SERVICE_UNAVAILABLE,
+        'Unable to verify request nonce',
+        HTTP_STATUS.SERVICE_UNAVAILABLE
+      );
+    }
+    if (!fresh) {
+      logger.warn('Replayed request nonce', { keyId, ip: req.ip });
+      return invalid(ERROR_CODES.NONCE_REUSED, 'Request nonce has already been used');
+    }
+
+    const cacheKey = apiKeyIdCacheKey(keyId);
+    let apiKeyData = await cache.get(cacheKey);
+
+    if (!apiKeyData) {
+      const apiKeyRecord = await prisma.apiKey.findUnique({
+        where: { id: keyId },
+        include: API_KEY_INCLUDE,
+      });
+
+      if (!apiKeyRecord) {
+        return invalid(ERROR_CODES.INVALID_REQUEST_SIGNATURE, 'Invalid request signature');
+      }
+
+      apiKeyData = toApiKeyData(apiKeyRecord);
+      await cache.set(cacheKey, apiKeyData, CACHE_TTL.API_KEY);
+    }
+
+    req.signedRequest = true;
+    return authorizeApiKey(req, res, next, apiKeyData, graceExpiresAt);
+  } catch (error) {
+    logger.error('Signed request auth error:', error);
+    return errorResponse(
+      res,
+      ERROR_CODES.INTERNAL_ERROR,
+      'Authentication failed',
+      HTTP_STATUS.INTERNAL_ERROR
+    );
+  }
+}
+
 /**
  * Main auth middleware
+ * Accepts a Bearer session JWT, a signed request or an API key
  */
 async function authMiddleware(req, res, next) {
+  const sessionToken = extractSessionToken(req);
+  if (sessionToken) {
+    return authenticateSession(sessionToken, req, res, next);
+  }
+
+  const signed = extractSignature(req);
+  if (signed) {
+    return authenticateSignedRequest(signed, req, res, next);
+  }
+
   const apiKey = extractApiKey(req);
 
   if (!apiKey) {
@@ -46,27 +493,29 @@ async function authMiddleware(req, res, next) {
   }
 
   try {
+    // Hash the API key to match stored hash
+    const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
+
     // Check cache first
-    const cacheKey = `apikey:${apiKey.substring(0, 16)}`;
+    const cacheKey = apiKeyCacheKey(keyHash);
     let apiKeyData = await cache.get(cacheKey);
 
     if (!apiKeyData) {
-      // Hash the API key to match stored hash
-      const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
-
       // Query database using Prisma
-      const apiKeyRecord = await prisma.apiKey.findUnique({
+      let apiKeyRecord = await prisma.apiKey.findUnique({
         where: { keyHash },
-        include: {
-          user: {
-            select: {
-              id: true,
-              email: true,
-              status: true,
-            },
-          },
-        },
+        include: API_KEY_INCLUDE,
       });
+      let isPreviousKey = false;
+
+      // Fall back to the previous secret of a rotated key
+      if (!apiKeyRecord) {
+        apiKeyRecord = await prisma.apiKey.findUnique({
+          where: { previousKeyHash: keyHash },
+          include: API_KEY_INCLUDE,
+        });
+        isPreviousKey = Boolean(apiKeyRecord);
+      }
 
       if (!apiKeyRecord) {
         logger.warn('Invalid API key attempt', {
@@ -82,67 +531,25 @@ async function authMiddleware(req, res, next) {
       }
 
       apiKeyData = {
-        id: apiKeyRecord.id,
-        user_id: apiKeyRecord.userId,
-        name: apiKeyRecord.name,
-        tier: apiKeyRecord.tier,
-        is_active: apiKeyRecord.status === 'ACTIVE',
-        expires_at: apiKeyRecord.expiresAt,
-        last_used_at: apiKeyRecord.lastUsedAt,
-        email: apiKeyRecord.user.email,
-        user_active: apiKeyRecord.user.status === 'ACTIVE',
+        ...toApiKeyData(apiKeyRecord),
+        grace_expires_at: isPreviousKey ? apiKeyRecord.previousKeyExpiresAt : null,
       };
-      
+
       // Cache the result
       await cache.set(cacheKey, apiKeyData, CACHE_TTL.API_KEY);
     }
 
-    // Check if key is active
-    if (!apiKeyData.is_active) {
-      return errorResponse(
-        res,
-        ERROR_CODES.API_KEY_REVOKED,
-        'API key has been revoked',
-        HTTP_STATUS.UNAUTHORIZED
-      );
-    }
-
-    // Check if user is active
-    if (!apiKeyData.user_active) {
+    // Keys flagged "signature required" can't send their secret directly
+    if (apiKeyData.signature_required) {
       return errorResponse(
         res,
-        ERROR_CODES.UNAUTHORIZED,
-        'User account is disabled',
+        ERROR_CODES.SIGNATURE_REQUIRED,
+        'This API key only accepts signed requests',
         HTTP_STATUS.UNAUTHORIZED
       );
     }
 
-    // Check expiration
-    if (apiKeyData.expires_at && new Date(apiKeyData.expires_at) < new Date()) {
-      return errorResponse(
-        res,
-        ERROR_CODES.API_KEY_EXPIRED,
-        'API key has expired',
-        HTTP_STATUS.UNAUTHORIZED
-      );
-    }
-
-    // Attach user info to request
-    req.user = {
-      id: apiKeyData.user_id,
-      email: apiKeyData.email,
-      apiKeyId: apiKeyData.id,
-      apiKeyName: apiKeyData.name,
-      tier: apiKeyData.tier || 'free',
-    };
-
-    // Update last used (async, don't wait)
-    prisma.apiKey.update({
-      where: { id: apiKeyData.id },
-      data: { lastUsedAt: new Date() },
-    }).catch((err) => logger.error('Failed to update last_used_at:', err.message));
-
-    next();
+    return authorizeApiKey(req, res, next, apiKeyData, apiKeyData.grace_expires_at);
   } catch (error) {
     logger.error('Auth middleware error:', error);
     return errorResponse(
@@ -160,7 +567,7 @@ async function authMiddleware(req, res, next) {
 async function optionalAuth(req, res, next) {
   const apiKey = extractApiKey(req);
   
-  if (!apiKey) {
+  if (!apiKey && !extractSignature(req)) {
     req.user = null;
     return next();
   }
@@ -195,8 +602,87 @@ function requireTier(...allowedTiers) {
   };
 }
 
+/**
+ * Require a user session (Bearer JWT) rather than an API key
+ */
+function requireSession(req, res, next) {
+  if (!req.user) {
+    return errorResponse(
+      res,
+      ERROR_CODES.UNAUTHORIZED,
+      'Authentication required',
+      HTTP_STATUS.UNAUTHORIZED
+    );
+  }
+
+  if (req.user.authType !== 'session') {
+    return errorResponse(
+      res,
+      ERROR_CODES.SESSION_REQUIRED,
+      'This endpoint requires a user session. Log in via POST /v1/auth/login.',
+      HTTP_STATUS.FORBIDDEN
+    );
+  }
+
+  next();
+}
+
+/**
+ * Require an admin user session
+ */
+function requireAdmin(req, res, next) {
+  return requireSession(req, res, () => {
+    if (req.user.role !== 'ADMIN') {
+      return errorResponse(
+        res,
+        ERROR_CODES.FORBIDDEN,
+        'This endpoint requires an admin account',
+        HTTP_STATUS.FORBIDDEN
+      );
+    }
+
+    next();
+  });
+}
+
+/**
+ * Require an API key scope (e.g. 'solana:read')
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return errorResponse(
+        res,
+        ERROR_CODES.UNAUTHORIZED,
+        'Authentication required',
+        HTTP_STATUS.UNAUTHORIZED
+      );
+    }
+
+    if (!req.user.scopes?.includes(scope)) {
+      return errorResponse(
+        res,
+        ERROR_CODES.INSUFFICIENT_SCOPE,
+        `This API key is missing the required scope: ${scope}`,
+        HTTP_STATUS.FORBIDDEN,
+        { required_scope: scope }
+      );
+    }
+
+    next();
+  };
+}
+
 module.exports = {
   authMiddleware,
   optionalAuth,
   requireTier,
+  requireScope,
+  requireSession,
+  requireAdmin,
+  resolveScopes,
+  capTier,
+  checkAccessRules,
+  invalidateApiKeyCache,
+  invalidateUserApiKeyCache,
 };
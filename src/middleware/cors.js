@@ -36,15 +36,28 @@ const corsOptions = {
     'Content-Type',
     'Authorization',
     'X-API-Key',
+    'X-Signature',
+    'X-Signature-Key-Id',
+    'X-Signature-Timestamp',
+    'X-Signature-Nonce',
     'X-Request-ID',
     'X-Requested-With',
+    'X-Solana-Network',
   ],
   exposedHeaders: [
     'X-Request-ID',
     'X-RateLimit-Limit',
     'X-RateLimit-Remaining',
     'X-RateLimit-Reset',
+    'X-Quota-Limit',
+    'X-Quota-Remaining',
+    'X-Quota-Used',
+    'X-Quota-Reset',
+    'X-Quota-Cost',
     'Retry-After',
+    'Deprecation',
+    'Sunset',
+    'X-Solana-Network',
   ],
   maxAge: 86400, // 24 hours
 };
@@ -2,10 +2,12 @@
  * Middleware Index - Export all middleware
  */
 
-const { authMiddleware, optionalAuth, requireTier } = require('./auth');
-const { rateLimitMiddleware, createRateLimiter, strictRateLimit, sensitiveRateLimit } = require('./rateLimit');
+const { authMiddleware, optionalAuth, requireTier, requireScope, requireSession, requireAdmin } = require('./auth');
+const { rateLimitMiddleware, createRateLimiter, routeRateLimit } = require('./rateLimit');
+const { quotaMiddleware } = require('./quota');
 const { validateBody, validateQuery, validateParams, commonSchemas, validationMiddleware, Joi } = require('./validation');
 const { requestLogger, logAsync, logUsageMetrics } = require('./logging');
+const { metricsMiddleware } = require('./metrics');
 const { ApiError, errorHandler, asyncHandler, notFoundHandler } = require('./errorHandler');
 const { corsMiddleware, corsOptions, preflightHandler } = require('./cors');
 
@@ -14,12 +16,17 @@ module.exports = {
   authMiddleware,
   optionalAuth,
   requireTier,
+  requireScope,
+  requireSession,
+  requireAdmin,
 
   // Rate Limiting
   rateLimitMiddleware,
   createRateLimiter,
-  strictRateLimit,
-  sensitiveRateLimit,
+  routeRateLimit,
+
+  // Quotas
+  quotaMiddleware,
 
   // Validation
   validateBody,
@@ -34,6 +41,9 @@ module.exports = {
   logAsync,
   logUsageMetrics,
 
+  // Metrics
+  metricsMiddleware,
+
   // Error Handling
   ApiError,
   errorHandler,
@@ -4,6 +4,7 @@
 
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const UsageService = require('../services/usage');
 
 /**
  * Generate request ID
@@ -75,37 +76,38 @@ function logAsync(level, message, data = {}) {
 
 /**
  * Log API usage metrics
+ * Records every API key request once the response finishes (batched, see services/usage)
+ * Session (dashboard) requests are left out on purpose: they aren't API usage,
+ * and the dashboard polling /v1/usage would otherwise show up in its own numbers
  */
-async function logUsageMetrics(req, res) {
-  const { query } = require('../config/database');
-  
-  try {
-    await query(
-      `INSERT INTO usage_metrics (
-        user_id,
-        api_key_id,
-        endpoint,
-        method,
-        status_code,
-        response_time_ms,
-        request_id,
-        ip_address,
-        created_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())`,
-      [
-        req.user?.id,
-        req.user?.apiKeyId,
-        req.path,
-        req.method,
-        res.statusCode,
-        res.responseTime,
-        req.requestId,
-        req.ip,
-      ]
-    );
-  } catch (error) {
-    logger.error('Failed to log usage metrics:', error.message);
-  }
+function logUsageMetrics(req, res, next) {
+  const startTime = Date.now();
+
+  res.on('finish', () => {
+    // Unauthenticated and session requests have no API key
+    if (!req.user?.apiKeyId) return;
+
+    // Prefer the route pattern so /balance/:address groups as one endpoint
+    const endpoint = req.route
+      ? `${req.baseUrl}${req.route.path === '/' ? '' : req.route.path}`
+      : req.originalUrl.split('?')[0];
+
+    UsageService.track({
+      userId: req.user.id,
+      apiKeyId: req.user.apiKeyId,
+      endpoint,
+      method: req.method,
+      statusCode: res.statusCode,
+      latencyMs: Date.now() - startTime,
+      requestSize: parseInt(req.headers['content-length'], 10) || null,
+      responseSize: parseInt(res.get('Content-Length'), 10) || null,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']?.substring(0, 255),
+      createdAt: new Date(startTime),
+    });
+  });
+
+  next();
 }
 
 module.exports = {
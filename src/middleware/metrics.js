@@ -0,0 +1,39 @@
+/**
+ * Metrics Middleware
+ * Records HTTP request latency for Prometheus
+ */
+
+const { httpRequestDuration } = require('../utils/metrics');
+
+/**
+ * Route label for a finished request
+ * Uses the route pattern to keep cardinality bounded; requests answered by
+ * middleware (auth, rate limits) are grouped under their mount path.
+ */
+function routeLabel(req) {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path === '/' && req.baseUrl ? '' : req.route.path}`;
+  }
+  return req.baseUrl ? `${req.baseUrl}/*` : 'unmatched';
+}
+
+/**
+ * Main metrics middleware
+ */
+function metricsMiddleware(req, res, next) {
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    endTimer({
+      method: req.method,
+      route: routeLabel(req),
+      status_code: res.statusCode,
+    });
+  });
+
+  next();
+}
+
+module.exports = {
+  metricsMiddleware,
+};
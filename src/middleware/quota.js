@@ -0,0 +1,90 @@
+/**
+ * Quota Middleware
+ * Charges each request against the account's monthly credit quota
+ */
+
+const QuotaService = require('../services/quota');
+const { errorResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+const { ERROR_CODES } = require('../config/constants');
+
+// Responses from route checks that run after the charge (auth, scope,
+// validation); these requests are refunded
+const REFUNDED_STATUSES = [400, 401, 403];
+
+/**
+ * Set X-Quota-* headers
+ */
+function setQuotaHeaders(res, quota, cost) {
+  res.set({
+    'X-Quota-Limit': quota.limit,
+    'X-Quota-Remaining': quota.remaining,
+    'X-Quota-Used': quota.used,
+    'X-Quota-Reset': Math.floor(new Date(quota.reset_at).getTime() / 1000),
+    'X-Quota-Cost': cost,
+  });
+}
+
+/**
+ * Main quota middleware (runs after auth)
+ */
+async function quotaMiddleware(req, res, next) {
+  if (!req.user) {
+    return next();
+  }
+
+  const { id: userId, accountTier } = req.user;
+  const cost = QuotaService.getEndpointCost(req.method, req.baseUrl + req.path, req.body);
+
+  // Free endpoints (usage, admin) don't touch the counters
+  if (cost === 0) {
+    return next();
+  }
+
+  try {
+    const result = await QuotaService.consume(userId, accountTier, cost);
+    setQuotaHeaders(res, result.quota, cost);
+
+    if (!result.allowed) {
+      const { exhaustedStatus } = QuotaService.getTierQuota(accountTier);
+
+      logger.warn('Monthly quota exceeded', {
+        userId,
+        tier: accountTier,
+        cost,
+        used: result.quota.used,
+        path: req.path,
+      });
+
+      if (exhaustedStatus === 429) {
+        res.set('Retry-After', Math.ceil((new Date(result.quota.reset_at) - Date.now()) / 1000));
+      }
+
+      return errorResponse(
+        res,
+        ERROR_CODES.QUOTA_EXCEEDED,
+        `Monthly quota exhausted (${result.quota.used}/${result.quota.limit} credits, this request costs ${cost}). ` +
+          `Resets at ${result.quota.reset_at}.`,
+        exhaustedStatus,
+        { quota: result.quota, cost }
+      );
+    }
+
+    res.on('finish', () => {
+      if (!REFUNDED_STATUSES.includes(res.statusCode)) return;
+
+      QuotaService.refund(userId, result.quota.period, cost)
+        .catch((error) => logger.error('Quota refund failed:', { userId, cost, error: error.message }));
+    });
+
+    next();
+  } catch (error) {
+    logger.error('Quota middleware error:', error);
+    // Allow request on error (fail open)
+    next();
+  }
+}
+
+module.exports = {
+  quotaMiddleware,
+};
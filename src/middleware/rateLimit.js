@@ -1,22 +1,55 @@
 /**
  * Rate Limiting Middleware
  * Per-key rate limiting using Redis
+ *
+ * Limits come from RATE_LIMIT_TIERS (every /v1 request) and
+ * ROUTE_RATE_LIMITS (extra limits on specific routes). Both support
+ * sliding window and token bucket policies (see checkRateLimit).
  */
 
 const { checkRateLimit } = require('../utils/cache');
 const { errorResponse } = require('../utils/response');
 const logger = require('../utils/logger');
-const { ERROR_CODES, HTTP_STATUS, RATE_LIMIT_TIERS } = require('../config/constants');
+const {
+  ERROR_CODES,
+  HTTP_STATUS,
+  RATE_LIMIT_TIERS,
+  ROUTE_RATE_LIMITS,
+} = require('../config/constants');
 
 /**
- * Get rate limit config for user tier
+ * Get rate limit policy for user tier
  */
 function getTierLimits(tier) {
-  const limits = RATE_LIMIT_TIERS[tier?.toUpperCase()] || RATE_LIMIT_TIERS.FREE;
-  return {
-    maxRequests: limits.requests,
-    windowSeconds: limits.windowMs / 1000,
-  };
+  return RATE_LIMIT_TIERS[tier?.toUpperCase()] || RATE_LIMIT_TIERS.FREE;
+}
+
+/**
+ * Get a route policy, with the tier's overrides applied
+ */
+function getRouteLimits(name, tier) {
+  const { tiers = {}, ...policy } = ROUTE_RATE_LIMITS[name];
+  return { ...policy, ...tiers[tier?.toUpperCase()] };
+}
+
+/**
+ * Identify the caller (API key, then session user, then IP)
+ */
+function rateLimitIdentity(req) {
+  if (req.user?.apiKeyId) return `key:${req.user.apiKeyId}`;
+  if (req.user?.id) return `user:${req.user.id}`;
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Set rate limit headers
+ */
+function setRateLimitHeaders(res, result) {
+  res.set({
+    'X-RateLimit-Limit': result.limit,
+    'X-RateLimit-Remaining': result.remaining,
+    'X-RateLimit-Reset': Math.floor(Date.now() / 1000) + result.reset,
+  });
 }
 
 /**
@@ -28,38 +61,25 @@ async function rateLimitMiddleware(req, res, next) {
     return next();
   }
 
-  const userId = req.user?.id;
-  const apiKeyId = req.user?.apiKeyId;
   const tier = req.user?.tier || 'free';
-
-  // Create rate limit key
-  const key = apiKeyId 
-    ? `ratelimit:key:${apiKeyId}` 
-    : `ratelimit:ip:${req.ip}`;
-
-  const { maxRequests, windowSeconds } = getTierLimits(tier);
+  const policy = getTierLimits(tier);
 
   try {
-    const result = await checkRateLimit(key, maxRequests, windowSeconds);
+    const result = await checkRateLimit(`ratelimit:${rateLimitIdentity(req)}`, policy);
 
-    // Set rate limit headers
-    res.set({
-      'X-RateLimit-Limit': maxRequests,
-      'X-RateLimit-Remaining': Math.max(0, result.remaining),
-      'X-RateLimit-Reset': Math.floor(Date.now() / 1000) + windowSeconds,
-    });
+    setRateLimitHeaders(res, result);
 
     if (!result.allowed) {
       logger.warn('Rate limit exceeded', {
-        userId,
-        apiKeyId,
+        userId: req.user?.id,
+        apiKeyId: req.user?.apiKeyId,
         tier,
         ip: req.ip,
         path: req.path,
       });
 
-      res.set('Retry-After', windowSeconds);
-      
+      res.set('Retry-After', result.retryAfter);
+
       return errorResponse(
         res,
         ERROR_CODES.RATE_LIMIT_EXCEEDED,
@@ -77,23 +97,31 @@ async function rateLimitMiddleware(req, res, next) {
 }
 
 /**
- * Create custom rate limiter for specific routes
+ * Create a rate limiter for a specific policy
+ * The policy may be a function of the request (e.g. to pick per-tier limits)
  */
-function createRateLimiter(maxRequests, windowSeconds) {
+function createRateLimiter(name, policy) {
   return async (req, res, next) => {
-    const key = `ratelimit:custom:${req.path}:${req.user?.apiKeyId || req.ip}`;
+    const resolved = typeof policy === 'function' ? policy(req) : policy;
+    const key = `ratelimit:route:${name}:${rateLimitIdentity(req)}`;
 
     try {
-      const result = await checkRateLimit(key, maxRequests, windowSeconds);
+      const result = await checkRateLimit(key, resolved);
 
-      res.set({
-        'X-RateLimit-Limit': maxRequests,
-        'X-RateLimit-Remaining': Math.max(0, result.remaining),
-        'X-RateLimit-Reset': Math.floor(Date.now() / 1000) + windowSeconds,
-      });
+      setRateLimitHeaders(res, result);
 
       if (!result.allowed) {
-        res.set('Retry-After', windowSeconds);
+        res.set('Retry-After', result.retryAfter);
+
+        if (result.error) {
+          return errorResponse(
+            res,
+            ERROR_CODES.SERVICE_UNAVAILABLE,
+            'Rate limiting is unavailable, please retry shortly',
+            HTTP_STATUS.SERVICE_UNAVAILABLE
+          );
+        }
+
         return errorResponse(
           res,
           ERROR_CODES.RATE_LIMIT_EXCEEDED,
@@ -105,24 +133,34 @@ function createRateLimiter(maxRequests, windowSeconds) {
       next();
     } catch (error) {
       logger.error('Custom rate limiter error:', error);
+      if (resolved.failClosed) {
+        return errorResponse(
+          res,
+          ERROR_CODES.SERVICE_UNAVAILABLE,
+          'Rate limiting is unavailable, please retry shortly',
+          HTTP_STATUS.SERVICE_UNAVAILABLE
+        );
+      }
       next();
     }
   };
 }
 
 /**
- * Stricter rate limit for expensive operations (ZK proofs, etc.)
+ * Rate limiter for a named route policy in ROUTE_RATE_LIMITS
  */
-const strictRateLimit = createRateLimiter(10, 60);
+function routeRateLimit(name) {
+  if (!ROUTE_RATE_LIMITS[name]) {
+    throw new Error(`Unknown route rate limit: ${name}`);
+  }
 
-/**
- * Very strict rate limit for sensitive operations
- */
-const sensitiveRateLimit = createRateLimiter(5, 300);
+  return createRateLimiter(name, (req) => getRouteLimits(name, req.user?.tier));
+}
 
 module.exports = {
   rateLimitMiddleware,
   createRateLimiter,
-  strictRateLimit,
-  sensitiveRateLimit,
+  routeRateLimit,
+  getTierLimits,
+  getRouteLimits,
 };
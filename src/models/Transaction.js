@@ -2,6 +2,7 @@
  * Transaction Model (for Solana transactions)
  */
 
+const { v4: uuidv4 } = require('uuid');
 const { query } = require('../config/database');
 const logger = require('../utils/logger');
 
@@ -13,21 +14,23 @@ class Transaction {
     userId,
     signature,
     type,
-    status = 'pending',
+    status = 'PENDING',
     fromAddress,
     toAddress,
     amount,
     fee,
-    metadata,
+    mint,
+    data,
   }) {
     const result = await query(
       `INSERT INTO transactions (
-        user_id, signature, type, status, from_address, to_address,
-        amount, fee, metadata, created_at
+        id, user_id, signature, type, status, from_address, to_address,
+        amount, fee, mint, data, created_at, updated_at
        )
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW())
        RETURNING *`,
       [
+        uuidv4(),
         userId,
         signature,
         type,
@@ -36,7 +39,8 @@ class Transaction {
         toAddress,
         amount,
         fee,
-        JSON.stringify(metadata || {}),
+        mint,
+        JSON.stringify(data || {}),
       ]
     );
     return result.rows[0];
@@ -56,15 +60,15 @@ class Transaction {
   /**
    * Update status
    */
-  static async updateStatus(signature, status, metadata = {}) {
+  static async updateStatus(signature, status, data = {}) {
     const result = await query(
       `UPDATE transactions 
        SET status = $2,
-           metadata = metadata || $3::jsonb,
+           data = COALESCE(data, '{}'::jsonb) || $3::jsonb,
            updated_at = NOW()
        WHERE signature = $1
        RETURNING *`,
-      [signature, status, JSON.stringify(metadata)]
+      [signature, status, JSON.stringify(data)]
     );
     return result.rows[0] || null;
   }
@@ -120,19 +124,39 @@ class Transaction {
   }
 
   /**
-   * Get pending transactions
+   * Get pending transactions, oldest first
    */
   static async getPending(limit = 100) {
     const result = await query(
       `SELECT * FROM transactions
-       WHERE status = 'pending'
-         AND created_at > NOW() - INTERVAL '1 hour'
+       WHERE status = 'PENDING'
        ORDER BY created_at ASC
        LIMIT $1`,
       [limit]
     );
     return result.rows;
   }
+
+  /**
+   * Move a pending transaction to its final status
+   * Returns null if it was already resolved (e.g. by another process)
+   */
+  static async resolve(signature, { status, slot, fee, blockTime, data = {} }) {
+    const result = await query(
+      `UPDATE transactions
+       SET status = $2,
+           slot = COALESCE($3, slot),
+           fee = COALESCE($4, fee),
+           block_time = COALESCE($5, block_time),
+           data = COALESCE(data, '{}'::jsonb) || $6::jsonb,
+           updated_at = NOW()
+       WHERE signature = $1
+         AND status = 'PENDING'
+       RETURNING *`,
+      [signature, status, slot, fee, blockTime, JSON.stringify(data)]
+    );
+    return result.rows[0] || null;
+  }
 }
 
 module.exports = Transaction;
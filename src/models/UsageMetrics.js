@@ -2,52 +2,100 @@
  * Usage Metrics Model
  */
 
+const { v4: uuidv4 } = require('uuid');
 const { query } = require('../config/database');
 const logger = require('../utils/logger');
 
+const COLUMNS = [
+  'id',
+  'user_id',
+  'api_key_id',
+  'endpoint',
+  'method',
+  'status_code',
+  'latency_ms',
+  'request_size',
+  'response_size',
+  'ip_address',
+  'user_agent',
+  'created_at',
+];
+
+/**
+ * Build the WHERE clause shared by the usage queries
+ */
+function buildFilters(userId, { apiKeyId, startDate, endDate }) {
+  const conditions = ['user_id = $1', 'created_at >= $2', 'created_at <= $3'];
+  const params = [userId, startDate, endDate];
+
+  if (apiKeyId) {
+    params.push(apiKeyId);
+    conditions.push(`api_key_id = $${params.length}`);
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
 class UsageMetrics {
   /**
    * Record API usage
    */
-  static async record({
-    userId,
-    apiKeyId,
-    endpoint,
-    method,
-    statusCode,
-    responseTimeMs,
-    requestId,
-    ipAddress,
-  }) {
-    try {
-      await query(
-        `INSERT INTO usage_metrics (
-          user_id, api_key_id, endpoint, method, status_code,
-          response_time_ms, request_id, ip_address, created_at
-         )
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())`,
-        [userId, apiKeyId, endpoint, method, statusCode, responseTimeMs, requestId, ipAddress]
-      );
-    } catch (error) {
-      logger.error('Failed to record usage metrics:', error.message);
-    }
+  static async record(entry) {
+    return UsageMetrics.recordBatch([entry]);
+  }
+
+  /**
+   * Record many usage rows in a single INSERT
+   */
+  static async recordBatch(entries) {
+    if (entries.length === 0) return 0;
+
+    const params = [];
+    const rows = entries.map((entry) => {
+      const values = [
+        uuidv4(),
+        entry.userId,
+        entry.apiKeyId,
+        entry.endpoint,
+        entry.method,
+        entry.statusCode,
+        entry.latencyMs,
+        entry.requestSize ?? null,
+        entry.responseSize ?? null,
+        entry.ipAddress ?? null,
+        entry.userAgent ?? null,
+        entry.createdAt || new Date(),
+      ];
+      const placeholders = values.map((value) => {
+        params.push(value);
+        return `$${params.length}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+
+    const result = await query(
+      `INSERT INTO usage_metrics (${COLUMNS.join(', ')})
+       VALUES ${rows.join(',\n')}`,
+      params
+    );
+    return result.rowCount;
   }
 
   /**
    * Get usage summary for user
    */
-  static async getSummary(userId, { startDate, endDate }) {
+  static async getSummary(userId, filters) {
+    const { where, params } = buildFilters(userId, filters);
     const result = await query(
       `SELECT 
         COUNT(*) as total_requests,
-        AVG(response_time_ms)::integer as avg_response_time,
+        AVG(latency_ms)::integer as avg_latency_ms,
+        PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY latency_ms)::integer as p95_latency_ms,
         COUNT(CASE WHEN status_code >= 400 THEN 1 END) as error_count,
         COUNT(CASE WHEN status_code = 429 THEN 1 END) as rate_limit_count
        FROM usage_metrics
-       WHERE user_id = $1
-         AND created_at >= $2
-         AND created_at <= $3`,
-      [userId, startDate, endDate]
+       WHERE ${where}`,
+      params
     );
     return result.rows[0];
   }
@@ -55,20 +103,22 @@ class UsageMetrics {
   /**
    * Get usage by endpoint
    */
-  static async getByEndpoint(userId, { startDate, endDate, limit = 10 }) {
+  static async getByEndpoint(userId, { limit = 10, ...filters }) {
+    const { where, params } = buildFilters(userId, filters);
+    params.push(limit);
     const result = await query(
       `SELECT 
+        method,
         endpoint,
         COUNT(*) as request_count,
-        AVG(response_time_ms)::integer as avg_response_time
+        AVG(latency_ms)::integer as avg_latency_ms,
+        COUNT(CASE WHEN status_code >= 400 THEN 1 END) as error_count
        FROM usage_metrics
-       WHERE user_id = $1
-         AND created_at >= $2
-         AND created_at <= $3
-       GROUP BY endpoint
+       WHERE ${where}
+       GROUP BY method, endpoint
        ORDER BY request_count DESC
-       LIMIT $4`,
-      [userId, startDate, endDate, limit]
+       LIMIT $${params.length}`,
+      params
     );
     return result.rows;
   }
@@ -76,19 +126,19 @@ class UsageMetrics {
   /**
    * Get daily usage stats
    */
-  static async getDailyStats(userId, { days = 30 }) {
+  static async getDailyStats(userId, filters) {
+    const { where, params } = buildFilters(userId, filters);
     const result = await query(
       `SELECT 
-        DATE(created_at) as date,
+        TO_CHAR(DATE(created_at), 'YYYY-MM-DD') as date,
         COUNT(*) as request_count,
-        AVG(response_time_ms)::integer as avg_response_time,
+        AVG(latency_ms)::integer as avg_latency_ms,
         COUNT(CASE WHEN status_code >= 400 THEN 1 END) as error_count
        FROM usage_metrics
-       WHERE user_id = $1
-         AND created_at >= NOW() - INTERVAL '1 day' * $2
+       WHERE ${where}
        GROUP BY DATE(created_at)
        ORDER BY date DESC`,
-      [userId, days]
+      params
     );
     return result.rows;
   }
@@ -100,7 +150,7 @@ class UsageMetrics {
     const result = await query(
       `SELECT 
         COUNT(*) as total_requests,
-        AVG(response_time_ms)::integer as avg_response_time,
+        AVG(latency_ms)::integer as avg_latency_ms,
         COUNT(CASE WHEN status_code >= 400 THEN 1 END) as error_count
        FROM usage_metrics
        WHERE api_key_id = $1
@@ -0,0 +1,266 @@
+/**
+ * Admin Routes
+ * User and API key management for administrators
+ *
+ * Allows admins to:
+ * - Upgrade/downgrade user tiers
+ * - Suspend and reactivate accounts
+ * - Revoke any API key
+ *
+ * Every change busts the affected apikey:* cache entries so it
+ * takes effect on the next request.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../../../middleware/errorHandler');
+const { requireAdmin, invalidateApiKeyCache, invalidateUserApiKeyCache } = require('../../../middleware/auth');
+const { validateBody, validateParams, validateQuery, Joi } = require('../../../middleware/validation');
+const { successResponse, errorResponse, paginatedResponse } = require('../../../utils/response');
+const { prisma } = require('../../../lib/prisma');
+const logger = require('../../../utils/logger');
+
+// Every admin route requires an admin user session
+router.use(requireAdmin);
+
+// Validation schemas
+const schemas = {
+  id: Joi.object({
+    id: Joi.string().required(),
+  }),
+  listUsers: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    tier: Joi.string().valid('free', 'basic', 'pro', 'enterprise'),
+    status: Joi.string().valid('active', 'inactive', 'suspended', 'deleted'),
+    search: Joi.string().max(100),
+  }),
+  updateUser: Joi.object({
+    tier: Joi.string().valid('free', 'basic', 'pro', 'enterprise'),
+    status: Joi.string().valid('active', 'inactive', 'suspended'),
+  }).min(1),
+  listKeys: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    user_id: Joi.string(),
+    status: Joi.string().valid('active', 'revoked', 'expired'),
+  }),
+};
+
+/**
+ * Format a user for admin responses
+ */
+function formatUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    tier: user.tier.toLowerCase(),
+    role: user.role.toLowerCase(),
+    status: user.status.toLowerCase(),
+    api_keys_count: user._count?.apiKeys,
+    created_at: user.createdAt,
+    updated_at: user.updatedAt,
+  };
+}
+
+/**
+ * Format an API key for admin responses
+ */
+function formatKey(key) {
+  return {
+    id: key.id,
+    user_id: key.userId,
+    name: key.name,
+    key_preview: `${key.keyPrefix}...`,
+    tier: key.tier.toLowerCase(),
+    status: key.status.toLowerCase(),
+    created_at: key.createdAt,
+    last_used_at: key.lastUsedAt,
+    expires_at: key.expiresAt,
+  };
+}
+
+// ============================================
+// USERS
+// ============================================
+
+/**
+ * GET /v1/admin/users
+ * List users
+ */
+router.get(
+  '/users',
+  validateQuery(schemas.listUsers),
+  asyncHandler(async (req, res) => {
+    const { page, limit, tier, status, search } = req.query;
+    const skip = (page - 1) * limit;
+
+    const where = {};
+    if (tier) where.tier = tier.toUpperCase();
+    if (status) where.status = status.toUpperCase();
+    if (search) where.email = { contains: search, mode: 'insensitive' };
+
+    const [users, total] = await Promise.all([
+      prisma.user.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' },
+        include: { _count: { select: { apiKeys: true } } },
+      }),
+      prisma.user.count({ where }),
+    ]);
+
+    return paginatedResponse(res, users.map(formatUser), {
+      page,
+      limit,
+      total,
+    });
+  })
+);
+
+/**
+ * GET /v1/admin/users/:id
+ * Get a user with their API keys
+ */
+router.get(
+  '/users/:id',
+  validateParams(schemas.id),
+  asyncHandler(async (req, res) => {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id },
+      include: {
+        apiKeys: { orderBy: { createdAt: 'desc' } },
+        _count: { select: { apiKeys: true } },
+      },
+    });
+
+    if (!user) {
+      return errorResponse(res, 'USER_NOT_FOUND', 'User not found', 404);
+    }
+
+    return successResponse(res, {
+      ...formatUser(user),
+      api_keys: user.apiKeys.map(formatKey),
+    });
+  })
+);
+
+/**
+ * PATCH /v1/admin/users/:id
+ * Change a user's tier or status (suspend/reactivate)
+ */
+router.patch(
+  '/users/:id',
+  validateParams(schemas.id),
+  validateBody(schemas.updateUser),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { tier, status } = req.body;
+
+    const existing = await prisma.user.findUnique({ where: { id } });
+
+    if (!existing) {
+      return errorResponse(res, 'USER_NOT_FOUND', 'User not found', 404);
+    }
+
+    if (id === req.user.id && status && status !== 'active') {
+      return errorResponse(res, 'CANNOT_SUSPEND_SELF', 'Admins cannot suspend their own account', 400);
+    }
+
+    const data = {};
+    if (tier) data.tier = tier.toUpperCase();
+    if (status) data.status = status.toUpperCase();
+
+    const user = await prisma.user.update({
+      where: { id },
+      data,
+      include: { _count: { select: { apiKeys: true } } },
+    });
+
+    // Key tiers are capped by the user tier and keys check user status,
+    // so cached key data for this user is now stale
+    await invalidateUserApiKeyCache(id);
+
+    logger.info('Admin updated user', {
+      adminId: req.user.id,
+      userId: id,
+      from: { tier: existing.tier, status: existing.status },
+      to: data,
+    });
+
+    return successResponse(res, formatUser(user));
+  })
+);
+
+// ============================================
+// API KEYS
+// ============================================
+
+/**
+ * GET /v1/admin/keys
+ * List API keys across all users
+ */
+router.get(
+  '/keys',
+  validateQuery(schemas.listKeys),
+  asyncHandler(async (req, res) => {
+    const { page, limit, user_id: userId, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    const where = {};
+    if (userId) where.userId = userId;
+    if (status) where.status = status.toUpperCase();
+
+    const [keys, total] = await Promise.all([
+      prisma.apiKey.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.apiKey.count({ where }),
+    ]);
+
+    return paginatedResponse(res, keys.map(formatKey), {
+      page,
+      limit,
+      total,
+    });
+  })
+);
+
+/**
+ * DELETE /v1/admin/keys/:id
+ * Revoke any API key
+ */
+router.delete(
+  '/keys/:id',
+  validateParams(schemas.id),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const apiKey = await prisma.apiKey.findUnique({ where: { id } });
+
+    if (!apiKey) {
+      return errorResponse(res, 'KEY_NOT_FOUND', 'API key not found', 404);
+    }
+
+    await prisma.apiKey.update({
+      where: { id },
+      data: { status: 'REVOKED' },
+    });
+
+    await invalidateApiKeyCache(apiKey);
+
+    logger.info('Admin revoked API key', { adminId: req.user.id, userId: apiKey.userId, keyId: id });
+
+    return successResponse(res, {
+      message: 'API key revoked successfully',
+      key_id: id,
+    });
+  })
+);
+
+module.exports = router;
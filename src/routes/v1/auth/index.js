@@ -3,33 +3,78 @@
  * API key management for api.acceso.dev
  * 
  * Allows users to:
+ * - Log in for a dashboard session (JWT access + refresh tokens)
  * - Create API keys (acceso_xxx format)
  * - List their API keys
+ * - Rotate API keys (old secret keeps working for a grace period)
  * - Revoke/delete API keys
  * - Test API keys
+ * - Scope API keys (solana:read, zk:prove, ...)
+ * - Restrict API keys to IP/CIDR ranges and browser origins
+ * - Require signed (HMAC) requests instead of the raw secret
  */
 
 const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const { asyncHandler } = require('../../../middleware/errorHandler');
 const { validateBody, Joi } = require('../../../middleware/validation');
 const { successResponse, errorResponse } = require('../../../utils/response');
-const { generateApiKey, hashPassword, verifyPassword } = require('../../../utils/crypto');
+const {
+  generateApiKey, deriveSigningKey, hashPassword, verifyPassword,
+} = require('../../../utils/crypto');
+const { parseCidr, normalizeOrigin } = require('../../../utils/network');
 const { prisma } = require('../../../lib/prisma');
-const { authMiddleware, optionalAuth } = require('../../../middleware/auth');
+const {
+  authMiddleware,
+  optionalAuth,
+  requireSession,
+  resolveScopes,
+  capTier,
+  checkAccessRules,
+  invalidateApiKeyCache,
+} = require('../../../middleware/auth');
+const { routeRateLimit } = require('../../../middleware/rateLimit');
+const SessionService = require('../../../services/session');
 const logger = require('../../../utils/logger');
+const config = require('../../../config/app');
+const { API_KEY_SCOPES, DEFAULT_API_KEY_SCOPES } = require('../../../config/constants');
+
+// Allowlist entries: IPv4/IPv6 address or CIDR, and http(s) origins
+const allowedIpsSchema = Joi.array().max(50).unique().items(
+  Joi.string().custom((value, helpers) => (parseCidr(value) ? value.trim() : helpers.error('any.invalid')))
+    .messages({ 'any.invalid': '{{#label}} must be an IP address or CIDR range' })
+).description('IP addresses or CIDR ranges allowed to use this key (empty = any)');
+
+const allowedOriginsSchema = Joi.array().max(50).unique().items(
+  Joi.string().custom((value, helpers) => normalizeOrigin(value) || helpers.error('any.invalid'))
+    .messages({ 'any.invalid': '{{#label}} must be an origin like https://app.example.com' })
+).description('Browser origins allowed to use this key (empty = any)');
 
 // Validation schemas
 const schemas = {
   createKey: Joi.object({
     name: Joi.string().min(1).max(100).required()
       .description('A friendly name for this API key'),
-    tier: Joi.string().valid('free', 'pro', 'enterprise').default('free')
-      .description('API tier level'),
+    tier: Joi.string().valid('free', 'basic', 'pro', 'enterprise').optional()
+      .description('API tier level (default and maximum: your account tier)'),
     expiresIn: Joi.number().integer().min(1).max(365).optional()
       .description('Days until expiration (optional, default: never)'),
+    scopes: Joi.array().items(Joi.string().valid(...Object.values(API_KEY_SCOPES)))
+      .min(1).unique().default(DEFAULT_API_KEY_SCOPES)
+      .description('Scopes granted to this key (solana:write must be requested explicitly)'),
+    allowed_ips: allowedIpsSchema.default([]),
+    allowed_origins: allowedOriginsSchema.default([]),
+    signature_required: Joi.boolean().default(false)
+      .description('Only accept signed requests for this key'),
   }),
+  updateKey: Joi.object({
+    name: Joi.string().min(1).max(100),
+    allowed_ips: allowedIpsSchema,
+    allowed_origins: allowedOriginsSchema,
+    signature_required: Joi.boolean(),
+  }).min(1),
   register: Joi.object({
     email: Joi.string().email().required(),
     password: Joi.string().min(8).max(128).required(),
@@ -39,6 +84,14 @@ const schemas = {
     email: Joi.string().email().required(),
     password: Joi.string().required(),
   }),
+  refresh: Joi.object({
+    refresh_token: Joi.string().required(),
+  }),
+  rotateKey: Joi.object({
+    grace_period_hours: Joi.number().min(0).max(config.apiKeyRotation.maxGracePeriodHours)
+      .default(config.apiKeyRotation.gracePeriodHours)
+      .description('Hours the old secret keeps working (0 = revoke immediately)'),
+  }),
 };
 
 /**
@@ -47,6 +100,7 @@ const schemas = {
  */
 router.post(
   '/register',
+  routeRateLimit('sensitive'),
   validateBody(schemas.register),
   asyncHandler(async (req, res) => {
     const { email, name } = req.body;
@@ -76,15 +130,18 @@ router.post(
     // Auto-generate first API key
     const apiKeyPlain = generateApiKey('free');
     const keyHash = crypto.createHash('sha256').update(apiKeyPlain).digest('hex');
+    const signingKey = deriveSigningKey(apiKeyPlain);
 
     await prisma.apiKey.create({
       data: {
         userId: user.id,
         name: 'Default API Key',
         keyHash,
+        signingKey,
         keyPrefix: apiKeyPlain.substring(0, 16),
         tier: 'FREE',
         status: 'ACTIVE',
+        permissions: DEFAULT_API_KEY_SCOPES,
       },
     });
 
@@ -99,9 +156,11 @@ router.post(
       },
       api_key: {
         key: apiKeyPlain,
+        signing_key: signingKey,
         name: 'Default API Key',
         tier: 'free',
-        note: 'Save this key securely. You will not be able to see it again!',
+        scopes: DEFAULT_API_KEY_SCOPES,
+        note: 'Save this key and its signing key securely. You will not be able to see them again!',
       },
     }, { status: 201 });
   })
@@ -109,10 +168,11 @@ router.post(
 
 /**
  * POST /v1/auth/login
- * Login and get session info
+ * Login and get a session (access + refresh tokens)
  */
 router.post(
   '/login',
+  routeRateLimit('sensitive'),
   validateBody(schemas.login),
   asyncHandler(async (req, res) => {
     const { email } = req.body;
@@ -147,7 +207,9 @@ router.post(
       },
     });
 
-    logger.info('User logged in', { userId: user.id });
+    const session = await SessionService.issueTokens(user);
+
+    logger.info('User logged in', { userId: user.id, sessionId: session.session_id });
 
     return successResponse(res, {
       message: 'Login successful',
@@ -156,6 +218,7 @@ router.post(
         email: user.email,
         name: user.name,
       },
+      session,
       api_keys: apiKeys.map(k => ({
         id: k.id,
         name: k.name,
@@ -168,24 +231,98 @@ router.post(
   })
 );
 
+/**
+ * POST /v1/auth/refresh
+ * Exchange a refresh token for a new token pair (refresh tokens are single-use)
+ */
+router.post(
+  '/refresh',
+  validateBody(schemas.refresh),
+  asyncHandler(async (req, res) => {
+    let result;
+
+    try {
+      result = await SessionService.refresh(req.body.refresh_token, (userId) =>
+        prisma.user.findFirst({ where: { id: userId, status: 'ACTIVE' } })
+      );
+    } catch (error) {
+      if (error instanceof jwt.TokenExpiredError) {
+        return errorResponse(res, 'TOKEN_EXPIRED', 'Refresh token has expired', 401);
+      }
+      if (error instanceof jwt.JsonWebTokenError) {
+        return errorResponse(res, 'INVALID_TOKEN', 'Invalid refresh token', 401);
+      }
+      throw error;
+    }
+
+    if (!result) {
+      return errorResponse(res, 'INVALID_TOKEN', 'Session has been revoked', 401);
+    }
+
+    return successResponse(res, {
+      message: 'Session refreshed',
+      session: result.tokens,
+    });
+  })
+);
+
+/**
+ * POST /v1/auth/logout
+ * Revoke the current session (all of its access and refresh tokens)
+ */
+router.post(
+  '/logout',
+  authMiddleware,
+  requireSession,
+  asyncHandler(async (req, res) => {
+    await SessionService.revoke(req.user.sessionId);
+
+    logger.info('User logged out', { userId: req.user.id, sessionId: req.user.sessionId });
+
+    return successResponse(res, {
+      message: 'Logged out successfully',
+      session_id: req.user.sessionId,
+    });
+  })
+);
+
 /**
  * POST /v1/auth/keys
- * Create a new API key (requires authentication)
+ * Create a new API key (requires a user session)
  */
 router.post(
   '/keys',
   authMiddleware,
+  requireSession,
   validateBody(schemas.createKey),
   asyncHandler(async (req, res) => {
-    const { name, tier, expiresIn } = req.body;
+    const {
+      name,
+      expiresIn,
+      scopes,
+      allowed_ips: allowedIps,
+      allowed_origins: allowedOrigins,
+      signature_required: signatureRequired,
+    } = req.body;
     const userId = req.user.id;
+    const tier = req.body.tier || req.user.tier;
+
+    // Keys can't exceed the account tier
+    if (capTier(tier, req.user.tier) !== tier.toUpperCase()) {
+      return errorResponse(
+        res,
+        'TIER_NOT_ALLOWED',
+        `Your account is on the ${req.user.tier} tier and cannot create ${tier} keys`,
+        403
+      );
+    }
 
     // Check key limit based on user tier
     const keyCount = await prisma.apiKey.count({
       where: { userId, status: 'ACTIVE' },
     });
 
-    const keyLimits = { free: 3, pro: 10, enterprise: 50 };
+    const keyLimits = { free: 3, basic: 5, pro: 10, enterprise: 50 };
     const userTier = req.user.tier || 'free';
     const maxKeys = keyLimits[userTier] || 3;
 
@@ -201,6 +338,7 @@ router.post(
     // Generate new API key with acceso_ prefix
     const apiKeyPlain = generateApiKey(tier);
     const keyHash = crypto.createHash('sha256').update(apiKeyPlain).digest('hex');
+    const signingKey = deriveSigningKey(apiKeyPlain);
 
     // Calculate expiration
     const expiresAt = expiresIn 
@@ -213,25 +351,35 @@ router.post(
         userId,
         name,
         keyHash,
+        signingKey,
         keyPrefix: apiKeyPlain.substring(0, 16),
         tier: tier.toUpperCase(),
         status: 'ACTIVE',
+        permissions: scopes,
+        allowedIps,
+        allowedOrigins,
+        signatureRequired,
         expiresAt,
       },
     });
 
-    logger.info('API key created', { userId, keyId: apiKey.id, tier });
+    logger.info('API key created', { userId, keyId: apiKey.id, tier, scopes });
 
     return successResponse(res, {
       message: 'API key created successfully',
       api_key: {
         id: apiKey.id,
         key: apiKeyPlain,
+        signing_key: signingKey,
         name: apiKey.name,
         tier,
+        scopes,
+        allowed_ips: allowedIps,
+        allowed_origins: allowedOrigins,
+        signature_required: signatureRequired,
         expires_at: expiresAt?.toISOString() || null,
         created_at: apiKey.createdAt,
-        note: 'Save this key securely. You will not be able to see it again!',
+        note: 'Save this key and its signing key securely. You will not be able to see them again!',
       },
     }, { status: 201 });
   })
@@ -239,11 +387,12 @@ router.post(
 
 /**
  * GET /v1/auth/keys
- * List all API keys for the authenticated user
+ * List all API keys for the authenticated user (requires a user session)
  */
 router.get(
   '/keys',
   authMiddleware,
+  requireSession,
   asyncHandler(async (req, res) => {
     const userId = req.user.id;
 
@@ -255,6 +404,12 @@ router.get(
         keyPrefix: true,
         tier: true,
         status: true,
+        permissions: true,
+        allowedIps: true,
+        allowedOrigins: true,
+        signatureRequired: true,
+        rotatedAt: true,
+        previousKeyExpiresAt: true,
         createdAt: true,
         lastUsedAt: true,
         expiresAt: true,
@@ -269,9 +424,15 @@ router.get(
         key_preview: `${k.keyPrefix}...`,
         tier: k.tier.toLowerCase(),
         status: k.status.toLowerCase(),
+        scopes: resolveScopes(k.permissions),
+        allowed_ips: k.allowedIps,
+        allowed_origins: k.allowedOrigins,
+        signature_required: k.signatureRequired,
         created_at: k.createdAt,
         last_used_at: k.lastUsedAt,
         expires_at: k.expiresAt,
+        rotated_at: k.rotatedAt,
+        previous_key_expires_at: k.previousKeyExpiresAt,
       })),
       total: apiKeys.length,
     });
@@ -279,17 +440,24 @@ router.get(
 );
 
 /**
- * DELETE /v1/auth/keys/:id
- * Revoke/delete an API key
+ * PATCH /v1/auth/keys/:id
+ * Rename an API key or update its IP/Origin allowlists and signing requirement (requires a user session)
  */
-router.delete(
+router.patch(
   '/keys/:id',
   authMiddleware,
+  requireSession,
+  validateBody(schemas.updateKey),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
+    const {
+      name,
+      allowed_ips: allowedIps,
+      allowed_origins: allowedOrigins,
+      signature_required: signatureRequired,
+    } = req.body;
     const userId = req.user.id;
 
-    // Find the key and verify ownership
     const apiKey = await prisma.apiKey.findFirst({
       where: { id, userId },
     });
@@ -298,22 +466,138 @@ router.delete(
       return errorResponse(res, 'KEY_NOT_FOUND', 'API key not found', 404);
     }
 
-    // Don't allow deleting the key being used for this request
-    if (apiKey.id === req.user.apiKeyId) {
+    // Keys issued before signing keys existed can't sign until they are rotated
+    if (signatureRequired && !apiKey.signingKey) {
       return errorResponse(
         res,
-        'CANNOT_DELETE_CURRENT_KEY',
-        'Cannot delete the API key currently being used for authentication',
+        'SIGNING_KEY_MISSING',
+        'This API key has no signing key yet. Rotate it before requiring signed requests',
         400
       );
     }
 
+    const updated = await prisma.apiKey.update({
+      where: { id },
+      data: { name, allowedIps, allowedOrigins, signatureRequired },
+    });
+
+    await invalidateApiKeyCache(apiKey);
+
+    logger.info('API key updated', { userId, keyId: id, fields: Object.keys(req.body) });
+
+    return successResponse(res, {
+      message: 'API key updated successfully',
+      api_key: {
+        id: updated.id,
+        name: updated.name,
+        tier: updated.tier.toLowerCase(),
+        status: updated.status.toLowerCase(),
+        allowed_ips: updated.allowedIps,
+        allowed_origins: updated.allowedOrigins,
+        signature_required: updated.signatureRequired,
+        updated_at: updated.updatedAt,
+      },
+    });
+  })
+);
+
+/**
+ * POST /v1/auth/keys/:id/rotate
+ * Issue a new secret for an API key (requires a user session)
+ * The old secret keeps working until the grace period ends
+ */
+router.post(
+  '/keys/:id/rotate',
+  authMiddleware,
+  requireSession,
+  validateBody(schemas.rotateKey),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { grace_period_hours: gracePeriodHours } = req.body;
+    const userId = req.user.id;
+
+    const apiKey = await prisma.apiKey.findFirst({
+      where: { id, userId },
+    });
+
+    if (!apiKey) {
+      return errorResponse(res, 'KEY_NOT_FOUND', 'API key not found', 404);
+    }
+
+    if (apiKey.status !== 'ACTIVE') {
+      return errorResponse(res, 'KEY_NOT_ACTIVE', `Cannot rotate a ${apiKey.status.toLowerCase()} API key`, 400);
+    }
+
+    const apiKeyPlain = generateApiKey(apiKey.tier.toLowerCase());
+    const keyHash = crypto.createHash('sha256').update(apiKeyPlain).digest('hex');
+    const signingKey = deriveSigningKey(apiKeyPlain);
+    const previousKeyExpiresAt = gracePeriodHours > 0
+      ? new Date(Date.now() + gracePeriodHours * 60 * 60 * 1000)
+      : null;
+
+    // Only the most recent previous secret is kept
+    const rotated = await prisma.apiKey.update({
+      where: { id },
+      data: {
+        keyHash,
+        signingKey,
+        keyPrefix: apiKeyPlain.substring(0, 16),
+        previousKeyHash: previousKeyExpiresAt ? apiKey.keyHash : null,
+        previousSigningKey: previousKeyExpiresAt ? apiKey.signingKey : null,
+        previousKeyExpiresAt,
+        rotatedAt: new Date(),
+      },
+    });
+
+    await invalidateApiKeyCache(apiKey);
+
+    logger.info('API key rotated', { userId, keyId: id, gracePeriodHours });
+
+    return successResponse(res, {
+      message: 'API key rotated successfully',
+      api_key: {
+        id: rotated.id,
+        key: apiKeyPlain,
+        signing_key: signingKey,
+        name: rotated.name,
+        tier: rotated.tier.toLowerCase(),
+        rotated_at: rotated.rotatedAt,
+        previous_key_expires_at: previousKeyExpiresAt?.toISOString() || null,
+        note: 'Save this key and its signing key securely. You will not be able to see them again!',
+      },
+    });
+  })
+);
+
+/**
+ * DELETE /v1/auth/keys/:id
+ * Revoke/delete an API key (requires a user session)
+ */
+router.delete(
+  '/keys/:id',
+  authMiddleware,
+  requireSession,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    // Find the key and verify ownership
+    const apiKey = await prisma.apiKey.findFirst({
+      where: { id, userId },
+    });
+
+    if (!apiKey) {
+      return errorResponse(res, 'KEY_NOT_FOUND', 'API key not found', 404);
+    }
+
     // Soft delete - mark as revoked
     await prisma.apiKey.update({
       where: { id },
       data: { status: 'REVOKED' },
     });
 
+    await invalidateApiKeyCache(apiKey);
+
     logger.info('API key revoked', { userId, keyId: id });
 
     return successResponse(res, {
@@ -347,17 +631,29 @@ router.post(
     // Hash and lookup
     const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
 
-    const apiKeyRecord = await prisma.apiKey.findUnique({
-      where: { keyHash },
-      include: {
-        user: {
-          select: {
-            email: true,
-            status: true,
-          },
+    const include = {
+      user: {
+        select: {
+          email: true,
+          status: true,
         },
       },
+    };
+
+    let apiKeyRecord = await prisma.apiKey.findUnique({
+      where: { keyHash },
+      include,
     });
+    let isPreviousKey = false;
+
+    // Previous secret of a rotated key
+    if (!apiKeyRecord) {
+      apiKeyRecord = await prisma.apiKey.findUnique({
+        where: { previousKeyHash: keyHash },
+        include,
+      });
+      isPreviousKey = Boolean(apiKeyRecord);
+    }
 
     if (!apiKeyRecord) {
       return successResponse(res, {
@@ -380,14 +676,36 @@ router.post(
       });
     }
 
+    if (isPreviousKey && new Date(apiKeyRecord.previousKeyExpiresAt) < new Date()) {
+      return successResponse(res, {
+        valid: false,
+        error: 'API key has been rotated and its grace period has ended',
+      });
+    }
+
+    // Evaluate the allowlists against this request
+    const denied = checkAccessRules(req, apiKeyRecord.allowedIps, apiKeyRecord.allowedOrigins);
+
     return successResponse(res, {
       valid: true,
       key: {
         name: apiKeyRecord.name,
         tier: apiKeyRecord.tier.toLowerCase(),
+        scopes: resolveScopes(apiKeyRecord.permissions),
+        allowed_ips: apiKeyRecord.allowedIps,
+        allowed_origins: apiKeyRecord.allowedOrigins,
+        signature_required: apiKeyRecord.signatureRequired,
         created_at: apiKeyRecord.createdAt,
         last_used_at: apiKeyRecord.lastUsedAt,
         expires_at: apiKeyRecord.expiresAt,
+        deprecated: isPreviousKey,
+        grace_expires_at: isPreviousKey ? apiKeyRecord.previousKeyExpiresAt : null,
+      },
+      access: {
+        allowed: !denied,
+        ip: req.ip,
+        origin: req.headers.origin || null,
+        error: denied ? { code: denied.code, message: denied.message } : null,
       },
       user: {
         email: apiKeyRecord.user.email,
@@ -424,11 +742,13 @@ router.get(
       name: user.name,
       status: user.status.toLowerCase(),
       api_keys_count: user._count.apiKeys,
-      current_key: {
+      auth_type: req.user.authType,
+      current_key: req.user.apiKeyId ? {
         id: req.user.apiKeyId,
         name: req.user.apiKeyName,
         tier: req.user.tier,
-      },
+        scopes: req.user.scopes,
+      } : null,
       created_at: user.createdAt,
     });
   })
@@ -9,16 +9,7 @@ const { prisma, healthCheck: dbHealthCheck } = require('../../lib/prisma');
 const { redis } = require('../../config/redis');
 const { successResponse, errorResponse } = require('../../utils/response');
 const logger = require('../../utils/logger');
-
-// Prometheus metrics
-let promClient;
-try {
-  promClient = require('prom-client');
-  const register = new promClient.Registry();
-  promClient.collectDefaultMetrics({ register });
-} catch (e) {
-  logger.warn('prom-client not available');
-}
+const { register } = require('../../utils/metrics');
 
 /**
  * GET /health
@@ -77,12 +68,7 @@ router.get('/ready', async (req, res) => {
  * Prometheus metrics endpoint
  */
 router.get('/metrics', async (req, res) => {
-  if (!promClient) {
-    return errorResponse(res, 'METRICS_UNAVAILABLE', 'Metrics not configured', 503);
-  }
-
   try {
-    const register = promClient.register;
     res.set('Content-Type', register.contentType);
     res.end(await register.metrics());
   } catch (error) {
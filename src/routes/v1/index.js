@@ -10,4 +10,6 @@ module.exports = {
   workflows: require('./workflows'),
   zk: require('./zk'),
   webhooks: require('./webhooks'),
+  admin: require('./admin'),
+  usage: require('./usage'),
 };
@@ -6,11 +6,16 @@
 const express = require('express');
 const router = express.Router();
 const { asyncHandler } = require('../../../middleware/errorHandler');
+const { requireScope } = require('../../../middleware/auth');
 const { validateQuery, validateParams, Joi } = require('../../../middleware/validation');
 const { successResponse, errorResponse, paginatedResponse } = require('../../../utils/response');
 const PolymarketService = require('../../../services/polymarket');
 const polymarketData = require('../../../services/polymarketData');
 const logger = require('../../../utils/logger');
+const { API_KEY_SCOPES } = require('../../../config/constants');
+
+// Every Polymarket route requires the polymarket:read scope
+router.use(requireScope(API_KEY_SCOPES.POLYMARKET_READ));
 
 // Validation schemas
 const schemas = {
@@ -3,20 +3,116 @@
  * Comprehensive Solana blockchain API
  * 
  * Features:
- * - Account data (balance, tokens, NFTs)
+ * - Account data (balance, tokens, NFTs, portfolio value), single or in batches
  * - Token metadata and prices (via Jupiter)
+ * - Mint inspection (authorities, Token-2022 extensions, rug-risk flags)
+ * - NFT collections, single assets and compressed NFT proofs (DAS)
+ * - Address labels (public registry and private labels, ?labels=true)
  * - Balance updates via Bitquery GraphQL
  * - DEX trades (pump.fun, raydium, orca, jupiter)
+ * - Transaction simulation, submission and decoding
+ * - Priority fee estimates
+ * - Watched accounts (account.updated webhooks)
+ * - Network selection (?network= or X-Solana-Network) and devnet airdrops
+ * - JSON-RPC proxy and RPC provider pool status
+ * - Stake accounts, validators and epoch info
  */
 
 const express = require('express');
 const router = express.Router();
 const { asyncHandler } = require('../../../middleware/errorHandler');
+const { requireScope } = require('../../../middleware/auth');
+const { routeRateLimit } = require('../../../middleware/rateLimit');
 const { validateBody, validateParams, validateQuery, Joi, commonSchemas } = require('../../../middleware/validation');
-const { successResponse, errorResponse } = require('../../../utils/response');
+const { successResponse, errorResponse, createdResponse, paginatedResponse } = require('../../../utils/response');
+const { prisma } = require('../../../lib/prisma');
 const SolanaService = require('../../../services/solana');
+const AccountWatcher = require('../../../services/accountWatcher');
+const TransactionDecoder = require('../../../services/transactionDecoder');
+const PortfolioService = require('../../../services/portfolio');
+const StakingService = require('../../../services/staking');
+const TokenInfoService = require('../../../services/tokenInfo');
+const NftService = require('../../../services/nft');
+const LabelService = require('../../../services/labels');
+const RpcProxy = require('../../../services/rpcProxy');
 const BitqueryService = require('../../../services/bitquery');
 const logger = require('../../../utils/logger');
+const {
+  API_KEY_SCOPES,
+  WATCHED_ACCOUNT_LIMITS,
+  ADDRESS_LABEL_LIMITS,
+  SOLANA_NETWORKS,
+  PRIORITY_FEE_SPEEDS,
+} = require('../../../config/constants');
+
+// Accepted shorthand for network names
+const NETWORK_ALIASES = {
+  mainnet: SOLANA_NETWORKS.MAINNET,
+};
+
+/**
+ * Resolve the Solana network from ?network= or the X-Solana-Network header
+ * Defaults to mainnet-beta
+ */
+function resolveNetwork(req, res, next) {
+  const requested = req.query.network || req.get('X-Solana-Network') || SOLANA_NETWORKS.MAINNET;
+  const network = NETWORK_ALIASES[requested] || requested;
+
+  if (!SolanaService.isSupportedNetwork(network)) {
+    return errorResponse(res, 'INVALID_NETWORK', `Unknown network: ${requested}`, 400, {
+      supported: Object.values(SOLANA_NETWORKS),
+    });
+  }
+
+  req.network = network;
+  res.set('X-Solana-Network', network);
+  next();
+}
+
+/**
+ * Reject requests for other networks on routes backed by mainnet-only data
+ * (Bitquery, Jupiter prices, watched accounts)
+ */
+function mainnetOnly(req, res, next) {
+  if (req.network !== SOLANA_NETWORKS.MAINNET) {
+    return errorResponse(res, 'NETWORK_NOT_SUPPORTED', `This endpoint is only available on ${SOLANA_NETWORKS.MAINNET}`, 400);
+  }
+  next();
+}
+
+/**
+ * With ?labels=true, add a `labels` map (address -> name, category, source)
+ * for every known address in a successful response
+ */
+function attachLabels(req, res, next) {
+  if (req.query.labels !== 'true') return next();
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (!body?.success || body.data === undefined) return json(body);
+
+    LabelService.getLabels(body.data, req.user.id)
+      .then((labels) => json({ ...body, labels }))
+      .catch((error) => {
+        logger.warn('Label lookup failed:', { path: req.path, error: error.message });
+        json(body);
+      });
+    return res;
+  };
+  next();
+}
+
+// Every Solana route requires the solana:read scope
+router.use(requireScope(API_KEY_SCOPES.SOLANA_READ));
+router.use(resolveNetwork);
+router.use(attachLabels);
+
+// Serialized transactions are at most 1232 bytes (1644 base64 characters)
+const transactionSchema = Joi.string().base64().max(1644);
+
+// PnL window: 30 days by default, at most 90
+const PNL_DEFAULT_DAYS = 30;
+const PNL_MAX_DAYS = 90;
 
 // Validation schemas
 const schemas = {
@@ -26,15 +122,99 @@ const schemas = {
   mint: Joi.object({
     mint: commonSchemas.solanaAddress.required(),
   }),
+  accountsBatch: Joi.object({
+    addresses: Joi.array().items(commonSchemas.solanaAddress).min(1).max(100).required(),
+  }),
+  assetId: Joi.object({
+    id: commonSchemas.solanaAddress.required(),
+  }),
+  collectionAssets: Joi.object({
+    limit: Joi.number().integer().min(1).max(1000).default(100),
+    cursor: Joi.string().max(256).description('next_cursor from the previous page'),
+  }),
   pagination: Joi.object({
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(50),
   }),
+  portfolio: Joi.object({
+    include_nfts: Joi.boolean().default(false),
+  }),
+  pnl: Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+  }),
   tokenPrices: Joi.object({
     mints: Joi.string().required().description('Comma-separated mint addresses'),
   }),
+  signature: Joi.object({
+    signature: commonSchemas.solanaSignature.required(),
+  }),
+  simulateTransaction: Joi.object({
+    transaction: transactionSchema.required(),
+    commitment: Joi.string().valid('processed', 'confirmed', 'finalized').default('confirmed'),
+    replace_recent_blockhash: Joi.boolean().default(true),
+    sig_verify: Joi.boolean().default(false).when('replace_recent_blockhash', {
+      is: true,
+      then: Joi.valid(false).messages({ 'any.only': 'sig_verify cannot be used with replace_recent_blockhash' }),
+    }),
+  }),
+  sendTransaction: Joi.object({
+    transaction: transactionSchema.required(),
+    skip_preflight: Joi.boolean().default(false),
+    preflight_commitment: Joi.string().valid('processed', 'confirmed', 'finalized').default('confirmed'),
+    max_retries: Joi.number().integer().min(0).max(10).default(3),
+  }),
+  priorityFeeEstimate: Joi.object({
+    transaction: transactionSchema,
+    accounts: Joi.array().items(commonSchemas.solanaAddress).min(1).max(128).unique()
+      .description('Accounts the transaction writes to'),
+    speed: Joi.string().valid(...Object.keys(PRIORITY_FEE_SPEEDS)).default('normal'),
+  }).xor('transaction', 'accounts'),
+  listLabels: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+    category: Joi.string().max(50),
+  }),
+  labelRegistry: Joi.object({
+    category: Joi.string().max(50),
+  }),
+  setLabel: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    category: Joi.string().trim().lowercase().max(50).allow(null),
+  }),
+  watchAccount: Joi.object({
+    address: commonSchemas.solanaAddress.required(),
+    label: Joi.string().max(100),
+  }),
+  watchId: Joi.object({
+    id: Joi.string().required(),
+  }),
+  stakeAccounts: Joi.object({
+    epochs: Joi.number().integer().min(1).max(10).default(5).description('Completed epochs of rewards'),
+  }),
+  validators: Joi.object({
+    sort: Joi.string().valid('stake', 'apy', 'commission', 'skip_rate').default('stake'),
+    limit: Joi.number().integer().min(1).max(2000).default(100),
+    include_delinquent: Joi.boolean().default(false),
+  }),
+  airdrop: Joi.object({
+    address: commonSchemas.solanaAddress.required(),
+    amount: Joi.number().positive().max(2).default(1).description('SOL'),
+  }),
 };
 
+/**
+ * Decode a transaction from the request body, or send a 400
+ */
+function decodeTransactionOrFail(req, res) {
+  try {
+    return SolanaService.decodeTransaction(req.body.transaction);
+  } catch (error) {
+    errorResponse(res, 'INVALID_TRANSACTION', `Could not decode transaction: ${error.message}`, 400);
+    return null;
+  }
+}
+
 // ============================================
 // ACCOUNT ENDPOINTS
 // ============================================
@@ -54,8 +234,8 @@ router.get(
     }
 
     const [accountInfo, balanceResult] = await Promise.all([
-      SolanaService.getAccountInfo(address),
-      SolanaService.getBalance(address),
+      SolanaService.getAccountInfo(address, { network: req.network }),
+      SolanaService.getBalance(address, { network: req.network }),
     ]);
 
     const balance = balanceResult.data || balanceResult;
@@ -83,7 +263,7 @@ router.get(
       return errorResponse(res, 'INVALID_ADDRESS', 'Invalid Solana address', 400);
     }
 
-    const result = await SolanaService.getBalance(address);
+    const result = await SolanaService.getBalance(address, { network: req.network });
 
     return successResponse(res, {
       address,
@@ -93,6 +273,32 @@ router.get(
   })
 );
 
+/**
+ * POST /v1/solana/accounts/batch
+ * Balances, owners and token account data for up to 100 addresses
+ */
+router.post(
+  '/accounts/batch',
+  validateBody(schemas.accountsBatch),
+  asyncHandler(async (req, res) => {
+    const { addresses } = req.body;
+
+    const invalid = addresses.filter((address) => !SolanaService.isValidAddress(address));
+    if (invalid.length > 0) {
+      return errorResponse(res, 'INVALID_ADDRESS', 'Invalid Solana address', 400, { addresses: invalid });
+    }
+
+    const result = await SolanaService.getAccountsBatch(addresses, { network: req.network });
+
+    return successResponse(res, {
+      network: req.network,
+      count: result.data.length,
+      found: result.data.filter((account) => account.exists).length,
+      accounts: result.data,
+    }, { cached: result.cached });
+  })
+);
+
 /**
  * GET /v1/solana/account/:address/tokens
  * Get SPL token holdings
@@ -107,16 +313,16 @@ router.get(
       return errorResponse(res, 'INVALID_ADDRESS', 'Invalid Solana address', 400);
     }
 
-    const result = await SolanaService.getTokenAccounts(address);
+    const result = await SolanaService.getTokenAccounts(address, { network: req.network });
 
-    // Get prices for tokens with significant balance
+    // Get prices for tokens with a balance (Jupiter only prices mainnet tokens)
     const tokensWithBalance = result.data?.filter(t => t.balance > 0) || [];
     let prices = {};
     
-    if (tokensWithBalance.length > 0 && tokensWithBalance.length <= 10) {
+    if (tokensWithBalance.length > 0 && req.network === SOLANA_NETWORKS.MAINNET) {
       const mints = tokensWithBalance.map(t => t.mint);
       const priceData = await SolanaService.getTokenPrices(mints);
-      prices = Object.fromEntries(priceData.map(p => [p.mint, p.price]));
+      prices = Object.fromEntries(priceData.data.map(p => [p.mint, Number(p.price)]));
     }
 
     return successResponse(res, {
@@ -131,16 +337,624 @@ router.get(
   })
 );
 
+/**
+ * GET /v1/solana/account/:address/portfolio
+ * USD value of SOL, tokens and (optionally) NFTs
+ */
+router.get(
+  '/account/:address/portfolio',
+  mainnetOnly,
+  validateParams(schemas.address),
+  validateQuery(schemas.portfolio),
+  asyncHandler(async (req, res) => {
+    const { address } = req.params;
+
+    if (!SolanaService.isValidAddress(address)) {
+      return errorResponse(res, 'INVALID_ADDRESS', 'Invalid Solana address', 400);
+    }
+
+    const portfolio = await PortfolioService.getPortfolio(address, {
+      includeNfts: req.query.include_nfts,
+    });
+
+    return successResponse(res, portfolio);
+  })
+);
+
+// ============================================
+// TRANSACTION ENDPOINTS
+// ============================================
+
+/**
+ * POST /v1/solana/transactions/simulate
+ * Simulate a signed or unsigned transaction
+ */
+router.post(
+  '/transactions/simulate',
+  validateBody(schemas.simulateTransaction),
+  asyncHandler(async (req, res) => {
+    const { commitment, replace_recent_blockhash, sig_verify } = req.body;
+
+    if (!decodeTransactionOrFail(req, res)) return;
+
+    try {
+      const result = await SolanaService.simulateTransaction(req.body.transaction, {
+        network: req.network,
+        commitment,
+        replaceRecentBlockhash: replace_recent_blockhash,
+        sigVerify: sig_verify,
+      });
+
+      return successResponse(res, result);
+    } catch (error) {
+      if (error.isClientError) {
+        return errorResponse(res, 'INVALID_TRANSACTION', error.message, 400);
+      }
+      throw error;
+    }
+  })
+);
+
+/**
+ * POST /v1/solana/transactions/send
+ * Submit a signed transaction (requires the solana:write scope)
+ */
+router.post(
+  '/transactions/send',
+  requireScope(API_KEY_SCOPES.SOLANA_WRITE),
+  validateBody(schemas.sendTransaction),
+  asyncHandler(async (req, res) => {
+    const { skip_preflight, preflight_commitment, max_retries } = req.body;
+
+    if (!decodeTransactionOrFail(req, res)) return;
+
+    try {
+      const result = await SolanaService.sendTransaction(
+        req.body.transaction,
+        {
+          network: req.network,
+          skipPreflight: skip_preflight,
+          preflightCommitment: preflight_commitment,
+          maxRetries: max_retries,
+        },
+        {
+          userId: req.user.id,
+          apiKeyId: req.user.apiKeyId,
+          requestId: req.requestId,
+        }
+      );
+
+      logger.info('Transaction submitted', {
+        signature: result.signature,
+        network: req.network,
+        userId: req.user.id,
+        apiKeyId: req.user.apiKeyId,
+      });
+
+      return successResponse(res, { ...result, network: req.network, status: 'pending' }, {}, 202);
+    } catch (error) {
+      if (error.isClientError) {
+        return errorResponse(res, 'TRANSACTION_FAILED', error.message, 400, {
+          rpc_code: error.rpcCode,
+          err: error.rpcData?.err ?? null,
+          logs: error.rpcData?.logs || [],
+          units_consumed: error.rpcData?.unitsConsumed ?? null,
+        });
+      }
+      throw error;
+    }
+  })
+);
+
+/**
+ * POST /v1/solana/priority-fees/estimate
+ * Priority fee percentiles for a transaction's (or a list of) writable accounts,
+ * with a recommended compute unit price and limit
+ */
+router.post(
+  '/priority-fees/estimate',
+  validateBody(schemas.priorityFeeEstimate),
+  asyncHandler(async (req, res) => {
+    const { transaction, accounts, speed } = req.body;
+
+    if (transaction && !decodeTransactionOrFail(req, res)) return;
+
+    try {
+      const result = await SolanaService.getPriorityFeeEstimate({
+        transaction,
+        accounts,
+        speed,
+        network: req.network,
+      });
+
+      return successResponse(res, result.data, { cached: result.cached });
+    } catch (error) {
+      if (error.isClientError) {
+        return errorResponse(res, 'INVALID_TRANSACTION', error.message, 400);
+      }
+      throw error;
+    }
+  })
+);
+
+/**
+ * GET /v1/solana/transactions/:signature/decoded
+ * Classify a transaction and list its net balance changes
+ */
+router.get(
+  '/transactions/:signature/decoded',
+  validateParams(schemas.signature),
+  asyncHandler(async (req, res) => {
+    const result = await TransactionDecoder.getDecodedTransaction(req.params.signature, {
+      network: req.network,
+    });
+
+    if (!result) {
+      return errorResponse(res, 'NOT_FOUND', 'Transaction not found', 404);
+    }
+
+    return successResponse(res, result.data, { cached: result.cached });
+  })
+);
+
+// ============================================
+// STAKING & NETWORK
+// ============================================
+
+// Validator list orderings (nulls last)
+const VALIDATOR_SORTS = {
+  stake: (a, b) => b.activated_stake - a.activated_stake,
+  apy: (a, b) => b.apy_estimate - a.apy_estimate,
+  commission: (a, b) => a.commission - b.commission,
+  skip_rate: (a, b) => (a.skip_rate ?? Infinity) - (b.skip_rate ?? Infinity),
+};
+
+/**
+ * GET /v1/solana/account/:address/stake
+ * Stake accounts (as staker or withdrawer) with activation state and rewards per epoch
+ */
+router.get(
+  '/account/:address/stake',
+  validateParams(schemas.address),
+  validateQuery(schemas.stakeAccounts),
+  asyncHandler(async (req, res) => {
+    const { address } = req.params;
+
+    if (!SolanaService.isValidAddress(address)) {
+      return errorResponse(res, 'INVALID_ADDRESS', 'Invalid Solana address', 400);
+    }
+
+    const result = await StakingService.getStakeAccounts(address, {
+      network: req.network,
+      epochs: req.query.epochs,
+    });
+
+    return successResponse(res, result.data, { cached: result.cached });
+  })
+);
+
+/**
+ * GET /v1/solana/validators
+ * Validators with commission, skip rate and an APY estimate
+ */
+router.get(
+  '/validators',
+  validateQuery(schemas.validators),
+  asyncHandler(async (req, res) => {
+    const { sort, limit, include_delinquent } = req.query;
+
+    const result = await StakingService.getValidators({ network: req.network });
+    const { validators, ...network } = result.data;
+
+    const listed = validators
+      .filter((validator) => include_delinquent || !validator.delinquent)
+      .sort(VALIDATOR_SORTS[sort]);
+
+    return successResponse(res, {
+      ...network,
+      validator_count: validators.filter((validator) => !validator.delinquent).length,
+      delinquent_count: validators.filter((validator) => validator.delinquent).length,
+      count: Math.min(limit, listed.length),
+      validators: listed.slice(0, limit),
+    }, { cached: result.cached });
+  })
+);
+
+/**
+ * GET /v1/solana/network/stats
+ * Slot, supply, TPS and current epoch progress
+ */
+router.get(
+  '/network/stats',
+  asyncHandler(async (req, res) => {
+    const result = await SolanaService.getNetworkStats({ network: req.network });
+
+    return successResponse(res, { network: req.network, ...result.data }, { cached: result.cached });
+  })
+);
+
+// ============================================
+// JSON-RPC PROXY
+// ============================================
+
+/**
+ * POST /v1/solana/rpc
+ * JSON-RPC 2.0 passthrough (single calls or batches), e.g. as a web3.js Connection endpoint
+ */
+router.post(
+  '/rpc',
+  asyncHandler(async (req, res) => {
+    const response = await RpcProxy.handle(req.body, {
+      network: req.network,
+      tier: req.user.tier,
+      scopes: req.user.scopes,
+    });
+
+    if (response === null) {
+      return res.status(204).end();
+    }
+
+    return res.json(response);
+  })
+);
+
+// ============================================
+// RPC PROVIDERS
+// ============================================
+
+/**
+ * GET /v1/solana/providers/status
+ * Health, latency and slot lag of the network's RPC providers
+ */
+router.get(
+  '/providers/status',
+  asyncHandler(async (req, res) => {
+    const providers = SolanaService.getProviderStatus(req.network);
+
+    return successResponse(res, {
+      network: req.network,
+      available: providers.filter((provider) => provider.available).length,
+      providers,
+    });
+  })
+);
+
+// ============================================
+// DEVNET / TESTNET
+// ============================================
+
+/**
+ * POST /v1/solana/airdrop
+ * Request test SOL on devnet or testnet
+ */
+router.post(
+  '/airdrop',
+  routeRateLimit('airdrop'),
+  validateBody(schemas.airdrop),
+  asyncHandler(async (req, res) => {
+    const { address, amount } = req.body;
+
+    if (req.network === SOLANA_NETWORKS.MAINNET) {
+      return errorResponse(res, 'NETWORK_NOT_SUPPORTED', 'Airdrops are only available on devnet and testnet', 400);
+    }
+
+    if (!SolanaService.isValidAddress(address)) {
+      return errorResponse(res, 'INVALID_ADDRESS', 'Invalid Solana address', 400);
+    }
+
+    try {
+      const result = await SolanaService.requestAirdrop(address, amount, { network: req.network });
+
+      logger.info('Airdrop requested', { address, network: req.network, userId: req.user.id });
+
+      return successResponse(res, { address, ...result });
+    } catch (error) {
+      return errorResponse(res, 'AIRDROP_FAILED', `Airdrop failed: ${error.message}`, 502);
+    }
+  })
+);
+
+// ============================================
+// WATCHED ACCOUNTS
+// ============================================
+
+/**
+ * Format a watched account with its last known state
+ */
+function formatWatchedAccount(watched, state) {
+  return {
+    id: watched.id,
+    address: watched.address,
+    label: watched.label,
+    created_at: watched.createdAt,
+    last_seen: state,
+  };
+}
+
+/**
+ * GET /v1/solana/watch
+ * List watched accounts
+ */
+router.get(
+  '/watch',
+  mainnetOnly,
+  asyncHandler(async (req, res) => {
+    const watched = await prisma.watchedAccount.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    const states = await Promise.all(watched.map((w) => AccountWatcher.getState(w.address).catch(() => null)));
+    const limit = WATCHED_ACCOUNT_LIMITS[req.user.accountTier?.toUpperCase()] || WATCHED_ACCOUNT_LIMITS.FREE;
+
+    return successResponse(res, {
+      count: watched.length,
+      limit,
+      accounts: watched.map((w, index) => formatWatchedAccount(w, states[index])),
+    });
+  })
+);
+
+/**
+ * POST /v1/solana/watch
+ * Watch an account for changes (sends account.updated webhooks)
+ */
+router.post(
+  '/watch',
+  mainnetOnly,
+  validateBody(schemas.watchAccount),
+  asyncHandler(async (req, res) => {
+    const { address, label } = req.body;
+
+    if (!SolanaService.isValidAddress(address)) {
+      return errorResponse(res, 'INVALID_ADDRESS', 'Invalid Solana address', 400);
+    }
+
+    const tier = req.user.accountTier || 'free';
+    const limit = WATCHED_ACCOUNT_LIMITS[tier.toUpperCase()] || WATCHED_ACCOUNT_LIMITS.FREE;
+
+    const [count, existing] = await Promise.all([
+      prisma.watchedAccount.count({ where: { userId: req.user.id } }),
+      prisma.watchedAccount.findUnique({
+        where: { userId_address: { userId: req.user.id, address } },
+      }),
+    ]);
+
+    if (existing) {
+      return errorResponse(res, 'ALREADY_WATCHED', 'This account is already being watched', 409, {
+        id: existing.id,
+      });
+    }
+
+    if (count >= limit) {
+      return errorResponse(
+        res,
+        'WATCH_LIMIT_REACHED',
+        `You can only watch ${limit} accounts on the ${tier} tier`,
+        400
+      );
+    }
+
+    const watched = await prisma.watchedAccount.create({
+      data: { userId: req.user.id, address, label },
+    });
+
+    // Pick the address up now if this process is the watcher
+    AccountWatcher.refresh().catch((error) => logger.error('Account watcher refresh error:', error.message));
+
+    return createdResponse(res, formatWatchedAccount(watched, null));
+  })
+);
+
+/**
+ * DELETE /v1/solana/watch/:id
+ * Stop watching an account
+ */
+router.delete(
+  '/watch/:id',
+  mainnetOnly,
+  validateParams(schemas.watchId),
+  asyncHandler(async (req, res) => {
+    const { count } = await prisma.watchedAccount.deleteMany({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (count === 0) {
+      return errorResponse(res, 'NOT_FOUND', 'Watched account not found', 404);
+    }
+
+    AccountWatcher.refresh().catch((error) => logger.error('Account watcher refresh error:', error.message));
+
+    return res.status(204).send();
+  })
+);
+
+// ============================================
+// ADDRESS LABELS
+// ============================================
+
+/**
+ * Format a private label
+ */
+function formatLabel(label) {
+  return {
+    address: label.address,
+    name: label.name,
+    category: label.category,
+    created_at: label.createdAt,
+    updated_at: label.updatedAt,
+  };
+}
+
+/**
+ * GET /v1/solana/labels
+ * List your private labels
+ */
+router.get(
+  '/labels',
+  validateQuery(schemas.listLabels),
+  asyncHandler(async (req, res) => {
+    const { page, limit, category } = req.query;
+    const where = { userId: req.user.id };
+    if (category) where.category = category;
+
+    const [labels, total] = await Promise.all([
+      prisma.addressLabel.findMany({
+        where,
+        skip: (page - 1) * limit,
+        take: limit,
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.addressLabel.count({ where }),
+    ]);
+
+    return paginatedResponse(res, labels.map(formatLabel), { page, limit, total });
+  })
+);
+
+/**
+ * GET /v1/solana/labels/registry
+ * Public labels for well-known programs, exchanges, DEX pools and bridges
+ */
+router.get(
+  '/labels/registry',
+  validateQuery(schemas.labelRegistry),
+  asyncHandler(async (req, res) => {
+    const labels = LabelService.listPublicLabels(req.query.category);
+
+    return successResponse(res, {
+      count: labels.length,
+      categories: LabelService.listCategories(),
+      labels,
+    });
+  })
+);
+
+/**
+ * GET /v1/solana/labels/:address
+ * Label for an address (your private label, else the public registry)
+ */
+router.get(
+  '/labels/:address',
+  validateParams(schemas.address),
+  asyncHandler(async (req, res) => {
+    const { address } = req.params;
+
+    const privateLabel = await prisma.addressLabel.findUnique({
+      where: { userId_address: { userId: req.user.id, address } },
+    });
+    const label = privateLabel
+      ? { name: privateLabel.name, category: privateLabel.category, source: 'private' }
+      : LabelService.getPublicLabel(address);
+
+    if (!label) {
+      return errorResponse(res, 'NOT_FOUND', 'No label for this address', 404);
+    }
+
+    return successResponse(res, { address, ...label });
+  })
+);
+
+/**
+ * PUT /v1/solana/labels/:address
+ * Set your private label for an address
+ */
+router.put(
+  '/labels/:address',
+  validateParams(schemas.address),
+  validateBody(schemas.setLabel),
+  asyncHandler(async (req, res) => {
+    const { address } = req.params;
+    const { name, category = null } = req.body;
+
+    if (!SolanaService.isValidAddress(address)) {
+      return errorResponse(res, 'INVALID_ADDRESS', 'Invalid Solana address', 400);
+    }
+
+    const where = { userId_address: { userId: req.user.id, address } };
+    const existing = await prisma.addressLabel.findUnique({ where });
+
+    if (existing) {
+      const label = await prisma.addressLabel.update({ where, data: { name, category } });
+      return successResponse(res, formatLabel(label));
+    }
+
+    const tier = req.user.accountTier || 'free';
+    const limit = ADDRESS_LABEL_LIMITS[tier.toUpperCase()] || ADDRESS_LABEL_LIMITS.FREE;
+    const count = await prisma.addressLabel.count({ where: { userId: req.user.id } });
+
+    if (count >= limit) {
+      return errorResponse(
+        res,
+        'LABEL_LIMIT_REACHED',
+        `You can only keep ${limit} labels on the ${tier} tier`,
+        400
+      );
+    }
+
+    const label = await prisma.addressLabel.create({
+      data: { userId: req.user.id, address, name, category },
+    });
+
+    return createdResponse(res, formatLabel(label));
+  })
+);
+
+/**
+ * DELETE /v1/solana/labels/:address
+ * Remove your private label for an address
+ */
+router.delete(
+  '/labels/:address',
+  validateParams(schemas.address),
+  asyncHandler(async (req, res) => {
+    const { count } = await prisma.addressLabel.deleteMany({
+      where: { userId: req.user.id, address: req.params.address },
+    });
+
+    if (count === 0) {
+      return errorResponse(res, 'NOT_FOUND', 'Label not found', 404);
+    }
+
+    return res.status(204).send();
+  })
+);
+
 // ============================================
 // TOKEN ENDPOINTS
 // ============================================
 
+/**
+ * GET /v1/solana/token/:mint/info
+ * Supply, authorities, Token-2022 extensions and a rug-risk summary
+ */
+router.get(
+  '/token/:mint/info',
+  validateParams(schemas.mint),
+  asyncHandler(async (req, res) => {
+    const { mint } = req.params;
+
+    if (!SolanaService.isValidAddress(mint)) {
+      return errorResponse(res, 'INVALID_MINT', 'Invalid mint address', 400);
+    }
+
+    const result = await TokenInfoService.getTokenInfo(mint, { network: req.network });
+
+    if (!result.data) {
+      return errorResponse(res, 'NOT_FOUND', 'Token mint not found', 404);
+    }
+
+    return successResponse(res, result.data, { cached: result.cached });
+  })
+);
+
 /**
  * GET /v1/solana/token/:mint/price
  * Get token price (via Jupiter)
  */
 router.get(
   '/token/:mint/price',
+  mainnetOnly,
   validateParams(schemas.mint),
   asyncHandler(async (req, res) => {
     const { mint } = req.params;
@@ -161,6 +975,7 @@ router.get(
  */
 router.get(
   '/tokens/prices',
+  mainnetOnly,
   validateQuery(schemas.tokenPrices),
   asyncHandler(async (req, res) => {
     const { mints } = req.query;
@@ -183,6 +998,76 @@ router.get(
   })
 );
 
+// ============================================
+// NFTS (DAS)
+// ============================================
+
+/**
+ * GET /v1/solana/collections/:address/assets
+ * Assets in a collection, paginated with cursors
+ */
+router.get(
+  '/collections/:address/assets',
+  validateParams(schemas.address),
+  validateQuery(schemas.collectionAssets),
+  asyncHandler(async (req, res) => {
+    const { address } = req.params;
+    const { limit, cursor } = req.query;
+
+    try {
+      const result = await NftService.getCollectionAssets(address, { network: req.network, limit, cursor });
+      return successResponse(res, result.data, { cached: result.cached });
+    } catch (error) {
+      if (error.isClientError) {
+        return errorResponse(res, 'INVALID_REQUEST', error.message, 400);
+      }
+      throw error;
+    }
+  })
+);
+
+/**
+ * GET /v1/solana/assets/:id
+ * A single NFT or compressed NFT with creators and royalties
+ */
+router.get(
+  '/assets/:id',
+  validateParams(schemas.assetId),
+  asyncHandler(async (req, res) => {
+    try {
+      const result = await NftService.getAsset(req.params.id, { network: req.network });
+      return successResponse(res, result.data, { cached: result.cached });
+    } catch (error) {
+      if (error.isClientError) {
+        return errorResponse(res, 'NOT_FOUND', error.message, 404);
+      }
+      throw error;
+    }
+  })
+);
+
+/**
+ * GET /v1/solana/assets/:id/proof
+ * Merkle proof for a compressed NFT
+ */
+router.get(
+  '/assets/:id/proof',
+  validateParams(schemas.assetId),
+  asyncHandler(async (req, res) => {
+    try {
+      const result = await NftService.getAssetProof(req.params.id, { network: req.network });
+      return successResponse(res, result.data, { cached: result.cached });
+    } catch (error) {
+      if (error.isClientError) {
+        return errorResponse(res, 'NOT_FOUND', 'No proof for this asset (only compressed NFTs have one)', 404, {
+          rpc_message: error.message,
+        });
+      }
+      throw error;
+    }
+  })
+);
+
 // ============================================
 // BITQUERY ENDPOINTS (GraphQL Balance Updates)
 // ============================================
@@ -193,6 +1078,7 @@ router.get(
  */
 router.get(
   '/balance-updates',
+  mainnetOnly,
   validateQuery(Joi.object({
     limit: Joi.number().integer().min(1).max(100).default(50),
   })),
@@ -219,6 +1105,7 @@ router.get(
  */
 router.get(
   '/balances/:address',
+  mainnetOnly,
   validateParams(schemas.address),
   asyncHandler(async (req, res) => {
     const { address } = req.params;
@@ -243,6 +1130,7 @@ router.get(
  */
 router.get(
   '/balance-history/:address',
+  mainnetOnly,
   validateParams(schemas.address),
   validateQuery(Joi.object({
     limit: Joi.number().integer().min(1).max(100).default(50),
@@ -269,12 +1157,52 @@ router.get(
   })
 );
 
+/**
+ * GET /v1/solana/account/:address/pnl
+ * Realized and unrealized PnL per token with a daily equity curve
+ */
+router.get(
+  '/account/:address/pnl',
+  mainnetOnly,
+  validateParams(schemas.address),
+  validateQuery(schemas.pnl),
+  asyncHandler(async (req, res) => {
+    const { address } = req.params;
+
+    if (!SolanaService.isValidAddress(address)) {
+      return errorResponse(res, 'INVALID_ADDRESS', 'Invalid Solana address', 400);
+    }
+
+    if (!BitqueryService.isConfigured()) {
+      return errorResponse(res, 'NOT_CONFIGURED', 'Bitquery API key not configured', 503);
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - PNL_DEFAULT_DAYS * 86400000);
+
+    if (from >= to || to > new Date()) {
+      return errorResponse(res, 'INVALID_RANGE', '`from` must be before `to`, and `to` cannot be in the future', 400);
+    }
+
+    if (to - from > PNL_MAX_DAYS * 86400000) {
+      return errorResponse(res, 'INVALID_RANGE', `Range cannot exceed ${PNL_MAX_DAYS} days`, 400);
+    }
+
+    const pnl = await PortfolioService.getPnl(address, { from, to });
+
+    return successResponse(res, pnl);
+  })
+);
+
 /**
  * GET /v1/solana/transfers/:address
  * Get token transfers for an address
  */
 router.get(
   '/transfers/:address',
+  mainnetOnly,
   validateParams(schemas.address),
   validateQuery(Joi.object({
     limit: Joi.number().integer().min(1).max(100).default(50),
@@ -308,6 +1236,7 @@ router.get(
  */
 router.get(
   '/token/:mint/top-holders',
+  mainnetOnly,
   validateParams(schemas.mint),
   validateQuery(Joi.object({
     limit: Joi.number().integer().min(1).max(100).default(50),
@@ -336,6 +1265,7 @@ router.get(
  */
 router.post(
   '/graphql',
+  mainnetOnly,
   validateBody(Joi.object({
     query: Joi.string().required().max(10000),
     variables: Joi.object().default({}),
@@ -375,6 +1305,7 @@ router.post(
  */
 router.get(
   '/transfers/:blockHeight',
+  mainnetOnly,
   validateParams(Joi.object({
     blockHeight: Joi.number().integer().min(0).required(),
   })),
@@ -409,6 +1340,7 @@ router.get(
  */
 router.get(
   '/trades/token/:mint',
+  mainnetOnly,
   validateParams(schemas.mint),
   validateQuery(Joi.object({
     limit: Joi.number().integer().min(1).max(100).default(50),
@@ -442,6 +1374,7 @@ router.get(
  */
 router.get(
   '/trades/dex/:protocol',
+  mainnetOnly,
   validateParams(Joi.object({
     protocol: Joi.string().valid('pump', 'raydium', 'orca', 'jupiter', 'meteora', 'lifinity', 'phoenix').required(),
   })),
@@ -472,6 +1405,7 @@ router.get(
  */
 router.get(
   '/trades/pump',
+  mainnetOnly,
   validateQuery(Joi.object({
     limit: Joi.number().integer().min(1).max(100).default(50),
   })),
@@ -498,6 +1432,7 @@ router.get(
  */
 router.get(
   '/trades/raydium',
+  mainnetOnly,
   validateQuery(Joi.object({
     limit: Joi.number().integer().min(1).max(100).default(50),
   })),
@@ -524,6 +1459,7 @@ router.get(
  */
 router.get(
   '/trades/orca',
+  mainnetOnly,
   validateQuery(Joi.object({
     limit: Joi.number().integer().min(1).max(100).default(50),
   })),
@@ -550,6 +1486,7 @@ router.get(
  */
 router.get(
   '/trades/jupiter',
+  mainnetOnly,
   validateQuery(Joi.object({
     limit: Joi.number().integer().min(1).max(100).default(50),
   })),
@@ -576,6 +1513,7 @@ router.get(
  */
 router.get(
   '/token/:mint/ohlcv',
+  mainnetOnly,
   validateParams(schemas.mint),
   validateQuery(Joi.object({
     interval: Joi.string().valid('1m', '5m', '15m', '1h', '4h', '1d').default('1h'),
@@ -0,0 +1,184 @@
+/**
+ * Usage Routes
+ * Monthly quota and per-request usage metrics for the authenticated account
+ *
+ * Metrics cover API key requests and can be filtered by key and date range
+ * (default: the last 30 days).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../../../middleware/errorHandler');
+const { validateQuery, Joi } = require('../../../middleware/validation');
+const { successResponse, errorResponse } = require('../../../utils/response');
+const { prisma } = require('../../../lib/prisma');
+const { UsageMetrics } = require('../../../models');
+const QuotaService = require('../../../services/quota');
+const { ENDPOINT_COSTS, DEFAULT_ENDPOINT_COST } = require('../../../config/constants');
+
+const DEFAULT_RANGE_DAYS = 30;
+
+// Validation schemas
+const range = {
+  api_key_id: Joi.string().description('Only count requests made with this API key'),
+  start_date: Joi.date().iso(),
+  end_date: Joi.date().iso().when('start_date', {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref('start_date')),
+  }),
+};
+
+const schemas = {
+  range: Joi.object(range),
+  endpoints: Joi.object({
+    ...range,
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+};
+
+/**
+ * Resolve the key and date range filters for a usage query
+ * Returns null if the API key doesn't belong to the user
+ */
+async function resolveFilters(req) {
+  const { api_key_id: apiKeyId, start_date: startDate, end_date: endDate } = req.query;
+
+  if (apiKeyId) {
+    const apiKey = await prisma.apiKey.findFirst({
+      where: { id: apiKeyId, userId: req.user.id },
+      select: { id: true },
+    });
+    if (!apiKey) return null;
+  }
+
+  const end = endDate || new Date();
+  const start = startDate || new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+  return { apiKeyId, startDate: start, endDate: end };
+}
+
+/**
+ * Echo the applied filters in responses
+ */
+function formatFilters(filters) {
+  return {
+    api_key_id: filters.apiKeyId || null,
+    start_date: filters.startDate.toISOString(),
+    end_date: filters.endDate.toISOString(),
+  };
+}
+
+/**
+ * GET /v1/usage
+ * Request totals, latency and error counts
+ */
+router.get(
+  '/',
+  validateQuery(schemas.range),
+  asyncHandler(async (req, res) => {
+    const filters = await resolveFilters(req);
+
+    if (!filters) {
+      return errorResponse(res, 'KEY_NOT_FOUND', 'API key not found', 404);
+    }
+
+    const summary = await UsageMetrics.getSummary(req.user.id, filters);
+
+    return successResponse(res, {
+      ...formatFilters(filters),
+      total_requests: Number(summary.total_requests),
+      avg_latency_ms: summary.avg_latency_ms,
+      p95_latency_ms: summary.p95_latency_ms,
+      error_count: Number(summary.error_count),
+      rate_limit_count: Number(summary.rate_limit_count),
+    });
+  })
+);
+
+/**
+ * GET /v1/usage/endpoints
+ * Most used endpoints
+ */
+router.get(
+  '/endpoints',
+  validateQuery(schemas.endpoints),
+  asyncHandler(async (req, res) => {
+    const filters = await resolveFilters(req);
+
+    if (!filters) {
+      return errorResponse(res, 'KEY_NOT_FOUND', 'API key not found', 404);
+    }
+
+    const rows = await UsageMetrics.getByEndpoint(req.user.id, {
+      ...filters,
+      limit: req.query.limit,
+    });
+
+    return successResponse(res, {
+      ...formatFilters(filters),
+      endpoints: rows.map((row) => ({
+        method: row.method,
+        endpoint: row.endpoint,
+        request_count: Number(row.request_count),
+        avg_latency_ms: row.avg_latency_ms,
+        error_count: Number(row.error_count),
+      })),
+    });
+  })
+);
+
+/**
+ * GET /v1/usage/daily
+ * Requests per day (UTC)
+ */
+router.get(
+  '/daily',
+  validateQuery(schemas.range),
+  asyncHandler(async (req, res) => {
+    const filters = await resolveFilters(req);
+
+    if (!filters) {
+      return errorResponse(res, 'KEY_NOT_FOUND', 'API key not found', 404);
+    }
+
+    const rows = await UsageMetrics.getDailyStats(req.user.id, filters);
+
+    return successResponse(res, {
+      ...formatFilters(filters),
+      days: rows.map((row) => ({
+        date: row.date,
+        request_count: Number(row.request_count),
+        avg_latency_ms: row.avg_latency_ms,
+        error_count: Number(row.error_count),
+      })),
+    });
+  })
+);
+
+/**
+ * GET /v1/usage/quota
+ * Remaining monthly credits for the account
+ */
+router.get(
+  '/quota',
+  asyncHandler(async (req, res) => {
+    const quota = await QuotaService.getQuota(req.user.id, req.user.accountTier);
+
+    return successResponse(res, {
+      ...quota,
+      costs: {
+        default: DEFAULT_ENDPOINT_COST,
+        endpoints: ENDPOINT_COSTS
+          .filter((rule) => rule.cost !== DEFAULT_ENDPOINT_COST || rule.perBatchItem)
+          .map((rule) => ({
+            method: rule.method || '*',
+            path: rule.path.source.replace(/\\\//g, '/'),
+            cost: rule.cost,
+            per_batch_item: rule.perBatchItem || false,
+          })),
+      },
+    });
+  })
+);
+
+module.exports = router;
@@ -6,11 +6,16 @@
 const express = require('express');
 const router = express.Router();
 const { asyncHandler } = require('../../../middleware/errorHandler');
+const { requireScope } = require('../../../middleware/auth');
 const { validateBody, validateQuery, validateParams, Joi } = require('../../../middleware/validation');
 const { successResponse, errorResponse, paginatedResponse, createdResponse } = require('../../../utils/response');
 const WebhookService = require('../../../services/webhook');
 const { prisma } = require('../../../lib/prisma');
 const logger = require('../../../utils/logger');
+const { API_KEY_SCOPES } = require('../../../config/constants');
+
+// Every webhook route requires the webhooks:manage scope
+router.use(requireScope(API_KEY_SCOPES.WEBHOOKS_MANAGE));
 
 // Validation schemas
 const schemas = {
@@ -6,11 +6,16 @@
 const express = require('express');
 const router = express.Router();
 const { asyncHandler } = require('../../../middleware/errorHandler');
+const { requireScope } = require('../../../middleware/auth');
 const { validateBody, validateQuery, validateParams, Joi } = require('../../../middleware/validation');
 const { successResponse, errorResponse, paginatedResponse, createdResponse } = require('../../../utils/response');
 const WorkflowService = require('../../../services/workflow');
 const { prisma } = require('../../../lib/prisma');
 const logger = require('../../../utils/logger');
+const { API_KEY_SCOPES } = require('../../../config/constants');
+
+// Every workflow route requires the workflows:execute scope
+router.use(requireScope(API_KEY_SCOPES.WORKFLOWS_EXECUTE));
 
 // Validation schemas
 const schemas = {
@@ -6,12 +6,17 @@
 const express = require('express');
 const router = express.Router();
 const { asyncHandler } = require('../../../middleware/errorHandler');
-const { strictRateLimit } = require('../../../middleware/rateLimit');
+const { requireScope } = require('../../../middleware/auth');
+const { routeRateLimit } = require('../../../middleware/rateLimit');
 const { validateBody, validateParams, validateQuery, Joi } = require('../../../middleware/validation');
 const { successResponse, errorResponse, paginatedResponse, createdResponse } = require('../../../utils/response');
 const ZkService = require('../../../services/zk');
 const { prisma } = require('../../../lib/prisma');
 const logger = require('../../../utils/logger');
+const { API_KEY_SCOPES } = require('../../../config/constants');
+
+// Every ZK proof route requires the zk:prove scope
+router.use(requireScope(API_KEY_SCOPES.ZK_PROVE));
 
 // Validation schemas
 const schemas = {
@@ -63,7 +68,7 @@ router.get(
  */
 router.post(
   '/proofs/generate',
-  strictRateLimit, // More restrictive rate limit for expensive operation
+  routeRateLimit('zkProof'), // More restrictive rate limit for expensive operation
   validateBody(schemas.generateProof),
   asyncHandler(async (req, res) => {
     const { circuit_id, inputs, callback_url } = req.body;
@@ -212,7 +217,7 @@ router.get(
  */
 router.post(
   '/balance-proof',
-  strictRateLimit,
+  routeRateLimit('zkProof'),
   validateBody(Joi.object({
     balance: Joi.alternatives().try(
       Joi.number().integer().min(0),
@@ -261,7 +266,7 @@ router.post(
  */
 router.post(
   '/holder-proof',
-  strictRateLimit,
+  routeRateLimit('zkProof'),
   validateBody(Joi.object({
     balance: Joi.alternatives().try(
       Joi.number().integer().min(1),
@@ -308,7 +313,7 @@ router.post(
  */
 router.post(
   '/threshold-proof',
-  strictRateLimit,
+  routeRateLimit('zkProof'),
   validateBody(Joi.object({
     value: Joi.alternatives().try(
       Joi.number().integer().min(0),
@@ -0,0 +1,569 @@
+/**
+ * Account Watcher Service
+ * Detects changes to watched Solana accounts and emits account.updated
+ *
+ * One process (the Redis lock holder) watches every registered address:
+ * - accountSubscribe over the RPC WebSocket for push updates
+ * - getMultipleAccounts polling for addresses without a live subscription
+ *   (WebSocket down, subscription rejected, just registered)
+ *
+ * The last seen state of each address lives in Redis and is compared and
+ * updated atomically, ignoring updates from older slots, so a change is
+ * reported once no matter which path saw it first.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const WebSocket = require('ws');
+const EventEmitter = require('events');
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { redis } = require('../config/redis');
+const { prisma } = require('../lib/prisma');
+const SolanaService = require('./solana');
+const WebhookService = require('./webhook');
+const WorkflowService = require('./workflow');
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const { WORKFLOW_TRIGGERS } = require('../config/constants');
+
+const LOCK_KEY = 'lock:account-watcher';
+const STATE_PREFIX = 'watch:state:';
+
+// Renew the watcher lock only if this process still holds it
+redis.defineCommand('renewWatcherLock', {
+  numberOfKeys: 1,
+  lua: `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`,
+});
+
+// Store an account state unless it is older than (or the same as) the stored one
+// KEYS = state key
+// ARGV = slot, fingerprint, state JSON
+// Returns { changed, previous state JSON }
+redis.defineCommand('compareAccountState', {
+  numberOfKeys: 1,
+  lua: `
+local current = redis.call('GET', KEYS[1])
+if not current then
+  redis.call('SET', KEYS[1], ARGV[3])
+  return {0, ''}
+end
+local previous = cjson.decode(current)
+if tonumber(previous.slot) > tonumber(ARGV[1]) or previous.fingerprint == ARGV[2] then
+  return {0, ''}
+end
+redis.call('SET', KEYS[1], ARGV[3])
+return {1, current}
+`,
+});
+
+/**
+ * Reduce an RPC account value (base64 encoding) to what we compare
+ */
+function toAccountState(value, slot) {
+  if (!value) {
+    return { slot, fingerprint: 'missing', exists: false, lamports: 0, owner: null, data_hash: null, space: 0 };
+  }
+
+  const data = Array.isArray(value.data) ? value.data[0] : '';
+  const dataHash = crypto.createHash('sha256').update(data).digest('hex');
+
+  return {
+    slot,
+    fingerprint: `${value.lamports}:${value.owner}:${dataHash}`,
+    exists: true,
+    lamports: value.lamports,
+    owner: value.owner,
+    data_hash: dataHash,
+    space: value.space ?? Buffer.from(data, 'base64').length,
+  };
+}
+
+/**
+ * Public view of an account state in event payloads
+ */
+function formatState(state) {
+  return {
+    exists: state.exists,
+    lamports: state.lamports,
+    balance: state.lamports / LAMPORTS_PER_SOL,
+    owner: state.owner,
+  };
+}
+
+/**
+ * Whether an account_change workflow applies to an address
+ * Workflows without an address filter apply to all of the user's watched accounts
+ */
+function workflowMatches(workflow, address) {
+  const triggerConfig = workflow.trigger?.config || {};
+
+  if (triggerConfig.address) return triggerConfig.address === address;
+  if (Array.isArray(triggerConfig.addresses)) return triggerConfig.addresses.includes(address);
+  return true;
+}
+
+class AccountWatcherService extends EventEmitter {
+  constructor() {
+    super();
+
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.running = false;
+    this.isLeader = false;
+
+    // Every watched address, and the live subscriptions among them
+    this.addresses = new Set();
+    this.subscriptions = new Map(); // address -> subscription id
+    this.subscriptionAddresses = new Map(); // subscription id -> address
+    this.pendingRequests = new Map(); // request id -> { method, address }
+    this.nextRequestId = 1;
+
+    this.ws = null;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.pingTimer = null;
+    this.refreshTimer = null;
+    this.pollTimer = null;
+  }
+
+  /**
+   * Start watching (every process calls this; only the lock holder watches)
+   */
+  start() {
+    if (this.running || !config.accountWatcher.enabled) return;
+
+    this.running = true;
+
+    const { refreshIntervalMs, pollIntervalMs } = config.accountWatcher;
+
+    this.refreshTimer = setInterval(() => {
+      this.refresh().catch((error) => logger.error('Account watcher refresh error:', error.message));
+    }, refreshIntervalMs);
+    this.refreshTimer.unref();
+
+    this.pollTimer = setInterval(() => {
+      this.poll().catch((error) => logger.error('Account watcher poll error:', error.message));
+    }, pollIntervalMs);
+    this.pollTimer.unref();
+
+    this.refresh().catch((error) => logger.error('Account watcher refresh error:', error.message));
+  }
+
+  /**
+   * Stop watching and release the lock
+   */
+  async stop() {
+    this.running = false;
+
+    clearInterval(this.refreshTimer);
+    clearInterval(this.pollTimer);
+    this.refreshTimer = null;
+    this.pollTimer = null;
+
+    this.disconnect();
+
+    // Expire the lock right away so another process can take over
+    if (this.isLeader) {
+      this.isLeader = false;
+      await redis.renewWatcherLock(LOCK_KEY, this.instanceId, 1).catch(() => {});
+    }
+  }
+
+  /**
+   * Take or renew the watcher lock
+   */
+  async acquireLeadership() {
+    const ttl = config.accountWatcher.refreshIntervalMs * 2;
+
+    try {
+      if (this.isLeader) {
+        this.isLeader = (await redis.renewWatcherLock(LOCK_KEY, this.instanceId, ttl)) === 1;
+        if (!this.isLeader) {
+          logger.warn('Account watcher lost its lock');
+        }
+      } else {
+        this.isLeader = (await redis.set(LOCK_KEY, this.instanceId, 'PX', ttl, 'NX')) === 'OK';
+        if (this.isLeader) {
+          logger.info('Account watcher lock acquired');
+        }
+      }
+    } catch (error) {
+      logger.error('Account watcher lock error:', error.message);
+      this.isLeader = false;
+    }
+
+    return this.isLeader;
+  }
+
+  /**
+   * Sync the watched address list and the WebSocket subscriptions
+   */
+  async refresh() {
+    if (!this.running) return;
+
+    if (!(await this.acquireLeadership())) {
+      if (this.ws || this.addresses.size > 0) {
+        this.disconnect();
+        this.addresses.clear();
+      }
+      return;
+    }
+
+    const rows = await prisma.watchedAccount.findMany({
+      distinct: ['address'],
+      select: { address: true },
+    });
+    const latest = new Set(rows.map((row) => row.address));
+
+    const removed = Array.from(this.addresses).filter((address) => !latest.has(address));
+    const added = Array.from(latest).filter((address) => !this.addresses.has(address));
+
+    for (const address of removed) {
+      this.addresses.delete(address);
+      this.unsubscribe(address);
+    }
+    if (removed.length > 0) {
+      await redis.del(...removed.map((address) => `${STATE_PREFIX}${address}`));
+    }
+
+    for (const address of added) {
+      this.addresses.add(address);
+      this.subscribe(address);
+    }
+
+    if (added.length > 0) {
+      // Record a baseline for new addresses
+      await this.pollAddresses(added);
+    }
+
+    if (!this.ws && this.addresses.size > 0) {
+      this.connect();
+    } else if (this.ws && this.addresses.size === 0) {
+      this.disconnect();
+    }
+  }
+
+  /**
+   * Poll addresses that have no live subscription
+   */
+  async poll() {
+    if (!this.isLeader) return;
+
+    const unsubscribed = Array.from(this.addresses).filter((address) => !this.subscriptions.has(address));
+    if (unsubscribed.length > 0) {
+      await this.pollAddresses(unsubscribed);
+    }
+  }
+
+  /**
+   * Fetch and compare the current state of some addresses
+   */
+  async pollAddresses(addresses) {
+    const { commitment } = config.accountWatcher;
+
+    for (let i = 0; i < addresses.length; i += 100) {
+      const chunk = addresses.slice(i, i + 100);
+      const result = await SolanaService.rpcRequest('getMultipleAccounts', [
+        chunk,
+        { encoding: 'base64', commitment },
+      ]);
+
+      const slot = result.data.context.slot;
+      for (const [index, address] of chunk.entries()) {
+        await this.handleAccountValue(address, result.data.value[index], slot, 'polling');
+      }
+    }
+  }
+
+  /**
+   * Connect to the RPC WebSocket
+   */
+  connect() {
+    const url = config.accountWatcher.wsUrl || SolanaService.getWebSocketUrl();
+
+    this.ws = new WebSocket(url);
+
+    this.ws.on('open', () => {
+      logger.info(`✅ Account watcher WebSocket connected (${this.addresses.size} addresses)`);
+      this.reconnectAttempts = 0;
+      this.startPing();
+
+      for (const address of this.addresses) {
+        this.subscribe(address);
+      }
+
+      // Catch up on anything that changed while disconnected
+      this.pollAddresses(Array.from(this.addresses))
+        .catch((error) => logger.error('Account watcher catch-up poll failed:', error.message));
+    });
+
+    this.ws.on('message', (data) => this.handleMessage(data));
+
+    this.ws.on('close', (code) => {
+      logger.warn(`Account watcher WebSocket closed: ${code}, polling until reconnected`);
+      this.clearSubscriptions();
+      this.stopPing();
+      this.ws = null;
+      this.scheduleReconnect();
+    });
+
+    this.ws.on('error', (error) => {
+      // The close handler takes care of reconnecting
+      logger.error('Account watcher WebSocket error:', error.message);
+    });
+  }
+
+  /**
+   * Close the WebSocket without reconnecting
+   */
+  disconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.stopPing();
+    this.clearSubscriptions();
+
+    if (this.ws) {
+      this.ws.removeAllListeners();
+      this.ws.on('error', () => {});
+      this.ws.terminate();
+      this.ws = null;
+    }
+  }
+
+  /**
+   * Reconnect with a capped backoff; polling covers the gap
+   */
+  scheduleReconnect() {
+    if (!this.running || !this.isLeader || this.reconnectTimer) return;
+
+    this.reconnectAttempts++;
+    const delay = Math.min(60000, 1000 * 2 ** Math.min(this.reconnectAttempts, 6));
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.running && this.isLeader && !this.ws && this.addresses.size > 0) {
+        this.connect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Keep the connection alive (providers drop idle sockets)
+   */
+  startPing() {
+    this.stopPing();
+    this.pingTimer = setInterval(() => {
+      if (this.ws?.readyState === WebSocket.OPEN) {
+        this.ws.ping();
+      }
+    }, 30000);
+  }
+
+  /**
+   * Stop the keepalive ping
+   */
+  stopPing() {
+    clearInterval(this.pingTimer);
+    this.pingTimer = null;
+  }
+
+  /**
+   * Forget all subscriptions (the socket closed)
+   */
+  clearSubscriptions() {
+    this.subscriptions.clear();
+    this.subscriptionAddresses.clear();
+    this.pendingRequests.clear();
+  }
+
+  /**
+   * Send a JSON-RPC request over the WebSocket
+   */
+  send(method, params, address) {
+    if (this.ws?.readyState !== WebSocket.OPEN) return false;
+
+    const id = this.nextRequestId++;
+    this.pendingRequests.set(id, { method, address });
+    this.ws.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+    return true;
+  }
+
+  /**
+   * Subscribe to an address
+   */
+  subscribe(address) {
+    if (this.subscriptions.has(address)) return;
+
+    this.send('accountSubscribe', [
+      address,
+      { encoding: 'base64', commitment: config.accountWatcher.commitment },
+    ], address);
+  }
+
+  /**
+   * Unsubscribe from an address
+   */
+  unsubscribe(address) {
+    const subscriptionId = this.subscriptions.get(address);
+    if (subscriptionId === undefined) return;
+
+    this.subscriptions.delete(address);
+    this.subscriptionAddresses.delete(subscriptionId);
+    this.send('accountUnsubscribe', [subscriptionId], address);
+  }
+
+  /**
+   * Handle a WebSocket message
+   */
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      return;
+    }
+
+    // Response to accountSubscribe / accountUnsubscribe
+    if (message.id !== undefined && this.pendingRequests.has(message.id)) {
+      const { method, address } = this.pendingRequests.get(message.id);
+      this.pendingRequests.delete(message.id);
+
+      if (method !== 'accountSubscribe') return;
+
+      if (message.error) {
+        logger.warn('accountSubscribe rejected, polling instead:', { address, error: message.error.message });
+      } else if (this.addresses.has(address)) {
+        this.subscriptions.set(address, message.result);
+        this.subscriptionAddresses.set(message.result, address);
+      } else {
+        // Removed while the subscription was pending
+        this.send('accountUnsubscribe', [message.result], address);
+      }
+      return;
+    }
+
+    if (message.method === 'accountNotification') {
+      const address = this.subscriptionAddresses.get(message.params?.subscription);
+      if (!address) return;
+
+      const { context, value } = message.params.result;
+      this.handleAccountValue(address, value, context.slot, 'websocket')
+        .catch((error) => logger.error('Account update handling failed:', { address, error: error.message }));
+    }
+  }
+
+  /**
+   * Compare an observed account value with the last known state
+   */
+  async handleAccountValue(address, value, slot, source) {
+    const state = toAccountState(value, slot);
+    const [changed, previousJson] = await redis.compareAccountState(
+      `${STATE_PREFIX}${address}`,
+      slot,
+      state.fingerprint,
+      JSON.stringify(state)
+    );
+
+    if (changed !== 1) return;
+
+    const previous = JSON.parse(previousJson);
+    this.emit('account:updated', { address, before: previous, after: state });
+    await this.notify(address, previous, state, source);
+  }
+
+  /**
+   * Send account.updated webhooks and start account_change workflows
+   */
+  async notify(address, before, after, source) {
+    const watchers = await prisma.watchedAccount.findMany({
+      where: { address },
+      select: { userId: true, label: true },
+    });
+    if (watchers.length === 0) return;
+
+    const payload = {
+      address,
+      slot: after.slot,
+      before: formatState(before),
+      after: formatState(after),
+      change: {
+        lamports: after.lamports - before.lamports,
+        balance: (after.lamports - before.lamports) / LAMPORTS_PER_SOL,
+      },
+      owner_changed: before.owner !== after.owner,
+      data_changed: before.data_hash !== after.data_hash,
+      detected_via: source,
+      detected_at: new Date().toISOString(),
+    };
+
+    const workflows = await prisma.workflow.findMany({
+      where: {
+        userId: { in: watchers.map((watcher) => watcher.userId) },
+        status: 'ACTIVE',
+        trigger: { path: ['type'], equals: WORKFLOW_TRIGGERS.ACCOUNT_CHANGE },
+      },
+    });
+
+    for (const watcher of watchers) {
+      const userPayload = { ...payload, label: watcher.label };
+
+      try {
+        await WebhookService.trigger('account.updated', userPayload, watcher.userId);
+
+        const matching = workflows.filter((workflow) =>
+          workflow.userId === watcher.userId && workflowMatches(workflow, address)
+        );
+
+        for (const workflow of matching) {
+          await WorkflowService.execute(workflow, {
+            triggeredBy: WORKFLOW_TRIGGERS.ACCOUNT_CHANGE,
+            triggerData: userPayload,
+            userId: watcher.userId,
+          });
+        }
+      } catch (error) {
+        logger.error('Failed to deliver account update:', {
+          address,
+          userId: watcher.userId,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Last known state of an address (null before the first observation)
+   */
+  async getState(address) {
+    const raw = await redis.get(`${STATE_PREFIX}${address}`);
+    if (!raw) return null;
+
+    const state = JSON.parse(raw);
+    return { slot: state.slot, ...formatState(state) };
+  }
+
+  /**
+   * Get watcher status
+   */
+  getStatus() {
+    return {
+      leader: this.isLeader,
+      addresses: this.addresses.size,
+      websocket: {
+        connected: this.ws?.readyState === WebSocket.OPEN,
+        subscriptions: this.subscriptions.size,
+        reconnectAttempts: this.reconnectAttempts,
+      },
+      polling: this.addresses.size - this.subscriptions.size,
+    };
+  }
+}
+
+// Singleton instance
+const accountWatcher = new AccountWatcherService();
+
+module.exports = accountWatcher;
@@ -8,6 +8,7 @@
 const axios = require('axios');
 const { getOrSet } = require('../utils/cache');
 const logger = require('../utils/logger');
+const { instrumentAxios } = require('../utils/metrics');
 
 // Bitquery API configuration
 const BITQUERY_API_URL = 'https://streaming.bitquery.io/graphql';
@@ -22,6 +23,7 @@ const bitqueryClient = axios.create({
     'Authorization': `Bearer ${BITQUERY_API_KEY}`,
   },
 });
+instrumentAxios(bitqueryClient, 'bitquery');
 
 /**
  * Execute GraphQL query against Bitquery
@@ -45,6 +47,17 @@ async function executeQuery(query, variables = {}) {
   }
 }
 
+/**
+ * Block time condition for a where clause (empty when unbounded)
+ */
+function blockTimeFilter(from, to) {
+  const conditions = [];
+  if (from) conditions.push(`since: "${new Date(from).toISOString()}"`);
+  if (to) conditions.push(`till: "${new Date(to).toISOString()}"`);
+
+  return conditions.length > 0 ? `, Block: {Time: {${conditions.join(', ')}}}` : '';
+}
+
 /**
  * Get recent balance updates (latest transactions with balance changes)
  */
@@ -182,16 +195,18 @@ async function getAddressBalances(ownerAddress) {
 
 /**
  * Get balance history for a specific account
+ * range.from / range.to (ISO timestamps) limit it to a time window
  */
-async function getBalanceHistory(accountAddress, limit = 50) {
-  const cacheKey = `bitquery:balanceHistory:${accountAddress}:${limit}`;
+async function getBalanceHistory(accountAddress, limit = 50, range = {}) {
+  const { from, to } = range;
+  const cacheKey = `bitquery:balanceHistory:${accountAddress}:${limit}:${from || 'start'}:${to || 'now'}`;
   
   return getOrSet(cacheKey, 60, async () => {
     const query = `
       query BalanceHistory($account: String!, $limit: Int!) {
         Solana {
           BalanceUpdates(
-            where: {BalanceUpdate: {Account: {Address: {is: $account}}}}
+            where: {BalanceUpdate: {Account: {Address: {is: $account}}}${blockTimeFilter(from, to)}}
             limit: {count: $limit}
             orderBy: {descending: Block_Slot}
           ) {
@@ -239,13 +254,13 @@ async function getBalanceHistory(accountAddress, limit = 50) {
  * Get token transfers for an address
  */
 async function getTokenTransfers(address, options = {}) {
-  const { limit = 50, mint } = options;
-  const cacheKey = `bitquery:transfers:${address}:${limit}:${mint || 'all'}`;
+  const { limit = 50, mint, from, to } = options;
+  const cacheKey = `bitquery:transfers:${address}:${limit}:${mint || 'all'}:${from || 'start'}:${to || 'now'}`;
   
   return getOrSet(cacheKey, 30, async () => {
     const whereClause = mint 
-      ? `where: {BalanceUpdate: {Account: {Owner: {is: "${address}"}}, Currency: {MintAddress: {is: "${mint}"}}}}`
-      : `where: {BalanceUpdate: {Account: {Owner: {is: "${address}"}}}}`;
+      ? `where: {BalanceUpdate: {Account: {Owner: {is: "${address}"}}, Currency: {MintAddress: {is: "${mint}"}}}${blockTimeFilter(from, to)}}`
+      : `where: {BalanceUpdate: {Account: {Owner: {is: "${address}"}}}${blockTimeFilter(from, to)}}`;
 
     const query = `
       query TokenTransfers {
@@ -756,6 +771,62 @@ async function getTokenOHLCV(mintAddress, options = {}) {
   });
 }
 
+/**
+ * Get daily closing USD prices for tokens
+ * Returns { [mint]: [{ date: 'YYYY-MM-DD', close }] }, oldest first
+ */
+async function getTokenDailyCloses(mintAddresses, options = {}) {
+  const { from, to } = options;
+  const mints = Array.from(new Set(mintAddresses)).sort();
+  const cacheKey = `bitquery:dailyCloses:${mints.join(',')}:${from}:${to}`;
+
+  return getOrSet(cacheKey, 300, async () => {
+    const query = `
+      query TokenDailyCloses($mints: [String!], $limit: Int!) {
+        Solana {
+          DEXTradeByTokens(
+            orderBy: {ascendingByField: "Block_Timefield"}
+            limit: {count: $limit}
+            where: {
+              Trade: {
+                Currency: {MintAddress: {in: $mints}}
+                PriceAsymmetry: {lt: 0.1}
+              }${blockTimeFilter(from, to)}
+            }
+          ) {
+            Block {
+              Timefield: Time(interval: {in: days, count: 1})
+            }
+            Trade {
+              Currency {
+                MintAddress
+              }
+              close: PriceInUSD(maximum: Block_Slot)
+            }
+          }
+        }
+      }
+    `;
+
+    const days = Math.ceil((new Date(to) - new Date(from)) / 86400000) + 1;
+    const data = await executeQuery(query, { mints, limit: days * mints.length });
+
+    const closes = {};
+    for (const row of data?.Solana?.DEXTradeByTokens || []) {
+      const mint = row.Trade?.Currency?.MintAddress;
+      const close = Number(row.Trade?.close);
+      if (!mint || !row.Block?.Timefield || !close) continue;
+
+      (closes[mint] = closes[mint] || []).push({
+        date: row.Block.Timefield.slice(0, 10),
+        close,
+      });
+    }
+
+    return closes;
+  });
+}
+
 /**
  * Check if Bitquery API is configured
  */
@@ -778,5 +849,6 @@ module.exports = {
   getOrcaTrades,
   getJupiterTrades,
   getTokenOHLCV,
+  getTokenDailyCloses,
   isConfigured,
 };
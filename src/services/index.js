@@ -8,6 +8,19 @@ const WorkflowService = require('./workflow');
 const ZkService = require('./zk');
 const WebhookService = require('./webhook');
 const WebSocketService = require('./websocket');
+const SessionService = require('./session');
+const QuotaService = require('./quota');
+const UsageService = require('./usage');
+const TransactionTracker = require('./transactionTracker');
+const AccountWatcher = require('./accountWatcher');
+const TransactionDecoder = require('./transactionDecoder');
+const PortfolioService = require('./portfolio');
+const StakingService = require('./staking');
+const TokenInfoService = require('./tokenInfo');
+const NftService = require('./nft');
+const LabelService = require('./labels');
+const RpcPool = require('./rpcPool');
+const RpcProxy = require('./rpcProxy');
 
 module.exports = {
   SolanaService,
@@ -16,4 +29,17 @@ module.exports = {
   ZkService,
   WebhookService,
   WebSocketService,
+  SessionService,
+  QuotaService,
+  UsageService,
+  TransactionTracker,
+  AccountWatcher,
+  TransactionDecoder,
+  PortfolioService,
+  StakingService,
+  TokenInfoService,
+  NftService,
+  LabelService,
+  RpcPool,
+  RpcProxy,
 };
@@ -0,0 +1,101 @@
+/**
+ * Label Service
+ * Names for well-known addresses, plus each user's private labels
+ *
+ * The public registry combines SOLANA_PROGRAMS with the bundled
+ * config/labels.json (exchanges, DEX pools, bridges and more programs).
+ * Private labels are stored per user and take precedence over the registry.
+ * getLabels finds every address in a response body, which is how
+ * ?labels=true enriches Solana and Bitquery responses.
+ */
+
+const { prisma } = require('../lib/prisma');
+const { SOLANA_PROGRAMS } = require('../config/constants');
+const bundledLabels = require('../config/labels.json');
+
+// Base58 strings the length of a public key
+const ADDRESS_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+// Most distinct addresses looked up per response
+const MAX_LABELED_ADDRESSES = 1000;
+
+// Public registry: address -> { name, category }
+const registry = new Map([
+  ...Object.entries(SOLANA_PROGRAMS).map(([address, program]) => [address, { ...program }]),
+  ...bundledLabels.labels.map(({ address, name, category }) => [address, { name, category }]),
+]);
+
+/**
+ * Registry entry for an address (null if it isn't known)
+ */
+function getPublicLabel(address) {
+  const label = registry.get(address);
+  return label ? { ...label, source: 'registry' } : null;
+}
+
+/**
+ * Registry entries, optionally for one category
+ */
+function listPublicLabels(category) {
+  return Array.from(registry.entries())
+    .filter(([, label]) => !category || label.category === category)
+    .map(([address, label]) => ({ address, ...label }));
+}
+
+/**
+ * Categories used in the registry
+ */
+function listCategories() {
+  return [...new Set(Array.from(registry.values()).map((label) => label.category))].sort();
+}
+
+/**
+ * Distinct address-like strings anywhere in a value, up to MAX_LABELED_ADDRESSES
+ */
+function collectAddresses(value, found = new Set()) {
+  if (found.size >= MAX_LABELED_ADDRESSES) return found;
+
+  if (typeof value === 'string') {
+    if (ADDRESS_PATTERN.test(value)) found.add(value);
+  } else if (Array.isArray(value)) {
+    for (const item of value) collectAddresses(item, found);
+  } else if (value && typeof value === 'object') {
+    for (const item of Object.values(value)) collectAddresses(item, found);
+  }
+
+  return found;
+}
+
+/**
+ * Labels for the addresses in a value, as { address: { name, category, source } }
+ * A user's private labels win over the registry; unlabeled addresses are left out
+ */
+async function getLabels(value, userId) {
+  const addresses = Array.from(collectAddresses(value));
+  if (addresses.length === 0) return {};
+
+  const labels = {};
+  for (const address of addresses) {
+    const label = getPublicLabel(address);
+    if (label) labels[address] = label;
+  }
+
+  if (userId) {
+    const privateLabels = await prisma.addressLabel.findMany({
+      where: { userId, address: { in: addresses } },
+      select: { address: true, name: true, category: true },
+    });
+    for (const label of privateLabels) {
+      labels[label.address] = { name: label.name, category: label.category, source: 'private' };
+    }
+  }
+
+  return labels;
+}
+
+module.exports = {
+  getPublicLabel,
+  listPublicLabels,
+  listCategories,
+  getLabels,
+};
@@ -0,0 +1,178 @@
+/**
+ * NFT Service
+ * Collections, single assets and compressed NFT proofs via DAS
+ *
+ * Every call goes through SolanaService.rpcRequest, so it runs against a
+ * provider from the pool that serves DAS methods. Collection listings use
+ * cursor pagination (sorted by asset id), which stays consistent while the
+ * collection changes and has no page limit.
+ */
+
+const SolanaService = require('./solana');
+const { getOrSet } = require('../utils/cache');
+const logger = require('../utils/logger');
+const { CACHE_TTL, SOLANA_NETWORKS } = require('../config/constants');
+
+// DAS calls return large payloads, so they get a longer timeout
+const DAS_TIMEOUT_MS = 15000;
+
+/**
+ * Collection address of an asset (null if it isn't in one)
+ */
+function collectionOf(asset) {
+  return asset.grouping?.find((group) => group.group_key === 'collection') || null;
+}
+
+/**
+ * Short form of an asset, used in collection listings
+ */
+function formatAssetSummary(asset) {
+  return {
+    id: asset.id,
+    name: asset.content?.metadata?.name || 'Unknown',
+    symbol: asset.content?.metadata?.symbol || '',
+    image: asset.content?.links?.image || asset.content?.files?.[0]?.uri || '',
+    attributes: asset.content?.metadata?.attributes || [],
+    owner: asset.ownership?.owner || null,
+    compressed: asset.compression?.compressed || false,
+    burnt: asset.burnt || false,
+  };
+}
+
+/**
+ * Full asset with creators, royalties, ownership and compression details
+ */
+function formatAsset(asset) {
+  const collection = collectionOf(asset);
+  const compression = asset.compression?.compressed ? asset.compression : null;
+
+  return {
+    ...formatAssetSummary(asset),
+    interface: asset.interface,
+    description: asset.content?.metadata?.description || '',
+    animation_url: asset.content?.links?.animation_url || null,
+    external_url: asset.content?.links?.external_url || null,
+    json_uri: asset.content?.json_uri || null,
+    collection: collection
+      ? { address: collection.group_value, verified: collection.verified ?? null }
+      : null,
+    creators: (asset.creators || []).map((creator) => ({
+      address: creator.address,
+      share: creator.share,
+      verified: creator.verified,
+    })),
+    royalty: {
+      basis_points: asset.royalty?.basis_points ?? 0,
+      percent: asset.royalty?.percent ?? 0,
+      model: asset.royalty?.royalty_model || null,
+      target: asset.royalty?.target || null,
+      primary_sale_happened: asset.royalty?.primary_sale_happened ?? false,
+      locked: asset.royalty?.locked ?? false,
+    },
+    ownership: {
+      owner: asset.ownership?.owner || null,
+      delegate: asset.ownership?.delegate || null,
+      delegated: asset.ownership?.delegated ?? false,
+      frozen: asset.ownership?.frozen ?? false,
+      model: asset.ownership?.ownership_model || null,
+    },
+    authorities: (asset.authorities || []).map((authority) => ({
+      address: authority.address,
+      scopes: authority.scopes,
+    })),
+    mutable: asset.mutable ?? null,
+    token_standard: asset.content?.metadata?.token_standard || null,
+    compression: compression
+      ? {
+        tree: compression.tree,
+        leaf_id: compression.leaf_id,
+        seq: compression.seq,
+        data_hash: compression.data_hash,
+        creator_hash: compression.creator_hash,
+        asset_hash: compression.asset_hash,
+      }
+      : null,
+  };
+}
+
+/**
+ * Get a single asset (NFT, compressed NFT or token)
+ */
+async function getAsset(id, options = {}) {
+  const { network = SOLANA_NETWORKS.MAINNET } = options;
+  const cacheKey = `solana:asset:${network}:${id}`;
+
+  return getOrSet(cacheKey, 60, async () => {
+    const result = await SolanaService.rpcRequest('getAsset', { id }, { network, timeout: DAS_TIMEOUT_MS });
+    return formatAsset(result.data);
+  });
+}
+
+/**
+ * List the assets in a collection, `limit` at a time
+ * Pass the previous page's next_cursor to continue; it's null on the last page
+ */
+async function getCollectionAssets(collection, options = {}) {
+  const { network = SOLANA_NETWORKS.MAINNET, limit = 100, cursor } = options;
+  const cacheKey = `solana:collectionAssets:${network}:${collection}:${limit}:${cursor || 'first'}`;
+
+  return getOrSet(cacheKey, 60, async () => {
+    const [result, details] = await Promise.all([
+      SolanaService.rpcRequest('getAssetsByGroup', {
+        groupKey: 'collection',
+        groupValue: collection,
+        limit,
+        sortBy: { sortBy: 'id', sortDirection: 'asc' },
+        ...(cursor ? { cursor } : {}),
+      }, { network, timeout: DAS_TIMEOUT_MS }),
+      // The collection's own asset, for its name and image
+      getAsset(collection, { network }).catch((error) => {
+        logger.warn('Collection asset lookup failed:', { collection, network, error: error.message });
+        return null;
+      }),
+    ]);
+
+    const items = result.data?.items || [];
+
+    return {
+      collection: {
+        address: collection,
+        name: details?.data.name || null,
+        symbol: details?.data.symbol || null,
+        image: details?.data.image || null,
+      },
+      count: items.length,
+      assets: items.map(formatAssetSummary),
+      next_cursor: items.length === limit ? result.data.cursor || null : null,
+    };
+  });
+}
+
+/**
+ * Merkle proof for a compressed asset
+ * Proofs change whenever the tree is written to, so they're cached briefly
+ */
+async function getAssetProof(id, options = {}) {
+  const { network = SOLANA_NETWORKS.MAINNET } = options;
+  const cacheKey = `solana:assetProof:${network}:${id}`;
+
+  return getOrSet(cacheKey, CACHE_TTL.ACCOUNT_INFO, async () => {
+    const result = await SolanaService.rpcRequest('getAssetProof', { id }, { network, timeout: DAS_TIMEOUT_MS });
+    const proof = result.data;
+
+    return {
+      id,
+      tree: proof.tree_id,
+      root: proof.root,
+      leaf: proof.leaf,
+      node_index: proof.node_index,
+      proof: proof.proof,
+    };
+  });
+}
+
+module.exports = {
+  getAsset,
+  getCollectionAssets,
+  getAssetProof,
+};
@@ -8,6 +8,7 @@
 const axios = require('axios');
 const { getOrSet, cache } = require('../utils/cache');
 const logger = require('../utils/logger');
+const { instrumentAxios } = require('../utils/metrics');
 const { CACHE_TTL } = require('../config/constants');
 const { PriceCache } = require('../models');
 
@@ -20,6 +21,7 @@ const api = axios.create({
   timeout: 15000,
   headers: { 'Content-Type': 'application/json' },
 });
+instrumentAxios(api, 'polymarket');
 
 /**
  * Parse stringified JSON array (Gamma API returns stringified arrays)
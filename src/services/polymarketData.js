@@ -9,6 +9,7 @@
 
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { instrumentAxios } = require('../utils/metrics');
 const { redis } = require('../config/redis');
 
 class PolymarketDataService {
@@ -35,6 +36,9 @@ class PolymarketDataService {
       },
     });
 
+    instrumentAxios(this.client, 'polymarket_data');
+    instrumentAxios(this.lbClient, 'polymarket_leaderboard');
+
     // Add response interceptor for logging
     this.client.interceptors.response.use(
       (response) => response,
@@ -71,6 +75,8 @@ class PolymarketDataService {
       },
     });
 
+    instrumentAxios(this.gammaClient, 'polymarket_gamma');
+
     this.gammaClient.interceptors.response.use(
       (response) => response,
       (error) => {
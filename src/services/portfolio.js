@@ -0,0 +1,480 @@
+/**
+ * Portfolio Service
+ * Values a Solana wallet in USD, now and over time
+ *
+ * getPortfolio combines the SOL balance, SPL token accounts, Jupiter prices
+ * and token metadata. NFTs are optionally valued at their collection's floor
+ * price. getPnl rebuilds holdings from Bitquery balance updates and values
+ * them with daily closing prices.
+ */
+
+const SolanaService = require('./solana');
+const BitqueryService = require('./bitquery');
+const logger = require('../utils/logger');
+
+const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+const NATIVE_SOL_MINT = '11111111111111111111111111111111';
+const MINUTE_MS = 60000;
+const DAY_MS = 86400000;
+
+// Balance updates fetched per source for PnL
+const MAX_BALANCE_UPDATES = 1000;
+
+// Tokens priced per PnL request (most active first; SOL is always priced)
+const MAX_PRICED_MINTS = 25;
+
+// Closes are fetched from this many days before the range, so quiet tokens
+// still have a price on the first day
+const PRICE_LOOKBACK_DAYS = 7;
+
+// Concurrent getTokenMetadata / floor price lookups
+const LOOKUP_CONCURRENCY = 20;
+
+// NFT collections valued per request; the rest are listed without a floor
+const MAX_FLOOR_LOOKUPS = 50;
+
+// getAssetsByOwner page size (DAS maximum)
+const MAX_NFTS = 1000;
+
+/**
+ * Map over items with at most LOOKUP_CONCURRENCY calls in flight
+ */
+async function mapInChunks(items, fn) {
+  const results = [];
+
+  for (let i = 0; i < items.length; i += LOOKUP_CONCURRENCY) {
+    results.push(...await Promise.all(items.slice(i, i + LOOKUP_CONCURRENCY).map(fn)));
+  }
+
+  return results;
+}
+
+/**
+ * Token metadata by mint; tokens without metadata map to null
+ */
+async function getMetadata(mints) {
+  const entries = await mapInChunks(mints, async (mint) => {
+    try {
+      return [mint, (await SolanaService.getTokenMetadata(mint)).data];
+    } catch (error) {
+      return [mint, null];
+    }
+  });
+
+  return new Map(entries);
+}
+
+/**
+ * Fungible holdings summed per mint
+ * 0-decimal tokens are NFTs and are reported separately
+ */
+function groupHoldings(tokenAccounts) {
+  const holdings = new Map();
+
+  tokenAccounts
+    .filter((account) => account.balance > 0 && account.decimals > 0)
+    .forEach((account) => {
+      const holding = holdings.get(account.mint) || { mint: account.mint, balance: 0, decimals: account.decimals };
+      holding.balance += account.balance;
+      holdings.set(account.mint, holding);
+    });
+
+  return Array.from(holdings.values());
+}
+
+/**
+ * Share of the total, as a percentage with 2 decimals
+ */
+function allocation(value, total) {
+  return total > 0 ? Math.round((value / total) * 10000) / 100 : 0;
+}
+
+/**
+ * Floor-price estimate for the wallet's NFTs, grouped by collection
+ */
+async function valueNfts(address, solPrice) {
+  const result = await SolanaService.getNFTs(address, { limit: MAX_NFTS });
+  const nfts = result.data || [];
+
+  const groups = new Map();
+  nfts.forEach((nft) => {
+    const key = nft.collection || null;
+    const group = groups.get(key) || { collection: key, count: 0, sample: nft.id };
+    group.count++;
+    groups.set(key, group);
+  });
+
+  const collections = Array.from(groups.values()).sort((a, b) => b.count - a.count);
+  const valued = collections.filter((group) => group.collection).slice(0, MAX_FLOOR_LOOKUPS);
+
+  const floors = new Map(await mapInChunks(valued, async (group) => {
+    try {
+      return [group.collection, (await SolanaService.getCollectionFloor(group.collection, group.sample)).data];
+    } catch (error) {
+      logger.warn('NFT floor lookup failed:', { collection: group.collection, error: error.message });
+      return [group.collection, null];
+    }
+  }));
+
+  let totalSol = 0;
+  const entries = collections.map((group) => {
+    const floor = floors.get(group.collection);
+    const floorPrice = floor?.floor_price ?? null;
+    const valueSol = floorPrice != null ? floorPrice * group.count : null;
+    if (valueSol != null) totalSol += valueSol;
+
+    return {
+      collection: group.collection,
+      symbol: floor?.symbol || null,
+      count: group.count,
+      floor_price: floorPrice,
+      value_sol: valueSol,
+      value_usd: valueSol != null && solPrice != null ? valueSol * solPrice : null,
+    };
+  });
+
+  return {
+    count: nfts.length,
+    truncated: nfts.length >= MAX_NFTS,
+    estimated_value_sol: totalSol,
+    estimated_value_usd: solPrice != null ? totalSol * solPrice : null,
+    collections: entries,
+  };
+}
+
+/**
+ * Value a wallet's SOL, tokens and (optionally) NFTs
+ */
+async function getPortfolio(address, options = {}) {
+  const { includeNfts = false } = options;
+
+  const [balanceResult, tokensResult] = await Promise.all([
+    SolanaService.getBalance(address),
+    SolanaService.getTokenAccounts(address),
+  ]);
+
+  const holdings = groupHoldings(tokensResult.data || []);
+  const mints = holdings.map((holding) => holding.mint);
+
+  const [priceResult, metadata] = await Promise.all([
+    SolanaService.getTokenPrices([WRAPPED_SOL_MINT, ...mints]),
+    getMetadata(mints),
+  ]);
+
+  const prices = new Map(priceResult.data
+    .filter((entry) => entry.price != null)
+    .map((entry) => [entry.mint, Number(entry.price)]));
+  const solPrice = prices.get(WRAPPED_SOL_MINT) ?? null;
+
+  const sol = {
+    balance: balanceResult.data.balance,
+    price: solPrice,
+    value_usd: solPrice != null ? balanceResult.data.balance * solPrice : null,
+  };
+
+  const tokens = [];
+  const unpricedTokens = [];
+
+  holdings.forEach((holding) => {
+    const meta = metadata.get(holding.mint);
+    const token = {
+      mint: holding.mint,
+      symbol: meta?.symbol || null,
+      name: meta?.name && meta.name !== 'Unknown' ? meta.name : null,
+      image: meta?.image || null,
+      balance: holding.balance,
+      decimals: holding.decimals,
+    };
+
+    const price = prices.get(holding.mint);
+    if (price == null) {
+      unpricedTokens.push(token);
+    } else {
+      tokens.push({ ...token, price, value_usd: holding.balance * price });
+    }
+  });
+
+  const nfts = includeNfts ? await valueNfts(address, solPrice) : null;
+
+  const totalValue = (sol.value_usd || 0)
+    + tokens.reduce((sum, token) => sum + token.value_usd, 0)
+    + (nfts?.estimated_value_usd || 0);
+
+  sol.allocation_pct = allocation(sol.value_usd || 0, totalValue);
+  tokens.forEach((token) => {
+    token.allocation_pct = allocation(token.value_usd, totalValue);
+  });
+  tokens.sort((a, b) => b.value_usd - a.value_usd);
+
+  if (nfts) {
+    nfts.allocation_pct = allocation(nfts.estimated_value_usd || 0, totalValue);
+  }
+
+  return {
+    address,
+    total_value_usd: totalValue,
+    sol,
+    tokens,
+    unpriced_tokens: unpricedTokens,
+    nfts,
+  };
+}
+
+/**
+ * Round a date down to a multiple of unitMs (minute, UTC day)
+ * Bitquery cache keys include the range, so rounding lets repeat requests share them
+ */
+function floorTime(date, unitMs) {
+  return new Date(Math.floor(date.getTime() / unitMs) * unitMs);
+}
+
+/**
+ * Last millisecond of a date's UTC day
+ */
+function endOfDay(date) {
+  return new Date(floorTime(date, DAY_MS).getTime() + DAY_MS - 1);
+}
+
+/**
+ * UTC dates (YYYY-MM-DD) from one day to another, inclusive
+ */
+function datesBetween(from, to) {
+  const dates = [];
+  for (let day = Date.parse(from.toISOString().slice(0, 10)); day <= to.getTime(); day += DAY_MS) {
+    dates.push(new Date(day).toISOString().slice(0, 10));
+  }
+  return dates;
+}
+
+/**
+ * Most recent close on or before a date (or the earliest one after it)
+ */
+function priceOn(closes, date) {
+  if (!closes || closes.length === 0) return null;
+
+  let price = closes[0].close;
+  for (const entry of closes) {
+    if (entry.date > date) break;
+    price = entry.close;
+  }
+  return price;
+}
+
+/**
+ * Balance of a mint at a point in time
+ * Sums each account's balance: its pre-balance before its first update,
+ * otherwise its post-balance after the last update at or before the time
+ */
+function balanceAt(position, time) {
+  if (position.accounts.size === 0) {
+    return position.currentBalance;
+  }
+
+  let total = 0;
+  for (const updates of position.accounts.values()) {
+    const last = updates.filter((update) => update.time <= time).pop();
+    total += last ? last.post_balance : updates[0].pre_balance;
+  }
+  return total;
+}
+
+/**
+ * Balance updates since `from`, grouped into positions per mint
+ * SOL updates come from the wallet's own history, tokens from its token accounts
+ */
+async function getPositions(address, from) {
+  const since = floorTime(from, MINUTE_MS).toISOString();
+  const [tokenUpdates, solUpdates, balances] = await Promise.all([
+    BitqueryService.getTokenTransfers(address, { from: since, limit: MAX_BALANCE_UPDATES }),
+    BitqueryService.getBalanceHistory(address, MAX_BALANCE_UPDATES, { from: since }),
+    BitqueryService.getAddressBalances(address),
+  ]);
+
+  const positions = new Map();
+  const positionFor = (mint, symbol) => {
+    if (!positions.has(mint)) {
+      positions.set(mint, { mint, symbol: symbol || null, accounts: new Map(), updates: [], currentBalance: 0 });
+    }
+    return positions.get(mint);
+  };
+
+  const seen = new Set();
+  const updates = [
+    ...(solUpdates.data || []).map((update) => ({ ...update, account: address })),
+    ...(tokenUpdates.data || []),
+  ].sort((a, b) => a.slot - b.slot);
+
+  for (const update of updates) {
+    const mint = update.currency?.mint || NATIVE_SOL_MINT;
+    const key = `${update.signature}:${update.account}:${mint}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const entry = {
+      time: new Date(update.time).getTime(),
+      amount: Number(update.amount) || 0,
+      amount_usd: Number(update.amount_usd) || null,
+      pre_balance: Number(update.pre_balance) || 0,
+      post_balance: Number(update.post_balance) || 0,
+    };
+
+    const position = positionFor(mint, mint === NATIVE_SOL_MINT ? 'SOL' : update.currency?.symbol);
+    if (!position.accounts.has(update.account)) {
+      position.accounts.set(update.account, []);
+    }
+    position.accounts.get(update.account).push(entry);
+    position.updates.push(entry);
+  }
+
+  // Tokens that haven't moved since `from` held their current balance throughout
+  for (const balance of balances.data?.balances || []) {
+    const mint = balance.mint || NATIVE_SOL_MINT;
+    const position = positionFor(mint, mint === NATIVE_SOL_MINT ? 'SOL' : balance.symbol);
+    position.currentBalance = Number(balance.balance) || 0;
+  }
+
+  return {
+    positions: Array.from(positions.values()),
+    truncated: (tokenUpdates.data || []).length >= MAX_BALANCE_UPDATES
+      || (solUpdates.data || []).length >= MAX_BALANCE_UPDATES,
+  };
+}
+
+/**
+ * Average-cost PnL for one position over the range
+ * The opening balance is valued at the first day's close; inflows add to cost
+ * basis and outflows realize the difference between their value and it
+ */
+function positionPnl(position, closes, from, to, dates) {
+  const startBalance = balanceAt(position, from.getTime());
+  const endBalance = balanceAt(position, to.getTime());
+  const priced = Boolean(closes && closes.length > 0);
+
+  const result = {
+    mint: position.mint,
+    symbol: position.symbol,
+    start_balance: startBalance,
+    end_balance: endBalance,
+    inflow: 0,
+    outflow: 0,
+    priced,
+    start_price_usd: null,
+    end_price_usd: null,
+    avg_cost_usd: null,
+    cost_basis_usd: null,
+    realized_pnl_usd: null,
+    unrealized_pnl_usd: null,
+    total_pnl_usd: null,
+  };
+
+  const flows = position.updates.filter((update) => update.time > from.getTime() && update.time <= to.getTime());
+  flows.forEach((update) => {
+    if (update.amount > 0) result.inflow += update.amount;
+    else result.outflow -= update.amount;
+  });
+
+  if (!priced) return result;
+
+  const startPrice = priceOn(closes, dates[0]);
+  const endPrice = priceOn(closes, dates[dates.length - 1]);
+  let quantity = startBalance;
+  let cost = startBalance * startPrice;
+  let realized = 0;
+
+  flows.forEach((update) => {
+    const price = priceOn(closes, new Date(update.time).toISOString().slice(0, 10));
+    const value = update.amount_usd != null ? Math.abs(update.amount_usd) : Math.abs(update.amount) * price;
+
+    if (update.amount > 0) {
+      quantity += update.amount;
+      cost += value;
+      return;
+    }
+
+    // Outflows beyond the tracked quantity (missing history) realize nothing extra
+    const sold = Math.min(-update.amount, quantity);
+    if (sold <= 0) return;
+
+    const avgCost = cost / quantity;
+    realized += (value * sold) / -update.amount - sold * avgCost;
+    cost -= sold * avgCost;
+    quantity -= sold;
+  });
+
+  const unrealized = quantity * endPrice - cost;
+
+  return {
+    ...result,
+    start_price_usd: startPrice,
+    end_price_usd: endPrice,
+    avg_cost_usd: quantity > 0 ? cost / quantity : null,
+    cost_basis_usd: cost,
+    realized_pnl_usd: realized,
+    unrealized_pnl_usd: unrealized,
+    total_pnl_usd: realized + unrealized,
+  };
+}
+
+/**
+ * Realized and unrealized PnL per token, plus a daily equity curve
+ */
+async function getPnl(address, { from, to }) {
+  const { positions, truncated } = await getPositions(address, from);
+  const dates = datesBetween(from, to);
+
+  // Price SOL and the most active tokens; skip positions that were always empty
+  const active = positions
+    .filter((position) => position.updates.length > 0 || position.currentBalance > 0)
+    .sort((a, b) => (b.mint === NATIVE_SOL_MINT) - (a.mint === NATIVE_SOL_MINT) || b.updates.length - a.updates.length);
+  const pricedMints = active.slice(0, MAX_PRICED_MINTS)
+    .map((position) => (position.mint === NATIVE_SOL_MINT ? WRAPPED_SOL_MINT : position.mint));
+
+  let closes = {};
+  if (pricedMints.length > 0) {
+    try {
+      const result = await BitqueryService.getTokenDailyCloses(pricedMints, {
+        from: floorTime(new Date(from.getTime() - PRICE_LOOKBACK_DAYS * DAY_MS), DAY_MS).toISOString(),
+        to: endOfDay(to).toISOString(),
+      });
+      closes = result.data || {};
+    } catch (error) {
+      logger.error('PnL price lookup failed:', { address, error: error.message });
+    }
+  }
+
+  const closesFor = (mint) => closes[mint === NATIVE_SOL_MINT ? WRAPPED_SOL_MINT : mint];
+  const tokens = active.map((position) => positionPnl(position, closesFor(position.mint), from, to, dates));
+  const pricedTokens = tokens.filter((token) => token.priced);
+  const sum = (field) => pricedTokens.reduce((total, token) => total + token[field], 0);
+
+  const equityCurve = dates.map((date) => {
+    const endOfDay = Math.min(Date.parse(date) + DAY_MS - 1, to.getTime());
+    const value = active.reduce((total, position) => {
+      const price = priceOn(closesFor(position.mint), date);
+      return price == null ? total : total + balanceAt(position, endOfDay) * price;
+    }, 0);
+
+    return { date, value_usd: value };
+  });
+
+  return {
+    address,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    totals: {
+      start_value_usd: pricedTokens.reduce((total, token) => total + token.start_balance * token.start_price_usd, 0),
+      end_value_usd: pricedTokens.reduce((total, token) => total + token.end_balance * token.end_price_usd, 0),
+      realized_pnl_usd: sum('realized_pnl_usd'),
+      unrealized_pnl_usd: sum('unrealized_pnl_usd'),
+      total_pnl_usd: sum('total_pnl_usd'),
+    },
+    tokens: tokens.sort((a, b) => Math.abs(b.total_pnl_usd || 0) - Math.abs(a.total_pnl_usd || 0)),
+    equity_curve: equityCurve,
+    truncated,
+  };
+}
+
+module.exports = {
+  getPortfolio,
+  getPnl,
+};
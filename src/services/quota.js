@@ -0,0 +1,302 @@
+/**
+ * Quota Service
+ * Monthly credit quotas per account tier
+ *
+ * Usage is counted in Redis (quota:<userId>:<YYYY-MM> hash with credits and
+ * requests fields) and periodically flushed to the quota_usage table. If the
+ * Redis hash is missing (eviction, restart) it is re-seeded from Postgres
+ * before the next charge.
+ */
+
+const { redis } = require('../config/redis');
+const { prisma } = require('../lib/prisma');
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const {
+  QUOTA_TIERS,
+  ENDPOINT_COSTS,
+  DEFAULT_ENDPOINT_COST,
+} = require('../config/constants');
+
+const DIRTY_SET = 'quota:dirty';
+const RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+// Charge cost credits unless it would exceed the limit.
+// KEYS[1] = usage hash, KEYS[2] = dirty set
+// ARGV = cost, limit, ttl, dirty member
+// Returns { allowed (1/0), credits used, request count }
+const CONSUME_SCRIPT = `
+local used = tonumber(redis.call('HGET', KEYS[1], 'credits') or '0')
+local requests = tonumber(redis.call('HGET', KEYS[1], 'requests') or '0')
+local cost = tonumber(ARGV[1])
+if used + cost > tonumber(ARGV[2]) then
+  return {0, used, requests}
+end
+used = redis.call('HINCRBY', KEYS[1], 'credits', cost)
+requests = redis.call('HINCRBY', KEYS[1], 'requests', 1)
+redis.call('EXPIRE', KEYS[1], ARGV[3])
+redis.call('SADD', KEYS[2], ARGV[4])
+return {1, used, requests}
+`;
+
+// Give back cost credits for a request that was rejected after being charged.
+// KEYS[1] = usage hash, KEYS[2] = dirty set
+// ARGV = cost, dirty member
+// Returns credits used after the refund (-1 if the hash is gone)
+const REFUND_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  return -1
+end
+local used = tonumber(redis.call('HGET', KEYS[1], 'credits') or '0')
+local requests = tonumber(redis.call('HGET', KEYS[1], 'requests') or '0')
+local refund = math.min(tonumber(ARGV[1]), used)
+used = redis.call('HINCRBY', KEYS[1], 'credits', -refund)
+if requests > 0 then
+  redis.call('HINCRBY', KEYS[1], 'requests', -1)
+end
+redis.call('SADD', KEYS[2], ARGV[2])
+return used
+`;
+
+let flushTimer = null;
+let flushing = null;
+
+/**
+ * Billing period for a date (YYYY-MM, UTC)
+ */
+function getPeriod(date = new Date()) {
+  return date.toISOString().substring(0, 7);
+}
+
+/**
+ * When a billing period ends (start of the next month, UTC)
+ */
+function getPeriodEnd(period) {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(Date.UTC(year, month, 1));
+}
+
+/**
+ * Redis hash holding a user's usage for a period
+ */
+function usageKey(userId, period) {
+  return `quota:${userId}:${period}`;
+}
+
+/**
+ * Quota settings for a tier
+ */
+function getTierQuota(tier) {
+  return QUOTA_TIERS[tier?.toUpperCase()] || QUOTA_TIERS.FREE;
+}
+
+/**
+ * Credits charged for a request
+ * body is only needed for perBatchItem rules (charged per call in a batch)
+ */
+function getEndpointCost(method, path, body) {
+  const match = ENDPOINT_COSTS.find(
+    (rule) => (!rule.method || rule.method === method) && rule.path.test(path)
+  );
+  if (!match) return DEFAULT_ENDPOINT_COST;
+
+  if (match.perBatchItem && Array.isArray(body)) {
+    return match.cost * Math.max(1, body.length);
+  }
+  return match.cost;
+}
+
+/**
+ * Re-seed the Redis counters from Postgres if the hash is missing
+ */
+async function hydrate(userId, period) {
+  const key = usageKey(userId, period);
+  if (await redis.exists(key)) return;
+
+  const stored = await prisma.quotaUsage.findUnique({
+    where: { userId_period: { userId, period } },
+  });
+
+  const ttl = Math.ceil((getPeriodEnd(period) - Date.now()) / 1000) + RETENTION_SECONDS;
+
+  await redis.multi()
+    .hsetnx(key, 'credits', stored?.creditsUsed || 0)
+    .hsetnx(key, 'requests', stored?.requestCount || 0)
+    .expire(key, ttl)
+    .exec();
+}
+
+/**
+ * Format quota state
+ */
+function formatQuota(tier, period, creditsUsed, requestCount) {
+  const { monthlyCredits } = getTierQuota(tier);
+
+  return {
+    tier: tier.toLowerCase(),
+    period,
+    limit: monthlyCredits,
+    used: creditsUsed,
+    remaining: Math.max(0, monthlyCredits - creditsUsed),
+    requests: requestCount,
+    reset_at: getPeriodEnd(period).toISOString(),
+  };
+}
+
+/**
+ * Charge a request against the user's monthly quota
+ * Returns { allowed, cost, quota }
+ */
+async function consume(userId, tier, cost) {
+  const period = getPeriod();
+  const key = usageKey(userId, period);
+  const { monthlyCredits } = getTierQuota(tier);
+  const ttl = Math.ceil((getPeriodEnd(period) - Date.now()) / 1000) + RETENTION_SECONDS;
+
+  await hydrate(userId, period);
+
+  const [allowed, creditsUsed, requestCount] = await redis.eval(
+    CONSUME_SCRIPT,
+    2,
+    key,
+    DIRTY_SET,
+    cost,
+    monthlyCredits,
+    ttl,
+    `${userId}:${period}`
+  );
+
+  return {
+    allowed: allowed === 1,
+    cost,
+    quota: formatQuota(tier, period, creditsUsed, requestCount),
+  };
+}
+
+/**
+ * Refund a charge made by consume (period is the one it was charged to)
+ */
+async function refund(userId, period, cost) {
+  return redis.eval(
+    REFUND_SCRIPT,
+    2,
+    usageKey(userId, period),
+    DIRTY_SET,
+    cost,
+    `${userId}:${period}`
+  );
+}
+
+/**
+ * Get a user's quota for the current period
+ */
+async function getQuota(userId, tier) {
+  const period = getPeriod();
+
+  await hydrate(userId, period);
+
+  const usage = await redis.hgetall(usageKey(userId, period));
+
+  return formatQuota(
+    tier,
+    period,
+    parseInt(usage.credits, 10) || 0,
+    parseInt(usage.requests, 10) || 0
+  );
+}
+
+/**
+ * Write changed counters to Postgres
+ * Members that fail are put back after the pass, for the next flush
+ */
+async function flush() {
+  // One flush at a time; callers wait for the running one
+  if (flushing) return flushing;
+
+  flushing = (async () => {
+    let flushed = 0;
+    const failed = [];
+
+    for (;;) {
+      const members = await redis.spop(DIRTY_SET, 100);
+      if (!members || members.length === 0) break;
+
+      for (const member of members) {
+        const [userId, period] = member.split(':');
+        const usage = await redis.hgetall(usageKey(userId, period));
+        if (!usage.credits) continue;
+
+        const data = {
+          creditsUsed: parseInt(usage.credits, 10),
+          requestCount: parseInt(usage.requests, 10) || 0,
+        };
+
+        try {
+          await prisma.quotaUsage.upsert({
+            where: { userId_period: { userId, period } },
+            create: { userId, period, ...data },
+            update: data,
+          });
+          flushed++;
+        } catch (error) {
+          failed.push(member);
+          logger.error('Quota flush failed:', { userId, period, error: error.message });
+        }
+      }
+    }
+
+    if (failed.length > 0) {
+      // Retry on the next flush
+      await redis.sadd(DIRTY_SET, ...failed);
+    }
+
+    if (flushed > 0) {
+      logger.debug(`Flushed quota usage for ${flushed} user(s)`);
+    }
+
+    return flushed;
+  })();
+
+  try {
+    return await flushing;
+  } finally {
+    flushing = null;
+  }
+}
+
+/**
+ * Start the periodic flush to Postgres
+ */
+function startFlusher(intervalMs = config.quota.flushIntervalMs) {
+  if (flushTimer) return;
+
+  flushTimer = setInterval(() => {
+    flush().catch((error) => logger.error('Quota flush error:', error.message));
+  }, intervalMs);
+  flushTimer.unref();
+}
+
+/**
+ * Stop the flusher and write any pending counters
+ */
+async function stopFlusher() {
+  if (flushTimer) {
+    clearInterval(flushTimer);
+    flushTimer = null;
+  }
+
+  await flush();
+}
+
+module.exports = {
+  getPeriod,
+  getPeriodEnd,
+  getTierQuota,
+  getEndpointCost,
+  consume,
+  refund,
+  getQuota,
+  flush,
+  startFlusher,
+  stopFlusher,
+};
@@ -0,0 +1,544 @@
+/**
+ * RPC Provider Pool
+ * Picks the Solana RPC provider for each call
+ *
+ * Providers come from SOLANA_RPC_PROVIDERS (a JSON array, or the path to a JSON
+ * file), otherwise from HELIUS_RPC_URL and the SOLANA_*_RPC_* variables. A call
+ * goes to a healthy provider that serves its method, picked at random by
+ * weight, with slower providers' weights scaled down. Weight 0 providers are
+ * standbys, used in listed order when no weighted provider is healthy.
+ *
+ * Health is shared between workers through Redis. One process at a time
+ * probes every provider (getHealth, and slot lag behind the highest slot on
+ * its network), and any process that sees repeated request failures marks
+ * the provider down for a cooldown. Every process re-reads the shared state
+ * on an interval.
+ */
+
+const fs = require('fs');
+const axios = require('axios');
+const Joi = require('joi');
+const { cache, redis } = require('../config/redis');
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { SOLANA_NETWORKS } = require('../config/constants');
+
+const PROBE_LOCK_KEY = 'lock:rpc-probe';
+const STATE_PREFIX = 'rpc:providers:';
+const DOWN_PREFIX = 'rpc:down:';
+const FAILURES_PREFIX = 'rpc:failures:';
+
+// DAS (Digital Asset Standard) methods, only sent to providers with das: true
+const DAS_METHODS = new Set([
+  'getAsset',
+  'getAssetBatch',
+  'getAssetProof',
+  'getAssetProofBatch',
+  'getAssetsByOwner',
+  'getAssetsByGroup',
+  'getAssetsByCreator',
+  'getAssetsByAuthority',
+  'searchAssets',
+  'getSignaturesForAsset',
+  'getNftEditions',
+  'getTokenAccounts',
+]);
+
+const METHOD_NOT_FOUND = -32601;
+
+// Weight of each probe's latency in the smoothed value
+const LATENCY_SMOOTHING = 0.3;
+
+// Latencies below this count as equally fast
+const MIN_LATENCY_MS = 50;
+
+const providerSchema = Joi.object({
+  name: Joi.string().pattern(/^[\w-]+$/).required(),
+  network: Joi.string().valid(...Object.values(SOLANA_NETWORKS)).default(SOLANA_NETWORKS.MAINNET),
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+  ws: Joi.string().uri({ scheme: ['ws', 'wss'] }),
+  weight: Joi.number().min(0).default(1),
+  das: Joi.boolean().default(false),
+  methods: Joi.array().items(Joi.string()).min(1),
+  excludeMethods: Joi.array().items(Joi.string()),
+}).oxor('methods', 'excludeMethods');
+
+const providersSchema = Joi.array()
+  .items(providerSchema)
+  .min(1)
+  .unique((a, b) => a.network === b.network && a.name === b.name);
+
+let providersByNetwork = new Map();
+const state = new Map();
+
+let probeTimer = null;
+let syncTimer = null;
+let probing = null;
+
+/**
+ * Providers used when SOLANA_RPC_PROVIDERS isn't set
+ */
+function defaultProviders() {
+  const heliusKey = config.helius.apiKey;
+
+  return [
+    {
+      name: 'primary',
+      network: SOLANA_NETWORKS.MAINNET,
+      url: process.env.HELIUS_RPC_URL || `https://mainnet.helius-rpc.com/?api-key=${heliusKey}`,
+      weight: 1,
+      das: true,
+    },
+    {
+      name: 'fallback',
+      network: SOLANA_NETWORKS.MAINNET,
+      url: process.env.SOLANA_RPC_BACKUP_1 || 'https://api.mainnet-beta.solana.com',
+      weight: 0,
+    },
+    {
+      name: 'triton',
+      network: SOLANA_NETWORKS.MAINNET,
+      url: process.env.SOLANA_RPC_BACKUP_2 || 'https://solana-api.projectserum.com',
+      weight: 0,
+    },
+    {
+      name: 'primary',
+      network: SOLANA_NETWORKS.DEVNET,
+      url: process.env.SOLANA_DEVNET_RPC_URL || `https://devnet.helius-rpc.com/?api-key=${heliusKey}`,
+      weight: 1,
+      das: true,
+    },
+    {
+      name: 'fallback',
+      network: SOLANA_NETWORKS.DEVNET,
+      url: process.env.SOLANA_DEVNET_RPC_BACKUP || 'https://api.devnet.solana.com',
+      weight: 0,
+    },
+    {
+      name: 'primary',
+      network: SOLANA_NETWORKS.TESTNET,
+      url: process.env.SOLANA_TESTNET_RPC_URL || 'https://api.testnet.solana.com',
+      weight: 1,
+    },
+  ];
+}
+
+/**
+ * Read and validate the provider list
+ * Networks the configured list doesn't mention keep their default providers
+ */
+function loadProviders(source = config.rpcPool.providers) {
+  const defaults = defaultProviders();
+  if (!source) return defaults;
+
+  const json = source.trim().startsWith('[') ? source : fs.readFileSync(source, 'utf8');
+  const { value, error } = providersSchema.validate(JSON.parse(json));
+
+  if (error) {
+    throw new Error(`Invalid SOLANA_RPC_PROVIDERS: ${error.message}`);
+  }
+
+  const configured = new Set(value.map((provider) => provider.network));
+  return [...value, ...defaults.filter((provider) => !configured.has(provider.network))];
+}
+
+/**
+ * Replace the pool's providers (keeps known state for providers that remain)
+ */
+function configure(providers = loadProviders()) {
+  providersByNetwork = new Map();
+
+  for (const provider of providers) {
+    const entry = {
+      ...provider,
+      id: `${provider.network}:${provider.name}`,
+      methods: provider.methods ? new Set(provider.methods) : null,
+      excludeMethods: provider.excludeMethods ? new Set(provider.excludeMethods) : null,
+    };
+
+    if (!providersByNetwork.has(entry.network)) {
+      providersByNetwork.set(entry.network, []);
+    }
+    providersByNetwork.get(entry.network).push(entry);
+
+    if (!state.has(entry.id)) {
+      state.set(entry.id, {
+        healthy: true,
+        latencyMs: null,
+        slot: null,
+        slotLag: null,
+        error: null,
+        checkedAt: null,
+        downUntil: 0,
+        failures: 0,
+      });
+    }
+  }
+}
+
+/**
+ * Whether a network has any providers
+ */
+function hasNetwork(network) {
+  return providersByNetwork.has(network);
+}
+
+/**
+ * Whether a provider takes calls for a method
+ */
+function servesMethod(provider, method) {
+  if (DAS_METHODS.has(method)) return provider.das;
+  if (provider.methods) return provider.methods.has(method);
+  if (provider.excludeMethods) return !provider.excludeMethods.has(method);
+  return true;
+}
+
+/**
+ * Whether a provider passed its last probe and isn't in a failure cooldown
+ */
+function isAvailable(provider, now = Date.now()) {
+  const status = state.get(provider.id);
+  return status.healthy && status.downUntil <= now;
+}
+
+/**
+ * Weighted random pick, with each weight scaled by how much slower than the
+ * fastest candidate the provider is
+ */
+function pickWeighted(providers) {
+  const latency = (provider) => Math.max(state.get(provider.id).latencyMs || 0, MIN_LATENCY_MS);
+  const fastest = Math.min(...providers.map(latency));
+  const scores = providers.map((provider) => provider.weight * (fastest / latency(provider)));
+
+  let roll = Math.random() * scores.reduce((sum, score) => sum + score, 0);
+  for (const [index, provider] of providers.entries()) {
+    roll -= scores[index];
+    if (roll < 0) return provider;
+  }
+  return providers[providers.length - 1];
+}
+
+/**
+ * Provider for one call
+ * exclude lists providers that already failed this call; they're only reused
+ * if nothing else serves the method
+ */
+function selectProvider(network, method, exclude = []) {
+  const candidates = (providersByNetwork.get(network) || []).filter((provider) => servesMethod(provider, method));
+
+  if (candidates.length === 0) {
+    throw new Error(`No RPC provider serves ${method} on ${network}`);
+  }
+
+  const untried = candidates.filter((provider) => !exclude.includes(provider.name));
+  const pool = untried.length > 0 ? untried : candidates;
+  const now = Date.now();
+  const healthy = pool.filter((provider) => isAvailable(provider, now));
+
+  const weighted = healthy.filter((provider) => provider.weight > 0);
+  if (weighted.length > 0) {
+    return pickWeighted(weighted);
+  }
+
+  // Standbys in listed order, then anything at all rather than failing outright
+  return healthy[0] || pool[0];
+}
+
+/**
+ * Update the provider gauges from local state
+ */
+function updateGauges(provider) {
+  const status = state.get(provider.id);
+  const labels = { network: provider.network, provider: provider.name };
+
+  metrics.rpcProviderUp.set(labels, isAvailable(provider) ? 1 : 0);
+  if (status.latencyMs !== null) {
+    metrics.rpcProviderLatency.set(labels, status.latencyMs / 1000);
+  }
+  if (status.slotLag !== null) {
+    metrics.rpcProviderSlotLag.set(labels, status.slotLag);
+  }
+}
+
+/**
+ * Count a failed call against a provider
+ * Once failures (across all workers) reach the threshold, the provider is
+ * marked down for the cooldown
+ */
+async function recordFailure(network, name, error) {
+  const provider = (providersByNetwork.get(network) || []).find((entry) => entry.name === name);
+  if (!provider) return;
+
+  const status = state.get(provider.id);
+  const { failureThreshold, cooldownMs } = config.rpcPool;
+  const cooldownSeconds = Math.ceil(cooldownMs / 1000);
+
+  status.failures++;
+  status.error = error?.message || status.error;
+  metrics.rpcProviderFailuresTotal.inc({ network, provider: name });
+
+  // Shared count; null means Redis is down, so go by this process's count
+  const failures = (await cache.incr(`${FAILURES_PREFIX}${provider.id}`, cooldownSeconds)) ?? status.failures;
+  if (failures < failureThreshold || status.downUntil > Date.now()) return;
+
+  status.downUntil = Date.now() + cooldownMs;
+  status.failures = 0;
+  metrics.rpcFailoversTotal.inc({ network, provider: name });
+  updateGauges(provider);
+  logger.warn(`RPC provider ${name} (${network}) marked down for ${cooldownSeconds}s`);
+
+  await Promise.all([
+    cache.set(`${DOWN_PREFIX}${provider.id}`, { error: status.error }, cooldownSeconds),
+    cache.del(`${FAILURES_PREFIX}${provider.id}`),
+  ]);
+}
+
+/**
+ * Send one JSON-RPC call straight to a provider (probes only)
+ */
+async function probeCall(provider, method, params) {
+  const response = await axios.post(
+    provider.url,
+    { jsonrpc: '2.0', id: Date.now(), method, params },
+    { timeout: config.rpcPool.probeTimeoutMs, headers: { 'Content-Type': 'application/json' } }
+  );
+
+  if (response.data.error) {
+    const error = new Error(response.data.error.message || 'RPC Error');
+    error.rpcCode = response.data.error.code;
+    throw error;
+  }
+
+  return response.data.result;
+}
+
+/**
+ * getHealth and getSlot against one provider
+ * Providers without getHealth are judged on slot lag alone
+ */
+async function probeProvider(provider) {
+  const started = Date.now();
+
+  try {
+    const [health, slot] = await Promise.all([
+      probeCall(provider, 'getHealth', []).catch((error) => {
+        if (error.rpcCode === METHOD_NOT_FOUND) return 'ok';
+        return `getHealth: ${error.message}`;
+      }),
+      probeCall(provider, 'getSlot', [{ commitment: 'confirmed' }]),
+    ]);
+
+    return { slot, latencyMs: Date.now() - started, error: health === 'ok' ? null : health };
+  } catch (error) {
+    return { slot: null, latencyMs: null, error: error.message };
+  }
+}
+
+/**
+ * Probe every provider on a network and share the results
+ */
+async function probeNetwork(network) {
+  const providers = providersByNetwork.get(network);
+  const results = await Promise.all(providers.map(probeProvider));
+  const highestSlot = Math.max(0, ...results.map((result) => result.slot || 0));
+  const checkedAt = Date.now();
+
+  const shared = {};
+  for (const [index, provider] of providers.entries()) {
+    const result = results[index];
+    const status = state.get(provider.id);
+    const slotLag = result.slot === null ? null : highestSlot - result.slot;
+    const error = result.error || (slotLag > config.rpcPool.maxSlotLag ? `${slotLag} slots behind` : null);
+
+    if (error && status.healthy) {
+      logger.warn(`RPC provider ${provider.name} (${network}) failed health probe: ${error}`);
+    }
+
+    Object.assign(status, {
+      healthy: !error,
+      latencyMs: result.latencyMs === null || status.latencyMs === null
+        ? result.latencyMs ?? status.latencyMs
+        : Math.round(status.latencyMs * (1 - LATENCY_SMOOTHING) + result.latencyMs * LATENCY_SMOOTHING),
+      slot: result.slot,
+      slotLag,
+      error,
+      checkedAt,
+    });
+    updateGauges(provider);
+
+    const { healthy, latencyMs, slot } = status;
+    shared[provider.name] = JSON.stringify({ healthy, latencyMs, slot, slotLag, error, checkedAt });
+  }
+
+  try {
+    await redis.multi()
+      .hset(`${STATE_PREFIX}${network}`, shared)
+      .pexpire(`${STATE_PREFIX}${network}`, config.rpcPool.probeIntervalMs * 4)
+      .exec();
+  } catch (error) {
+    logger.error('Failed to share RPC provider health:', error.message);
+  }
+}
+
+/**
+ * Probe all providers, unless another process holds the probe lock
+ */
+async function probe() {
+  // null means Redis is down, so probe anyway
+  const lockSeconds = Math.max(1, Math.floor(config.rpcPool.probeIntervalMs / 1000));
+  if (await cache.setIfAbsent(PROBE_LOCK_KEY, process.pid, lockSeconds) === false) {
+    return false;
+  }
+
+  await Promise.all(Array.from(providersByNetwork.keys()).map(probeNetwork));
+  return true;
+}
+
+/**
+ * Run a probe unless one is already running
+ */
+async function runProbe() {
+  if (probing) return probing;
+
+  probing = probe();
+
+  try {
+    return await probing;
+  } finally {
+    probing = null;
+  }
+}
+
+/**
+ * Load the shared probe results and failure cooldowns from Redis
+ */
+async function sync() {
+  const networks = Array.from(providersByNetwork.keys());
+  const providers = networks.flatMap((network) => providersByNetwork.get(network));
+
+  const pipeline = redis.pipeline();
+  networks.forEach((network) => pipeline.hgetall(`${STATE_PREFIX}${network}`));
+  providers.forEach((provider) => pipeline.pttl(`${DOWN_PREFIX}${provider.id}`));
+
+  const results = await pipeline.exec();
+  const now = Date.now();
+
+  for (const [index, network] of networks.entries()) {
+    const [error, shared] = results[index];
+    if (error || !shared) continue;
+
+    for (const provider of providersByNetwork.get(network)) {
+      if (!shared[provider.name]) continue;
+
+      const probeResult = JSON.parse(shared[provider.name]);
+      const status = state.get(provider.id);
+
+      // Only take results at least as new as what this process has
+      if (status.checkedAt === null || probeResult.checkedAt >= status.checkedAt) {
+        Object.assign(status, probeResult);
+      }
+    }
+  }
+
+  for (const [index, provider] of providers.entries()) {
+    const [error, ttl] = results[networks.length + index];
+    if (!error && ttl > 0) {
+      const status = state.get(provider.id);
+      status.downUntil = Math.max(status.downUntil, now + ttl);
+    }
+    updateGauges(provider);
+  }
+}
+
+/**
+ * Status of every provider on a network (URLs are left out, they carry API keys)
+ */
+function getStatus(network) {
+  const now = Date.now();
+
+  return (providersByNetwork.get(network) || []).map((provider) => {
+    const status = state.get(provider.id);
+
+    return {
+      name: provider.name,
+      weight: provider.weight,
+      das: provider.das,
+      methods: provider.methods ? Array.from(provider.methods) : null,
+      exclude_methods: provider.excludeMethods ? Array.from(provider.excludeMethods) : null,
+      available: isAvailable(provider, now),
+      healthy: status.healthy,
+      down_until: status.downUntil > now ? new Date(status.downUntil).toISOString() : null,
+      latency_ms: status.latencyMs,
+      slot: status.slot,
+      slot_lag: status.slotLag,
+      last_error: status.error,
+      checked_at: status.checkedAt ? new Date(status.checkedAt).toISOString() : null,
+    };
+  });
+}
+
+/**
+ * WebSocket endpoint for subscriptions on a network
+ * A provider's ws URL if one is configured, else the first weighted provider's URL
+ */
+function getWebSocketUrl(network) {
+  const providers = providersByNetwork.get(network) || [];
+  const provider = providers.find((entry) => entry.ws)
+    || providers.find((entry) => entry.weight > 0)
+    || providers[0];
+
+  return provider.ws || provider.url.replace(/^http/, 'ws');
+}
+
+/**
+ * Start probing and syncing shared health
+ */
+function start() {
+  if (probeTimer) return;
+
+  const tick = () => runProbe()
+    .then(() => sync())
+    .catch((error) => logger.error('RPC provider probe error:', error.message));
+
+  probeTimer = setInterval(tick, config.rpcPool.probeIntervalMs);
+  probeTimer.unref();
+
+  syncTimer = setInterval(() => {
+    sync().catch((error) => logger.warn('RPC provider health sync failed:', error.message));
+  }, config.rpcPool.syncIntervalMs);
+  syncTimer.unref();
+
+  tick();
+}
+
+/**
+ * Stop probing and wait for a running probe to finish
+ */
+async function stop() {
+  clearInterval(probeTimer);
+  clearInterval(syncTimer);
+  probeTimer = null;
+  syncTimer = null;
+
+  if (probing) {
+    await probing.catch(() => {});
+  }
+}
+
+configure();
+
+module.exports = {
+  DAS_METHODS,
+  configure,
+  loadProviders,
+  hasNetwork,
+  selectProvider,
+  recordFailure,
+  probe: runProbe,
+  sync,
+  getStatus,
+  getWebSocketUrl,
+  start,
+  stop,
+};
@@ -0,0 +1,231 @@
+/**
+ * RPC Proxy
+ * JSON-RPC 2.0 passthrough behind POST /v1/solana/rpc
+ *
+ * Accepts single calls and batches, so @solana/web3.js clients can use the
+ * API as their Connection endpoint. Each call is checked against the tier's
+ * method allowlist and sent through SolanaService.rpcRequest (provider pool
+ * and failover). Read results are cached per network, method and params;
+ * processed-commitment calls are never cached, and finalized transactions
+ * and blocks are kept for CACHE_TTL.FINALIZED.
+ */
+
+const crypto = require('crypto');
+const SolanaService = require('./solana');
+const { cache } = require('../utils/cache');
+const { recordCacheLookup } = require('../utils/metrics');
+const logger = require('../utils/logger');
+const {
+  CACHE_TTL,
+  TIER_ORDER,
+  RPC_PROXY_TIERS,
+  RPC_PROXY_WRITE_METHODS,
+  API_KEY_SCOPES,
+} = require('../config/constants');
+
+// JSON-RPC 2.0 error codes
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INTERNAL_ERROR = -32603;
+
+// Calls from one batch sent upstream at a time
+const BATCH_CONCURRENCY = 10;
+
+// Cache TTL per method (seconds); methods not listed are never cached
+const METHOD_TTLS = {
+  getAccountInfo: CACHE_TTL.ACCOUNT_INFO,
+  getBalance: CACHE_TTL.BALANCE,
+  getMultipleAccounts: CACHE_TTL.ACCOUNT_INFO,
+  getProgramAccounts: CACHE_TTL.ACCOUNT_INFO,
+  getSignaturesForAddress: CACHE_TTL.BALANCE,
+  getTokenAccountBalance: CACHE_TTL.BALANCE,
+  getTokenAccountsByOwner: CACHE_TTL.ACCOUNT_INFO,
+  getTokenAccountsByDelegate: CACHE_TTL.ACCOUNT_INFO,
+  getTokenLargestAccounts: CACHE_TTL.ACCOUNT_INFO,
+  getTokenSupply: CACHE_TTL.ACCOUNT_INFO,
+  getTransaction: CACHE_TTL.TRANSACTION,
+  getBlock: CACHE_TTL.BLOCK,
+  getBlockTime: CACHE_TTL.BLOCK,
+  getInflationReward: CACHE_TTL.BLOCK,
+  getGenesisHash: CACHE_TTL.CLUSTER_CONFIG,
+  getEpochSchedule: CACHE_TTL.CLUSTER_CONFIG,
+  getMinimumBalanceForRentExemption: CACHE_TTL.CLUSTER_CONFIG,
+};
+
+// Results that can't change once finalized (null results are never cached)
+const IMMUTABLE_METHODS = new Set(['getTransaction', 'getBlock', 'getBlockTime', 'getInflationReward']);
+
+// Methods each tier may call, including those of lower tiers
+const allowedMethods = new Map(
+  TIER_ORDER.map((tier, index) => [
+    tier,
+    new Set(TIER_ORDER.slice(0, index + 1).flatMap((lower) => RPC_PROXY_TIERS[lower].methods)),
+  ])
+);
+
+/**
+ * JSON-RPC error response
+ */
+function rpcError(id, code, message, data) {
+  return {
+    jsonrpc: '2.0',
+    id,
+    error: data === undefined ? { code, message } : { code, message, data },
+  };
+}
+
+/**
+ * Lowest tier that may call a method (null if none)
+ */
+function requiredTier(method) {
+  return TIER_ORDER.find((tier) => allowedMethods.get(tier).has(method)) || null;
+}
+
+/**
+ * Commitment a call reads at (the node default is finalized)
+ */
+function getCommitment(params) {
+  const options = Array.isArray(params)
+    ? params.find((param) => param && typeof param === 'object' && !Array.isArray(param) && param.commitment)
+    : params;
+  return options?.commitment || 'finalized';
+}
+
+/**
+ * Seconds to cache a result for (0 = don't cache)
+ */
+function getCacheTtl(method, params, result) {
+  const ttl = METHOD_TTLS[method] || 0;
+  const commitment = getCommitment(params);
+
+  if (ttl === 0 || commitment === 'processed') return 0;
+  if (!IMMUTABLE_METHODS.has(method)) return ttl;
+  if (result === null) return 0;
+
+  return commitment === 'finalized' ? CACHE_TTL.FINALIZED : ttl;
+}
+
+/**
+ * Cache key for a call
+ */
+function cacheKey(network, method, params) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(params ?? null)).digest('hex');
+  return `solana:rpc:${network}:${method}:${hash}`;
+}
+
+/**
+ * Check a call's shape and whether the caller may make it
+ * Returns an error response, or null if the call can go ahead
+ */
+function checkCall(call, context) {
+  const id = call && typeof call === 'object' && 'id' in call ? call.id : null;
+
+  if (!call || typeof call !== 'object' || Array.isArray(call)
+    || call.jsonrpc !== '2.0' || typeof call.method !== 'string'
+    || (call.params !== undefined && (call.params === null || typeof call.params !== 'object'))) {
+    return rpcError(id, INVALID_REQUEST, 'Invalid request');
+  }
+
+  if (!allowedMethods.get(context.tier).has(call.method)) {
+    const minimum = requiredTier(call.method);
+
+    if (!minimum) {
+      return rpcError(id, METHOD_NOT_FOUND, `Method not found: ${call.method}`);
+    }
+    return rpcError(id, METHOD_NOT_FOUND, `${call.method} requires the ${minimum.toLowerCase()} tier`, {
+      tier: context.tier.toLowerCase(),
+      required_tier: minimum.toLowerCase(),
+    });
+  }
+
+  if (RPC_PROXY_WRITE_METHODS.includes(call.method) && !context.scopes?.includes(API_KEY_SCOPES.SOLANA_WRITE)) {
+    return rpcError(id, METHOD_NOT_FOUND, `${call.method} requires the ${API_KEY_SCOPES.SOLANA_WRITE} scope`, {
+      required_scope: API_KEY_SCOPES.SOLANA_WRITE,
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Run one call
+ * Returns its response, or null for a notification (no id)
+ */
+async function handleCall(call, context) {
+  const invalid = checkCall(call, context);
+  if (invalid) return invalid;
+
+  const { method, params = [] } = call;
+  const isNotification = !('id' in call);
+  const respond = (result) => (isNotification ? null : { jsonrpc: '2.0', id: call.id, result });
+  const cacheable = (METHOD_TTLS[method] || 0) > 0 && getCommitment(params) !== 'processed';
+  const key = cacheKey(context.network, method, params);
+
+  if (cacheable) {
+    const cached = await cache.get(key);
+    recordCacheLookup(key, cached !== null);
+    if (cached !== null) return respond(cached.result);
+  }
+
+  try {
+    const { data } = await SolanaService.rpcRequest(method, params, { network: context.network });
+
+    const ttl = getCacheTtl(method, params, data);
+    if (cacheable && ttl > 0) {
+      // Wrapped so that a null result can be told apart from a cache miss
+      await cache.set(key, { result: data }, ttl);
+    }
+
+    return respond(data);
+  } catch (error) {
+    if (isNotification) return null;
+
+    if (error.rpcCode !== undefined) {
+      return rpcError(call.id, error.rpcCode, error.message, error.rpcData);
+    }
+
+    logger.warn('RPC proxy call failed:', { method, network: context.network, error: error.message });
+    return rpcError(call.id, INTERNAL_ERROR, `Upstream RPC request failed: ${error.message}`);
+  }
+}
+
+/**
+ * Handle a JSON-RPC request body (one call or a batch)
+ * context: { network, tier, scopes }
+ * Returns the response body, or null when there's nothing to send back
+ */
+async function handle(body, context) {
+  const tier = RPC_PROXY_TIERS[context.tier?.toUpperCase()] ? context.tier.toUpperCase() : 'FREE';
+  const callContext = { ...context, tier };
+
+  if (!Array.isArray(body)) {
+    return handleCall(body, callContext);
+  }
+
+  if (body.length === 0) {
+    return rpcError(null, INVALID_REQUEST, 'Empty batch');
+  }
+
+  const { maxBatch } = RPC_PROXY_TIERS[tier];
+  if (body.length > maxBatch) {
+    const message = `Batch too large: at most ${maxBatch} calls per request on the ${tier.toLowerCase()} tier`;
+    return rpcError(null, INVALID_REQUEST, message, {
+      max_batch: maxBatch,
+    });
+  }
+
+  const responses = [];
+  for (let i = 0; i < body.length; i += BATCH_CONCURRENCY) {
+    const chunk = body.slice(i, i + BATCH_CONCURRENCY);
+    responses.push(...await Promise.all(chunk.map((call) => handleCall(call, callContext))));
+  }
+
+  const sent = responses.filter((response) => response !== null);
+  return sent.length > 0 ? sent : null;
+}
+
+module.exports = {
+  handle,
+  getCacheTtl,
+  requiredTier,
+};
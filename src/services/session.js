@@ -0,0 +1,210 @@
+/**
+ * Session Service
+ * JWT access/refresh tokens for dashboard sessions
+ *
+ * Each login creates a session record in Redis (session:<sid>).
+ * Access tokens are only valid while that record exists, so deleting
+ * it on logout revokes every token issued for the session. Refresh
+ * tokens are single-use: the record stores the current refresh jti and
+ * a replayed (already rotated) refresh token ends the session. The jti is
+ * swapped with a compare-and-set, so of two concurrent refreshes with the
+ * same token only one wins and the other counts as reuse.
+ */
+
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { redis, cache } = require('../config/redis');
+const config = require('../config/app');
+const logger = require('../utils/logger');
+
+const ISSUER = 'api.acceso.dev';
+
+// Compare-and-set the refresh jti of a session record
+// KEYS = session key
+// ARGV = expected refresh jti, new record (JSON), TTL (seconds)
+// Returns 1 if swapped, 0 if the jti didn't match, -1 if the session is gone
+redis.defineCommand('swapSessionRefreshJti', {
+  numberOfKeys: 1,
+  lua: `
+local current = redis.call('GET', KEYS[1])
+if not current then
+  return -1
+end
+
+if cjson.decode(current).refreshJti ~= ARGV[1] then
+  return 0
+end
+
+redis.call('SET', KEYS[1], ARGV[2], 'EX', tonumber(ARGV[3]))
+return 1
+`,
+});
+
+/**
+ * Session record cache key
+ */
+function sessionKey(sessionId) {
+  return `session:${sessionId}`;
+}
+
+/**
+ * Sign a token of the given type
+ */
+function signToken(type, userId, sessionId, expiresIn) {
+  const jti = uuidv4();
+  const token = jwt.sign(
+    { type, sid: sessionId },
+    config.jwtSecret,
+    { subject: userId, jwtid: jti, issuer: ISSUER, expiresIn }
+  );
+  const { iat, exp } = jwt.decode(token);
+
+  return { token, jti, expiresIn: exp - iat };
+}
+
+/**
+ * Verify a token's signature, expiry and type
+ * Throws jsonwebtoken errors (TokenExpiredError, JsonWebTokenError)
+ */
+function verifyToken(token, type) {
+  const payload = jwt.verify(token, config.jwtSecret, { issuer: ISSUER });
+
+  if (payload.type !== type) {
+    throw new jwt.JsonWebTokenError(`Expected ${type} token`);
+  }
+
+  return payload;
+}
+
+/**
+ * Sign an access/refresh token pair for a session
+ */
+function signTokenPair(user, sessionId) {
+  return {
+    access: signToken('access', user.id, sessionId, config.jwtExpiry),
+    refresh: signToken('refresh', user.id, sessionId, config.jwtRefreshExpiry),
+  };
+}
+
+/**
+ * Token pair as returned to the client
+ */
+function formatTokens(sessionId, { access, refresh }) {
+  return {
+    session_id: sessionId,
+    token_type: 'Bearer',
+    access_token: access.token,
+    expires_in: access.expiresIn,
+    refresh_token: refresh.token,
+    refresh_expires_in: refresh.expiresIn,
+  };
+}
+
+/**
+ * Issue an access/refresh token pair and store the session record
+ */
+async function issueTokens(user, sessionId = uuidv4()) {
+  const pair = signTokenPair(user, sessionId);
+
+  await cache.set(
+    sessionKey(sessionId),
+    { userId: user.id, refreshJti: pair.refresh.jti },
+    pair.refresh.expiresIn
+  );
+
+  return formatTokens(sessionId, pair);
+}
+
+/**
+ * Verify an access token and check the session has not been revoked
+ * Returns the token payload, or null if the session no longer exists
+ */
+async function verifyAccessToken(token) {
+  const payload = verifyToken(token, 'access');
+  const session = await cache.get(sessionKey(payload.sid));
+
+  if (!session || session.userId !== payload.sub) {
+    return null;
+  }
+
+  return payload;
+}
+
+/**
+ * End a session whose refresh token was used twice
+ */
+async function revokeReusedSession(payload) {
+  // Reuse of a rotated refresh token means it leaked - end the session
+  logger.warn('Refresh token reuse detected, revoking session', {
+    userId: payload.sub,
+    sessionId: payload.sid,
+  });
+  await revoke(payload.sid);
+}
+
+/**
+ * Rotate a refresh token into a new token pair
+ * Returns null if the token was revoked or already used
+ */
+async function refresh(refreshToken, loadUser) {
+  const payload = verifyToken(refreshToken, 'refresh');
+  const session = await cache.get(sessionKey(payload.sid));
+
+  if (!session || session.userId !== payload.sub) {
+    return null;
+  }
+
+  if (session.refreshJti !== payload.jti) {
+    await revokeReusedSession(payload);
+    return null;
+  }
+
+  const user = await loadUser(payload.sub);
+  if (!user) {
+    await revoke(payload.sid);
+    return null;
+  }
+
+  // Swap in the new jti only if this token is still the current one
+  const pair = signTokenPair(user, payload.sid);
+  const swapped = await redis.swapSessionRefreshJti(
+    sessionKey(payload.sid),
+    payload.jti,
+    JSON.stringify({ userId: user.id, refreshJti: pair.refresh.jti }),
+    pair.refresh.expiresIn
+  );
+
+  if (swapped === -1) {
+    return null;
+  }
+
+  // Another refresh with the same token got there first
+  if (swapped === 0) {
+    await revokeReusedSession(payload);
+    return null;
+  }
+
+  return { user, tokens: formatTokens(payload.sid, pair) };
+}
+
+/**
+ * Revoke a session (logout)
+ */
+async function revoke(sessionId) {
+  return cache.del(sessionKey(sessionId));
+}
+
+/**
+ * Check whether a bearer credential is a JWT rather than an API key
+ */
+function isJwt(token) {
+  return typeof token === 'string' && token.split('.').length === 3;
+}
+
+module.exports = {
+  issueTokens,
+  verifyAccessToken,
+  refresh,
+  revoke,
+  isJwt,
+};
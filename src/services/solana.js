@@ -7,82 +7,112 @@
  * - Token metadata and prices
  * - Transaction details and sending
  * - Network stats
+ *
+ * Every RPC call runs against one network (mainnet-beta by default), with
+ * its own cache keys. The provider for each call comes from the RPC pool.
  */
 
-const { Connection, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const {
+  Connection,
+  PublicKey,
+  LAMPORTS_PER_SOL,
+  VersionedTransaction,
+  AddressLookupTableAccount,
+} = require('@solana/web3.js');
+const crypto = require('crypto');
 const axios = require('axios');
 const { getOrSet, cache } = require('../utils/cache');
 const logger = require('../utils/logger');
-const { CACHE_TTL, SOLANA_NETWORKS } = require('../config/constants');
+const metrics = require('../utils/metrics');
+const config = require('../config/app');
+const { CACHE_TTL, SOLANA_NETWORKS, PRIORITY_FEE_SPEEDS } = require('../config/constants');
 const { Transaction } = require('../models');
+const RpcPool = require('./rpcPool');
 
 // Helius API configuration
-const HELIUS_API_KEY = process.env.HELIUS_API_KEY || '8bff5899-6c9b-4630-92a3-2c9a23fd714f';
-const HELIUS_RPC_URL = process.env.HELIUS_RPC_URL || `https://mainnet.helius-rpc.com/?api-key=${HELIUS_API_KEY}`;
-const HELIUS_API_URL = `https://api.helius.xyz/v0`;
-
-// RPC Providers - Helius as primary
-const RPC_PROVIDERS = {
-  primary: HELIUS_RPC_URL,
-  fallback: process.env.SOLANA_RPC_BACKUP_1 || 'https://api.mainnet-beta.solana.com',
-  triton: process.env.SOLANA_RPC_BACKUP_2 || 'https://solana-api.projectserum.com',
-};
+const HELIUS_API_KEY = config.helius.apiKey;
+const MAGIC_EDEN_API_URL = 'https://api-mainnet.magiceden.dev/v2';
+
+// Maximum ids per Jupiter price request
+const PRICE_IDS_PER_CALL = 100;
+
+// Performance samples (60s each) used to estimate slot times, and the fallback
+const SLOT_TIME_SAMPLES = 10;
+const DEFAULT_SLOT_TIME_MS = 400;
+
+const DEFAULT_NETWORK = SOLANA_NETWORKS.MAINNET;
 
-// Provider health status
-const providerHealth = {
-  primary: { healthy: true, failures: 0, lastCheck: Date.now() },
-  fallback: { healthy: true, failures: 0, lastCheck: Date.now() },
-  triton: { healthy: true, failures: 0, lastCheck: Date.now() },
+// Helius Enhanced API endpoints; Helius doesn't serve testnet
+const HELIUS_API_URLS = {
+  [SOLANA_NETWORKS.MAINNET]: 'https://api.helius.xyz/v0',
+  [SOLANA_NETWORKS.DEVNET]: 'https://api-devnet.helius.xyz/v0',
 };
 
+// Compute unit limits: the runtime default per transaction, the maximum, and the
+// headroom (%) added to simulated usage
+const DEFAULT_COMPUTE_UNIT_LIMIT = 200000;
+const MAX_COMPUTE_UNIT_LIMIT = 1400000;
+const COMPUTE_UNIT_MARGIN_PCT = 10;
+
+// Base fee per signature, and the most accounts getRecentPrioritizationFees accepts
+const LAMPORTS_PER_SIGNATURE = 5000;
+const MAX_PRIORITY_FEE_ACCOUNTS = 128;
+
+// Most SOL a single airdrop request may ask for
+const MAX_AIRDROP_SOL = 2;
+
+// JSON-RPC errors caused by the request itself (invalid params, failed preflight,
+// bad signatures). These are returned as-is: retrying or failing over won't help.
+const RPC_CLIENT_ERROR_CODES = new Set([-32602, -32002, -32003, -32013, -32015]);
+
+// Block or slot data the provider doesn't have (not yet available, skipped, pruned).
+// Another provider may have it, but these don't count against the provider's health.
+const RPC_DATA_UNAVAILABLE_CODES = new Set([-32004, -32007, -32009, -32014]);
+
 /**
- * Get healthy RPC endpoint
+ * Whether a network name is supported
  */
-function getHealthyProvider() {
-  if (providerHealth.primary.healthy) {
-    return { name: 'primary', url: RPC_PROVIDERS.primary };
-  }
-  if (RPC_PROVIDERS.fallback && providerHealth.fallback.healthy) {
-    return { name: 'fallback', url: RPC_PROVIDERS.fallback };
-  }
-  if (RPC_PROVIDERS.triton && providerHealth.triton.healthy) {
-    return { name: 'triton', url: RPC_PROVIDERS.triton };
-  }
-  // Reset primary and try again
-  providerHealth.primary.healthy = true;
-  providerHealth.primary.failures = 0;
-  return { name: 'primary', url: RPC_PROVIDERS.primary };
+function isSupportedNetwork(network) {
+  return RpcPool.hasNetwork(network);
 }
 
 /**
- * Mark provider as failed
+ * Helius Enhanced API base URL for a network
+ * Throws on networks Helius doesn't serve
  */
-function markProviderFailed(providerName) {
-  if (providerHealth[providerName]) {
-    providerHealth[providerName].failures++;
-    if (providerHealth[providerName].failures >= 2) {
-      providerHealth[providerName].healthy = false;
-      logger.warn(`RPC provider ${providerName} marked unhealthy`);
-      
-      // Reset after 60 seconds
-      setTimeout(() => {
-        providerHealth[providerName].healthy = true;
-        providerHealth[providerName].failures = 0;
-        logger.info(`RPC provider ${providerName} reset to healthy`);
-      }, 60000);
-    }
+function getHeliusApiUrl(network = DEFAULT_NETWORK) {
+  const url = HELIUS_API_URLS[network];
+  if (!url) {
+    throw new Error(`Helius APIs are not available on ${network}`);
   }
+  return url;
+}
+
+/**
+ * Build an Error from a JSON-RPC error object
+ * DAS errors (asset not found, bad ids) are always treated as the caller's
+ */
+function createRpcError(rpcError, method) {
+  const error = new Error(rpcError.message || 'RPC Error');
+  error.rpcCode = rpcError.code;
+  error.rpcData = rpcError.data;
+  error.isClientError = RPC_CLIENT_ERROR_CODES.has(rpcError.code) || RpcPool.DAS_METHODS.has(method);
+  return error;
 }
 
 /**
  * Make RPC request with retry logic
+ * options.network selects the network (default mainnet-beta). Each attempt
+ * goes to a provider from the pool that hasn't failed this call yet.
  */
 async function rpcRequest(method, params, options = {}) {
+  const { network = DEFAULT_NETWORK, timeout = 10000 } = options;
   const maxRetries = 3;
+  const failed = [];
   let lastError;
 
   for (let attempt = 0; attempt < maxRetries; attempt++) {
-    const provider = getHealthyProvider();
+    const provider = RpcPool.selectProvider(network, method, failed);
     
     try {
       const response = await axios.post(
@@ -94,21 +124,32 @@ async function rpcRequest(method, params, options = {}) {
           params,
         },
         {
-          timeout: 10000,
+          timeout,
           headers: { 'Content-Type': 'application/json' },
         }
       );
 
       if (response.data.error) {
-        throw new Error(response.data.error.message || 'RPC Error');
+        throw createRpcError(response.data.error, method);
       }
 
+      metrics.rpcRequestsTotal.inc({ network, provider: provider.name, method, status: 'success' });
       return { data: response.data.result, provider: provider.name };
     } catch (error) {
       lastError = error;
-      markProviderFailed(provider.name);
+      metrics.rpcRequestsTotal.inc({ network, provider: provider.name, method, status: 'error' });
+
+      if (error.isClientError) {
+        throw error;
+      }
+
+      failed.push(provider.name);
+      if (!RPC_DATA_UNAVAILABLE_CODES.has(error.rpcCode)) {
+        await RpcPool.recordFailure(network, provider.name, error);
+      }
       logger.warn(`RPC request failed (attempt ${attempt + 1}):`, {
         method,
+        network,
         provider: provider.name,
         error: error.message,
       });
@@ -126,11 +167,12 @@ async function rpcRequest(method, params, options = {}) {
 /**
  * Get SOL balance
  */
-async function getBalance(address) {
-  const cacheKey = `solana:balance:${address}`;
+async function getBalance(address, options = {}) {
+  const { network = DEFAULT_NETWORK } = options;
+  const cacheKey = `solana:balance:${network}:${address}`;
   
   return getOrSet(cacheKey, CACHE_TTL.BALANCE, async () => {
-    const result = await rpcRequest('getBalance', [address]);
+    const result = await rpcRequest('getBalance', [address], { network });
     return {
       lamports: result.data.value,
       balance: result.data.value / LAMPORTS_PER_SOL,
@@ -141,14 +183,15 @@ async function getBalance(address) {
 /**
  * Get account info
  */
-async function getAccountInfo(address) {
-  const cacheKey = `solana:account:${address}`;
+async function getAccountInfo(address, options = {}) {
+  const { network = DEFAULT_NETWORK } = options;
+  const cacheKey = `solana:account:${network}:${address}`;
   
   return getOrSet(cacheKey, CACHE_TTL.ACCOUNT_INFO, async () => {
     const result = await rpcRequest('getAccountInfo', [
       address,
       { encoding: 'jsonParsed' },
-    ]);
+    ], { network });
     return result.data;
   });
 }
@@ -156,30 +199,309 @@ async function getAccountInfo(address) {
 /**
  * Get transaction details
  */
-async function getTransaction(signature) {
-  const cacheKey = `solana:tx:${signature}`;
+async function getTransaction(signature, options = {}) {
+  const { network = DEFAULT_NETWORK } = options;
+  const cacheKey = `solana:tx:${network}:${signature}`;
   
   return getOrSet(cacheKey, CACHE_TTL.TRANSACTION, async () => {
     const result = await rpcRequest('getTransaction', [
       signature,
       { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 },
-    ]);
+    ], { network });
     return result.data;
   });
 }
 
+/**
+ * Decode a base64 wire transaction (legacy or v0)
+ * Throws if the bytes aren't a valid transaction
+ */
+function decodeTransaction(transaction) {
+  const tx = VersionedTransaction.deserialize(Buffer.from(transaction, 'base64'));
+
+  return {
+    transaction: tx,
+    version: tx.version,
+    feePayer: tx.message.staticAccountKeys[0].toBase58(),
+    recentBlockhash: tx.message.recentBlockhash,
+  };
+}
+
+/**
+ * Resolve every account a transaction writes to, including addresses
+ * loaded from address lookup tables
+ */
+async function getWritableAccounts(tx, commitment, network) {
+  const { message } = tx;
+  let addressLookupTableAccounts = [];
+
+  if (message.addressTableLookups?.length > 0) {
+    const tables = message.addressTableLookups.map((lookup) => lookup.accountKey.toBase58());
+    const result = await rpcRequest('getMultipleAccounts', [
+      tables,
+      { encoding: 'base64', commitment },
+    ], { network });
+
+    addressLookupTableAccounts = result.data.value.map((account, index) => {
+      if (!account) {
+        throw createRpcError({ code: -32602, message: `Address lookup table ${tables[index]} not found` });
+      }
+      return new AddressLookupTableAccount({
+        key: new PublicKey(tables[index]),
+        state: AddressLookupTableAccount.deserialize(Buffer.from(account.data[0], 'base64')),
+      });
+    });
+  }
+
+  const keys = message.getAccountKeys({ addressLookupTableAccounts });
+  const writable = [];
+
+  for (let i = 0; i < keys.length; i++) {
+    if (message.isAccountWritable(i)) {
+      writable.push(keys.get(i).toBase58());
+    }
+  }
+
+  return writable;
+}
+
+/**
+ * Fetch parsed accounts, 100 per getMultipleAccounts call
+ * options other than network are passed to the RPC
+ */
+async function getMultipleAccounts(addresses, options = {}) {
+  const { network = DEFAULT_NETWORK, ...rpcOptions } = options;
+  const chunks = [];
+  for (let i = 0; i < addresses.length; i += 100) {
+    chunks.push(addresses.slice(i, i + 100));
+  }
+
+  const results = await Promise.all(chunks.map((chunk) => rpcRequest('getMultipleAccounts', [
+    chunk,
+    { encoding: 'jsonParsed', ...rpcOptions },
+  ], { network })));
+
+  return {
+    slot: results[0]?.data.context.slot,
+    accounts: results.flatMap((result) => result.data.value),
+  };
+}
+
+/**
+ * Summarize a parsed account for batch lookups
+ */
+function formatBatchAccount(address, entry, balance, cached) {
+  const account = entry.value;
+  const lamports = balance ? balance.lamports : account?.lamports ?? 0;
+  const parsed = account?.data?.parsed;
+  const token = parsed?.type === 'account' ? parsed.info : null;
+
+  return {
+    address,
+    exists: account !== null,
+    lamports,
+    balance: lamports / LAMPORTS_PER_SOL,
+    owner: account?.owner ?? null,
+    executable: account?.executable ?? false,
+    space: account?.space ?? null,
+    program: account?.data?.program ?? null,
+    type: parsed?.type ?? null,
+    token: token
+      ? {
+        mint: token.mint,
+        owner: token.owner,
+        amount: token.tokenAmount.amount,
+        decimals: token.tokenAmount.decimals,
+        ui_amount: token.tokenAmount.uiAmount,
+        state: token.state,
+        is_native: token.isNative,
+        delegate: token.delegate ?? null,
+        delegated_amount: token.delegatedAmount?.amount ?? null,
+        close_authority: token.closeAuthority ?? null,
+      }
+      : null,
+    slot: entry.context.slot,
+    cached,
+  };
+}
+
+/**
+ * Look up many accounts at once
+ *
+ * Addresses with a cached getAccountInfo result (solana:account:*) are served
+ * from it, with lamports from solana:balance:* when that's cached too. The
+ * rest are fetched with getMultipleAccounts and written back to both caches,
+ * so the single-account routes pick them up as well.
+ */
+async function getAccountsBatch(addresses, options = {}) {
+  const { network = DEFAULT_NETWORK } = options;
+  const unique = [...new Set(addresses)];
+  const accountKey = (address) => `solana:account:${network}:${address}`;
+  const balanceKey = (address) => `solana:balance:${network}:${address}`;
+
+  const [cachedAccounts, cachedBalances] = await Promise.all([
+    cache.getMany(unique.map(accountKey)),
+    cache.getMany(unique.map(balanceKey)),
+  ]);
+  for (const [index, address] of unique.entries()) {
+    metrics.recordCacheLookup(accountKey(address), cachedAccounts[index] !== null);
+  }
+
+  const missing = unique.filter((_, index) => cachedAccounts[index] === null);
+  const fetched = new Map();
+
+  if (missing.length > 0) {
+    const result = await getMultipleAccounts(missing, { network });
+    const context = { slot: result.slot };
+
+    missing.forEach((address, index) => {
+      fetched.set(address, { context, value: result.accounts[index] });
+    });
+
+    await Promise.all([
+      cache.setMany(missing.map((address) => [accountKey(address), fetched.get(address)]), CACHE_TTL.ACCOUNT_INFO),
+      cache.setMany(missing.map((address) => {
+        const lamports = fetched.get(address).value?.lamports ?? 0;
+        return [balanceKey(address), { lamports, balance: lamports / LAMPORTS_PER_SOL }];
+      }), CACHE_TTL.BALANCE),
+    ]);
+  }
+
+  const accounts = unique.map((address, index) => {
+    const cached = cachedAccounts[index] !== null;
+    return cached
+      ? formatBatchAccount(address, cachedAccounts[index], cachedBalances[index], true)
+      : formatBatchAccount(address, fetched.get(address), null, false);
+  });
+
+  return {
+    data: accounts,
+    cached: missing.length === 0,
+  };
+}
+
+/**
+ * Token balance held by a parsed SPL token account
+ */
+function parsedTokenAmount(account) {
+  const info = account?.data?.parsed?.type === 'account' ? account.data.parsed.info : null;
+  return info ? { mint: info.mint, owner: info.owner, ...info.tokenAmount } : null;
+}
+
+/**
+ * Describe how an account changed between two states
+ * Returns null if nothing changed
+ */
+function diffAccount(address, before, after) {
+  const lamportsBefore = before?.lamports || 0;
+  const lamportsAfter = after?.lamports || 0;
+  const dataChanged = JSON.stringify(before?.data ?? null) !== JSON.stringify(after?.data ?? null);
+  const ownerChanged = (before?.owner || null) !== (after?.owner || null);
+
+  if (lamportsBefore === lamportsAfter && !dataChanged && !ownerChanged) {
+    return null;
+  }
+
+  const change = {
+    address,
+    created: !before && Boolean(after),
+    closed: Boolean(before) && (!after || lamportsAfter === 0),
+    owner_before: before?.owner || null,
+    owner_after: after?.owner || null,
+    lamports_before: lamportsBefore,
+    lamports_after: lamportsAfter,
+    sol_change: (lamportsAfter - lamportsBefore) / LAMPORTS_PER_SOL,
+    data_changed: dataChanged,
+    token: null,
+  };
+
+  const tokenBefore = parsedTokenAmount(before);
+  const tokenAfter = parsedTokenAmount(after);
+
+  if (tokenBefore || tokenAfter) {
+    const token = tokenAfter || tokenBefore;
+    const amountBefore = BigInt(tokenBefore?.amount || 0);
+    const amountAfter = BigInt(tokenAfter?.amount || 0);
+
+    change.token = {
+      mint: token.mint,
+      owner: token.owner,
+      decimals: token.decimals,
+      amount_before: amountBefore.toString(),
+      amount_after: amountAfter.toString(),
+      ui_change: Number(amountAfter - amountBefore) / 10 ** token.decimals,
+    };
+  }
+
+  return change;
+}
+
+/**
+ * Simulate a transaction
+ * Returns logs, compute units and the changes it would make to its writable accounts
+ */
+async function simulateTransaction(transaction, options = {}) {
+  const {
+    commitment = 'confirmed',
+    replaceRecentBlockhash = true,
+    sigVerify = false,
+    network = DEFAULT_NETWORK,
+  } = options;
+
+  const { transaction: tx, version, feePayer } = decodeTransaction(transaction);
+  const writable = await getWritableAccounts(tx, commitment, network);
+
+  const [before, simulation] = await Promise.all([
+    getMultipleAccounts(writable, { commitment, network }),
+    rpcRequest('simulateTransaction', [
+      transaction,
+      {
+        encoding: 'base64',
+        commitment,
+        replaceRecentBlockhash,
+        sigVerify,
+        accounts: { encoding: 'jsonParsed', addresses: writable },
+      },
+    ], { network }),
+  ]);
+
+  const { context, value } = simulation.data;
+  const accountChanges = value.err
+    ? []
+    : writable
+      .map((address, index) => diffAccount(address, before.accounts[index], value.accounts?.[index]))
+      .filter(Boolean);
+
+  return {
+    success: !value.err,
+    err: value.err,
+    logs: value.logs || [],
+    units_consumed: value.unitsConsumed ?? null,
+    return_data: value.returnData || null,
+    account_changes: accountChanges,
+    fee_payer: feePayer,
+    version,
+    slot: context.slot,
+    replacement_blockhash: value.replacementBlockhash || null,
+  };
+}
+
 /**
  * Send transaction
  */
 async function sendTransaction(transaction, options = {}, meta = {}) {
+  const { network = DEFAULT_NETWORK } = options;
+  const { feePayer, recentBlockhash } = decodeTransaction(transaction);
+
   const result = await rpcRequest('sendTransaction', [
     transaction,
     {
+      encoding: 'base64',
       skipPreflight: options.skipPreflight || false,
       preflightCommitment: options.preflightCommitment || 'confirmed',
-      maxRetries: options.maxRetries || 3,
+      maxRetries: options.maxRetries ?? 3,
     },
-  ]);
+  ], { network });
 
   // Record transaction if user is authenticated
   if (meta.userId) {
@@ -187,34 +509,37 @@ async function sendTransaction(transaction, options = {}, meta = {}) {
       userId: meta.userId,
       signature: result.data,
       type: 'send',
-      status: 'pending',
-      metadata: { requestId: meta.requestId },
+      fromAddress: feePayer,
+      data: { requestId: meta.requestId, apiKeyId: meta.apiKeyId, recentBlockhash, network },
     }).catch((err) => logger.error('Failed to record transaction:', err.message));
   }
 
-  return { signature: result.data };
+  return { signature: result.data, fee_payer: feePayer };
 }
 
 /**
  * Get current slot
  */
-async function getSlot() {
+async function getSlot(options = {}) {
+  const { network = DEFAULT_NETWORK } = options;
+
   // No caching for slot
-  const result = await rpcRequest('getSlot', []);
+  const result = await rpcRequest('getSlot', [], { network });
   return { slot: result.data };
 }
 
 /**
  * Get block by slot
  */
-async function getBlock(slot) {
-  const cacheKey = `solana:block:${slot}`;
+async function getBlock(slot, options = {}) {
+  const { network = DEFAULT_NETWORK } = options;
+  const cacheKey = `solana:block:${network}:${slot}`;
   
   return getOrSet(cacheKey, CACHE_TTL.BLOCK, async () => {
     const result = await rpcRequest('getBlock', [
       slot,
       { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 },
-    ]);
+    ], { network });
     return result.data;
   });
 }
@@ -222,15 +547,16 @@ async function getBlock(slot) {
 /**
  * Get token accounts for an address
  */
-async function getTokenAccounts(address) {
-  const cacheKey = `solana:tokens:${address}`;
+async function getTokenAccounts(address, options = {}) {
+  const { network = DEFAULT_NETWORK } = options;
+  const cacheKey = `solana:tokens:${network}:${address}`;
   
   return getOrSet(cacheKey, CACHE_TTL.ACCOUNT_INFO, async () => {
     const result = await rpcRequest('getTokenAccountsByOwner', [
       address,
       { programId: 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA' },
       { encoding: 'jsonParsed' },
-    ]);
+    ], { network });
     
     return result.data.value.map((account) => ({
       address: account.pubkey,
@@ -241,16 +567,34 @@ async function getTokenAccounts(address) {
   });
 }
 
+/**
+ * WebSocket endpoint for RPC subscriptions
+ */
+function getWebSocketUrl(network = DEFAULT_NETWORK) {
+  return RpcPool.getWebSocketUrl(network);
+}
+
 /**
  * Check provider health status
  */
-function getProviderStatus() {
-  return Object.entries(providerHealth).map(([name, status]) => ({
-    name,
-    healthy: status.healthy,
-    failures: status.failures,
-    lastCheck: new Date(status.lastCheck).toISOString(),
-  }));
+function getProviderStatus(network = DEFAULT_NETWORK) {
+  return RpcPool.getStatus(network);
+}
+
+/**
+ * Request an airdrop of test SOL (devnet and testnet only)
+ */
+async function requestAirdrop(address, sol, options = {}) {
+  const { network = SOLANA_NETWORKS.DEVNET } = options;
+
+  if (network === SOLANA_NETWORKS.MAINNET) {
+    throw new Error('Airdrops are not available on mainnet-beta');
+  }
+
+  const lamports = Math.round(Math.min(sol, MAX_AIRDROP_SOL) * LAMPORTS_PER_SOL);
+  const result = await rpcRequest('requestAirdrop', [address, lamports], { network });
+
+  return { signature: result.data, lamports, sol: lamports / LAMPORTS_PER_SOL, network };
 }
 
 // ============================================
@@ -261,35 +605,22 @@ function getProviderStatus() {
  * Get NFTs owned by address (Helius DAS API)
  */
 async function getNFTs(address, options = {}) {
-  const { page = 1, limit = 50 } = options;
-  const cacheKey = `solana:nfts:${address}:${page}:${limit}`;
+  const { page = 1, limit = 50, network = DEFAULT_NETWORK } = options;
+  const cacheKey = `solana:nfts:${network}:${address}:${page}:${limit}`;
   
   return getOrSet(cacheKey, 300, async () => {
     try {
-      const response = await axios.post(
-        HELIUS_RPC_URL,
-        {
-          jsonrpc: '2.0',
-          id: Date.now(),
-          method: 'getAssetsByOwner',
-          params: {
-            ownerAddress: address,
-            page,
-            limit,
-            displayOptions: {
-              showFungible: false,
-              showNativeBalance: false,
-            },
-          },
+      const result = await rpcRequest('getAssetsByOwner', {
+        ownerAddress: address,
+        page,
+        limit,
+        displayOptions: {
+          showFungible: false,
+          showNativeBalance: false,
         },
-        { timeout: 15000 }
-      );
+      }, { network, timeout: 15000 });
 
-      if (response.data.error) {
-        throw new Error(response.data.error.message);
-      }
-
-      const assets = response.data.result?.items || [];
+      const assets = result.data?.items || [];
       
       return assets.map(nft => ({
         id: nft.id,
@@ -314,12 +645,12 @@ async function getNFTs(address, options = {}) {
  * Get transaction history for address (Helius Enhanced API)
  */
 async function getTransactionHistory(address, options = {}) {
-  const { limit = 50, before, type } = options;
-  const cacheKey = `solana:txHistory:${address}:${limit}:${before || 'latest'}:${type || 'all'}`;
+  const { limit = 50, before, type, network = DEFAULT_NETWORK } = options;
+  const cacheKey = `solana:txHistory:${network}:${address}:${limit}:${before || 'latest'}:${type || 'all'}`;
   
   return getOrSet(cacheKey, 30, async () => {
     try {
-      let url = `${HELIUS_API_URL}/addresses/${address}/transactions?api-key=${HELIUS_API_KEY}&limit=${limit}`;
+      let url = `${getHeliusApiUrl(network)}/addresses/${address}/transactions?api-key=${HELIUS_API_KEY}&limit=${limit}`;
       if (before) url += `&before=${before}`;
       if (type) url += `&type=${type}`;
 
@@ -356,27 +687,15 @@ async function getTransactionHistory(address, options = {}) {
 /**
  * Get token metadata (Helius DAS API)
  */
-async function getTokenMetadata(mintAddress) {
-  const cacheKey = `solana:tokenMeta:${mintAddress}`;
+async function getTokenMetadata(mintAddress, options = {}) {
+  const { network = DEFAULT_NETWORK } = options;
+  const cacheKey = `solana:tokenMeta:${network}:${mintAddress}`;
   
   return getOrSet(cacheKey, 3600, async () => {
     try {
-      const response = await axios.post(
-        HELIUS_RPC_URL,
-        {
-          jsonrpc: '2.0',
-          id: Date.now(),
-          method: 'getAsset',
-          params: { id: mintAddress },
-        },
-        { timeout: 10000 }
-      );
-
-      if (response.data.error) {
-        throw new Error(response.data.error.message);
-      }
+      const result = await rpcRequest('getAsset', { id: mintAddress }, { network });
 
-      const asset = response.data.result;
+      const asset = result.data;
       
       return {
         mint: asset.id,
@@ -397,7 +716,7 @@ async function getTokenMetadata(mintAddress) {
 }
 
 /**
- * Get token price from Jupiter
+ * Get token price from Jupiter (mainnet tokens only)
  */
 async function getTokenPrice(mintAddress) {
   const cacheKey = `solana:tokenPrice:${mintAddress}`;
@@ -429,40 +748,84 @@ async function getTokenPrice(mintAddress) {
 }
 
 /**
- * Get multiple token prices
+ * Get multiple token prices (mainnet tokens only)
+ * Jupiter takes up to 100 ids per call, so larger lists are fetched in chunks
  */
 async function getTokenPrices(mintAddresses) {
-  const cacheKey = `solana:tokenPrices:${mintAddresses.slice(0, 5).join(',')}`;
-  
-  return getOrSet(cacheKey, 60, async () => {
+  const mints = Array.from(new Set(mintAddresses)).sort();
+  const chunks = [];
+
+  for (let i = 0; i < mints.length; i += PRICE_IDS_PER_CALL) {
+    chunks.push(mints.slice(i, i + PRICE_IDS_PER_CALL));
+  }
+
+  const results = await Promise.all(chunks.map(async (chunk) => {
+    const chunkHash = crypto.createHash('sha1').update(chunk.join(',')).digest('hex');
+
     try {
-      const ids = mintAddresses.join(',');
-      const response = await axios.get(
-        `https://api.jup.ag/price/v2?ids=${ids}`,
-        { timeout: 10000 }
-      );
+      return await getOrSet(`solana:tokenPrices:${chunkHash}`, 60, async () => {
+        const response = await axios.get(
+          `https://api.jup.ag/price/v2?ids=${chunk.join(',')}`,
+          { timeout: 10000 }
+        );
 
-      return Object.entries(response.data.data || {}).map(([mint, data]) => ({
-        mint,
-        price: data.price,
-        type: data.type,
-      }));
+        return Object.entries(response.data.data || {})
+          .filter(([, data]) => data)
+          .map(([mint, data]) => ({
+            mint,
+            price: data.price,
+            type: data.type,
+          }));
+      });
     } catch (error) {
+      // Not cached, so a failed chunk is retried on the next request
       logger.error('getTokenPrices error:', error.message);
-      return [];
+      return { data: [], cached: false };
     }
+  }));
+
+  return {
+    data: results.flatMap((result) => result.data),
+    cached: results.length > 0 && results.every((result) => result.cached),
+  };
+}
+
+/**
+ * Estimate an NFT collection's floor price (Magic Eden)
+ * Magic Eden keys collections by symbol, which is looked up from one of its mints
+ */
+async function getCollectionFloor(collection, sampleMint) {
+  const cacheKey = `solana:nftFloor:${collection}`;
+
+  return getOrSet(cacheKey, 600, async () => {
+    const floor = { collection, symbol: null, floor_price: null, listed_count: null, source: 'magiceden' };
+
+    try {
+      const token = await axios.get(`${MAGIC_EDEN_API_URL}/tokens/${sampleMint}`, { timeout: 10000 });
+      floor.symbol = token.data?.collection || null;
+      if (!floor.symbol) return floor;
+
+      const stats = await axios.get(`${MAGIC_EDEN_API_URL}/collections/${floor.symbol}/stats`, { timeout: 10000 });
+      floor.floor_price = stats.data?.floorPrice != null ? stats.data.floorPrice / LAMPORTS_PER_SOL : null;
+      floor.listed_count = stats.data?.listedCount ?? null;
+    } catch (error) {
+      logger.warn('getCollectionFloor error:', { collection, error: error.message });
+    }
+
+    return floor;
   });
 }
 
 /**
  * Get token holders (largest accounts)
  */
-async function getTokenHolders(mintAddress, limit = 20) {
-  const cacheKey = `solana:tokenHolders:${mintAddress}:${limit}`;
+async function getTokenHolders(mintAddress, limit = 20, options = {}) {
+  const { network = DEFAULT_NETWORK } = options;
+  const cacheKey = `solana:tokenHolders:${network}:${mintAddress}:${limit}`;
   
   return getOrSet(cacheKey, 300, async () => {
     try {
-      const result = await rpcRequest('getTokenLargestAccounts', [mintAddress]);
+      const result = await rpcRequest('getTokenLargestAccounts', [mintAddress], { network });
       
       const holders = result.data.value?.slice(0, limit) || [];
       
@@ -480,20 +843,57 @@ async function getTokenHolders(mintAddress, limit = 20) {
   });
 }
 
+/**
+ * Get current epoch progress
+ * The end time is estimated from recent slot times
+ */
+async function getEpochInfo(options = {}) {
+  const { network = DEFAULT_NETWORK } = options;
+  const cacheKey = `solana:epochInfo:${network}`;
+
+  return getOrSet(cacheKey, 10, async () => {
+    const [epochResult, perfResult] = await Promise.all([
+      rpcRequest('getEpochInfo', [], { network }),
+      rpcRequest('getRecentPerformanceSamples', [SLOT_TIME_SAMPLES], { network }),
+    ]);
+
+    const info = epochResult.data;
+    const samples = perfResult.data || [];
+    const slots = samples.reduce((sum, sample) => sum + sample.numSlots, 0);
+    const seconds = samples.reduce((sum, sample) => sum + sample.samplePeriodSecs, 0);
+    const slotTimeMs = slots > 0 ? Math.round((seconds / slots) * 10000) / 10 : DEFAULT_SLOT_TIME_MS;
+    const slotsRemaining = info.slotsInEpoch - info.slotIndex;
+
+    return {
+      epoch: info.epoch,
+      slot_index: info.slotIndex,
+      slots_in_epoch: info.slotsInEpoch,
+      slots_remaining: slotsRemaining,
+      progress_pct: Number(((info.slotIndex / info.slotsInEpoch) * 100).toFixed(2)),
+      absolute_slot: info.absoluteSlot,
+      block_height: info.blockHeight,
+      transaction_count: info.transactionCount ?? null,
+      slot_time_ms: slotTimeMs,
+      estimated_end: new Date(Date.now() + slotsRemaining * slotTimeMs).toISOString(),
+    };
+  });
+}
+
 /**
  * Get network stats
  */
-async function getNetworkStats() {
-  const cacheKey = 'solana:networkStats';
+async function getNetworkStats(options = {}) {
+  const { network = DEFAULT_NETWORK } = options;
+  const cacheKey = `solana:networkStats:${network}`;
   
   return getOrSet(cacheKey, 30, async () => {
     try {
       // Parallel requests for different stats
-      const [slotResult, epochResult, supplyResult, perfResult] = await Promise.all([
-        rpcRequest('getSlot', []),
-        rpcRequest('getEpochInfo', []),
-        rpcRequest('getSupply', [{ excludeNonCirculatingAccountsList: true }]),
-        rpcRequest('getRecentPerformanceSamples', [1]),
+      const [slotResult, epochInfo, supplyResult, perfResult] = await Promise.all([
+        rpcRequest('getSlot', [], { network }),
+        getEpochInfo({ network }),
+        rpcRequest('getSupply', [{ excludeNonCirculatingAccountsList: true }], { network }),
+        rpcRequest('getRecentPerformanceSamples', [1], { network }),
       ]);
 
       const perf = perfResult.data?.[0] || {};
@@ -501,16 +901,17 @@ async function getNetworkStats() {
         ? Math.round(perf.numTransactions / perf.samplePeriodSecs)
         : null;
 
+      const epoch = epochInfo.data;
+
       return {
         slot: slotResult.data,
-        epoch: epochResult.data?.epoch,
-        epoch_progress: epochResult.data?.slotIndex && epochResult.data?.slotsInEpoch
-          ? ((epochResult.data.slotIndex / epochResult.data.slotsInEpoch) * 100).toFixed(2) + '%'
-          : null,
+        epoch: epoch.epoch,
+        epoch_progress: epoch.progress_pct.toFixed(2) + '%',
         total_supply: supplyResult.data?.value?.total / LAMPORTS_PER_SOL,
         circulating_supply: supplyResult.data?.value?.circulating / LAMPORTS_PER_SOL,
         tps,
-        block_height: epochResult.data?.blockHeight,
+        block_height: epoch.block_height,
+        epoch_info: epoch,
       };
     } catch (error) {
       logger.error('getNetworkStats error:', error.message);
@@ -522,12 +923,13 @@ async function getNetworkStats() {
 /**
  * Get recent priority fees
  */
-async function getPriorityFees() {
-  const cacheKey = 'solana:priorityFees';
+async function getPriorityFees(options = {}) {
+  const { network = DEFAULT_NETWORK } = options;
+  const cacheKey = `solana:priorityFees:${network}`;
   
   return getOrSet(cacheKey, 10, async () => {
     try {
-      const result = await rpcRequest('getRecentPrioritizationFees', [[]]);
+      const result = await rpcRequest('getRecentPrioritizationFees', [[]], { network });
       
       const fees = result.data || [];
       const recentFees = fees.slice(-20);
@@ -553,6 +955,117 @@ async function getPriorityFees() {
   });
 }
 
+/**
+ * Nearest-rank percentile of sorted values
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Priority fee percentiles (micro-lamports per compute unit) over recent
+ * slots, for transactions that write to the given accounts
+ */
+async function getPrioritizationFeePercentiles(accounts, options = {}) {
+  const { network = DEFAULT_NETWORK } = options;
+  const hash = crypto.createHash('sha1').update([...accounts].sort().join(',')).digest('hex');
+  const cacheKey = `solana:priorityFees:${network}:${hash}`;
+
+  return getOrSet(cacheKey, 5, async () => {
+    const result = await rpcRequest('getRecentPrioritizationFees', [accounts], { network });
+    const fees = (result.data || []).map((fee) => fee.prioritizationFee).sort((a, b) => a - b);
+    const slots = (result.data || []).map((fee) => fee.slot);
+
+    return {
+      samples: fees.length,
+      min_slot: slots.length > 0 ? Math.min(...slots) : null,
+      max_slot: slots.length > 0 ? Math.max(...slots) : null,
+      percentiles: {
+        p25: percentile(fees, 25),
+        p50: percentile(fees, 50),
+        p75: percentile(fees, 75),
+        p95: percentile(fees, 95),
+      },
+    };
+  });
+}
+
+/**
+ * Compute units a transaction uses, from a simulation
+ * Returns { units, err }; units is null if the simulation didn't report any
+ */
+async function simulateComputeUnits(transaction, network) {
+  const simulation = await rpcRequest('simulateTransaction', [
+    transaction,
+    { encoding: 'base64', commitment: 'confirmed', replaceRecentBlockhash: true, sigVerify: false },
+  ], { network });
+  const { value } = simulation.data;
+
+  return { units: value.unitsConsumed ?? null, err: value.err };
+}
+
+/**
+ * Estimate the priority fee for a transaction, or for one writing to `accounts`
+ *
+ * Fee percentiles come from getRecentPrioritizationFees scoped to the
+ * writable accounts. The recommended compute unit price is the percentile for
+ * the target speed; the limit is the simulated usage plus COMPUTE_UNIT_MARGIN_PCT
+ * when a transaction is given and simulates cleanly, else the runtime default.
+ */
+async function getPriorityFeeEstimate(options = {}) {
+  const { transaction, speed = 'normal', network = DEFAULT_NETWORK } = options;
+  let { accounts } = options;
+  let simulation = null;
+  let signatures = 1;
+
+  if (transaction) {
+    const { transaction: tx } = decodeTransaction(transaction);
+    signatures = tx.message.header.numRequiredSignatures;
+
+    const [writable, simulated] = await Promise.all([
+      getWritableAccounts(tx, 'confirmed', network),
+      simulateComputeUnits(transaction, network),
+    ]);
+    accounts = writable.slice(0, MAX_PRIORITY_FEE_ACCOUNTS);
+    simulation = simulated;
+  }
+
+  const fees = await getPrioritizationFeePercentiles(accounts, { network });
+  const computeUnitPrice = fees.data.percentiles[PRIORITY_FEE_SPEEDS[speed]];
+
+  const simulated = simulation && !simulation.err && simulation.units !== null;
+  const computeUnitLimit = simulated
+    ? Math.min(Math.ceil((simulation.units * (100 + COMPUTE_UNIT_MARGIN_PCT)) / 100), MAX_COMPUTE_UNIT_LIMIT)
+    : DEFAULT_COMPUTE_UNIT_LIMIT;
+  const priorityFee = Math.ceil((computeUnitPrice * computeUnitLimit) / 1e6);
+  const baseFee = LAMPORTS_PER_SIGNATURE * signatures;
+
+  return {
+    data: {
+      network,
+      speed,
+      accounts,
+      samples: fees.data.samples,
+      min_slot: fees.data.min_slot,
+      max_slot: fees.data.max_slot,
+      percentiles: fees.data.percentiles,
+      recommended: {
+        compute_unit_price: computeUnitPrice,
+        compute_unit_limit: computeUnitLimit,
+        compute_unit_limit_source: simulated ? 'simulation' : 'default',
+        priority_fee_lamports: priorityFee,
+        base_fee_lamports: baseFee,
+        total_fee_lamports: baseFee + priorityFee,
+      },
+      simulation: simulation
+        ? { units_consumed: simulation.units, err: simulation.err }
+        : null,
+    },
+    cached: fees.cached,
+  };
+}
+
 /**
  * Validate Solana address
  */
@@ -568,8 +1081,9 @@ function isValidAddress(address) {
 /**
  * Get signature statuses (for multiple signatures)
  */
-async function getSignatureStatuses(signatures) {
-  const result = await rpcRequest('getSignatureStatuses', [signatures, { searchTransactionHistory: true }]);
+async function getSignatureStatuses(signatures, options = {}) {
+  const { network = DEFAULT_NETWORK } = options;
+  const result = await rpcRequest('getSignatureStatuses', [signatures, { searchTransactionHistory: true }], { network });
   return result.data?.value || [];
 }
 
@@ -579,19 +1093,29 @@ module.exports = {
   getAccountInfo,
   getTransaction,
   sendTransaction,
+  simulateTransaction,
+  decodeTransaction,
+  getMultipleAccounts,
+  getAccountsBatch,
   getSlot,
   getBlock,
   getTokenAccounts,
   getProviderStatus,
+  getWebSocketUrl,
+  isSupportedNetwork,
+  requestAirdrop,
   // New methods
   getNFTs,
   getTransactionHistory,
   getTokenMetadata,
   getTokenPrice,
   getTokenPrices,
+  getCollectionFloor,
   getTokenHolders,
   getNetworkStats,
+  getEpochInfo,
   getPriorityFees,
+  getPriorityFeeEstimate,
   isValidAddress,
   getSignatureStatuses,
 };
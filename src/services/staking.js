@@ -0,0 +1,288 @@
+/**
+ * Staking Service
+ * Stake accounts and validators
+ *
+ * getStakeAccounts finds a wallet's stake accounts (as staker or withdrawer),
+ * works out their activation state from the delegation epochs and lists
+ * rewards per epoch from getInflationReward. getValidators combines
+ * getVoteAccounts, block production (skip rate) and the inflation rate into
+ * an APY estimate per validator.
+ */
+
+const crypto = require('crypto');
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const SolanaService = require('./solana');
+const { getOrSet } = require('../utils/cache');
+const logger = require('../utils/logger');
+const { CACHE_TTL, SOLANA_NETWORKS } = require('../config/constants');
+
+const STAKE_PROGRAM_ID = 'Stake11111111111111111111111111111111111111';
+
+// Offsets of the authorized staker and withdrawer in a stake account
+const STAKER_OFFSET = 12;
+const WITHDRAWER_OFFSET = 44;
+
+// Epoch stored for "never" (u64 max) in delegations
+const NO_EPOCH = '18446744073709551615';
+
+const SECONDS_PER_YEAR = 365.25 * 86400;
+
+/**
+ * SOL from lamports (numbers or u64 strings)
+ */
+function toSol(lamports) {
+  return Number(lamports) / LAMPORTS_PER_SOL;
+}
+
+/**
+ * Epochs per year at the current epoch length and slot time
+ */
+function epochsPerYear(epochInfo) {
+  return SECONDS_PER_YEAR / ((epochInfo.slots_in_epoch * epochInfo.slot_time_ms) / 1000);
+}
+
+/**
+ * Compound a per-epoch rate over a year, as a percentage
+ */
+function annualize(ratePerEpoch, epochs) {
+  return Number((((1 + ratePerEpoch) ** epochs - 1) * 100).toFixed(2));
+}
+
+/**
+ * Activation state of a stake account at an epoch
+ * Warmup and cooldown are treated as taking one epoch
+ */
+function activationState(delegation, epoch) {
+  if (!delegation) return 'inactive';
+
+  const activationEpoch = Number(delegation.activationEpoch);
+  const deactivating = delegation.deactivationEpoch !== NO_EPOCH;
+  const deactivationEpoch = deactivating ? Number(delegation.deactivationEpoch) : null;
+
+  if (deactivating) {
+    if (deactivationEpoch === activationEpoch || epoch > deactivationEpoch) return 'inactive';
+    return 'deactivating';
+  }
+
+  return activationEpoch >= epoch ? 'activating' : 'active';
+}
+
+/**
+ * Stake program accounts whose staker or withdrawer is the wallet
+ */
+async function findStakeAccounts(owner, network) {
+  const query = (offset) => SolanaService.rpcRequest('getProgramAccounts', [
+    STAKE_PROGRAM_ID,
+    { encoding: 'jsonParsed', filters: [{ memcmp: { offset, bytes: owner } }] },
+  ], { network });
+
+  const [asStaker, asWithdrawer] = await Promise.all([query(STAKER_OFFSET), query(WITHDRAWER_OFFSET)]);
+
+  const accounts = new Map();
+  for (const account of [...asStaker.data, ...asWithdrawer.data]) {
+    accounts.set(account.pubkey, account);
+  }
+  return Array.from(accounts.values());
+}
+
+/**
+ * Inflation rewards for accounts in one epoch (aligned with addresses)
+ * Finalized epochs never change, so they're cached for CACHE_TTL.FINALIZED
+ */
+async function getEpochRewards(addresses, epoch, network) {
+  const hash = crypto.createHash('sha1').update(addresses.join(',')).digest('hex');
+  const cacheKey = `solana:inflationReward:${network}:${epoch}:${hash}`;
+
+  try {
+    const result = await getOrSet(cacheKey, CACHE_TTL.FINALIZED, async () => {
+      const rewards = await SolanaService.rpcRequest('getInflationReward', [addresses, { epoch }], { network });
+      return rewards.data;
+    });
+    return result.data;
+  } catch (error) {
+    logger.warn('getInflationReward failed:', { epoch, network, error: error.message });
+    return addresses.map(() => null);
+  }
+}
+
+/**
+ * Format a parsed stake account
+ */
+function formatStakeAccount(account, epoch) {
+  const { type, info } = account.account.data.parsed;
+  const { meta, stake } = info;
+  const delegation = type === 'delegated' ? stake?.delegation : null;
+  const lockup = meta.lockup;
+  const locked = lockup.unixTimestamp > Date.now() / 1000 || lockup.epoch > epoch;
+
+  return {
+    address: account.pubkey,
+    balance: toSol(account.account.lamports),
+    rent_exempt_reserve: toSol(meta.rentExemptReserve),
+    staker: meta.authorized.staker,
+    withdrawer: meta.authorized.withdrawer,
+    lockup: locked
+      ? {
+        unix_timestamp: lockup.unixTimestamp,
+        epoch: lockup.epoch,
+        custodian: lockup.custodian,
+      }
+      : null,
+    state: activationState(delegation, epoch),
+    delegation: delegation
+      ? {
+        vote_account: delegation.voter,
+        stake: toSol(delegation.stake),
+        activation_epoch: Number(delegation.activationEpoch),
+        deactivation_epoch: delegation.deactivationEpoch === NO_EPOCH ? null : Number(delegation.deactivationEpoch),
+      }
+      : null,
+  };
+}
+
+/**
+ * Stake accounts of a wallet with rewards for the last `epochs` completed epochs
+ */
+async function getStakeAccounts(owner, options = {}) {
+  const { network = SOLANA_NETWORKS.MAINNET, epochs = 5 } = options;
+  const cacheKey = `solana:stakeAccounts:${network}:${owner}:${epochs}`;
+
+  return getOrSet(cacheKey, 60, async () => {
+    const [accounts, epochInfo] = await Promise.all([
+      findStakeAccounts(owner, network),
+      SolanaService.getEpochInfo({ network }),
+    ]);
+    const { epoch } = epochInfo.data;
+
+    const formatted = accounts
+      .map((account) => formatStakeAccount(account, epoch))
+      .sort((a, b) => b.balance - a.balance);
+
+    const addresses = formatted.map((account) => account.address);
+    const rewardEpochs = Array.from({ length: epochs }, (_, index) => epoch - 1 - index).filter((e) => e >= 0);
+    const rewardsByEpoch = addresses.length > 0
+      ? await Promise.all(rewardEpochs.map((rewardEpoch) => getEpochRewards(addresses, rewardEpoch, network)))
+      : [];
+    const perYear = epochsPerYear(epochInfo.data);
+
+    for (const [index, account] of formatted.entries()) {
+      account.rewards = rewardsByEpoch
+        .map((rewards) => rewards[index])
+        .filter(Boolean)
+        .map((reward) => ({
+          epoch: reward.epoch,
+          amount: toSol(reward.amount),
+          post_balance: toSol(reward.postBalance),
+          commission: reward.commission ?? null,
+          effective_slot: reward.effectiveSlot,
+        }));
+      account.total_rewards = account.rewards.reduce((sum, reward) => sum + reward.amount, 0);
+
+      // Mean return per epoch on the balance before each reward
+      const rates = account.rewards
+        .filter((reward) => reward.post_balance > reward.amount)
+        .map((reward) => reward.amount / (reward.post_balance - reward.amount));
+      account.apy_estimate = rates.length > 0
+        ? annualize(rates.reduce((sum, rate) => sum + rate, 0) / rates.length, perYear)
+        : null;
+    }
+
+    const sum = (field) => formatted.reduce((total, account) => total + field(account), 0);
+
+    return {
+      address: owner,
+      epoch,
+      reward_epochs: rewardEpochs,
+      summary: {
+        accounts: formatted.length,
+        total_balance: sum((account) => account.balance),
+        active_stake: sum((account) => (account.state === 'active' ? account.delegation.stake : 0)),
+        total_rewards: sum((account) => account.total_rewards),
+      },
+      stake_accounts: formatted,
+    };
+  });
+}
+
+/**
+ * All validators with stake, commission, skip rate and an APY estimate
+ *
+ * The estimate starts from the network staking yield (validator inflation x
+ * supply / active stake), scaled by the validator's vote credits in the last
+ * completed epoch relative to the best validator, minus its commission.
+ */
+async function getValidators(options = {}) {
+  const { network = SOLANA_NETWORKS.MAINNET } = options;
+  const cacheKey = `solana:validators:${network}`;
+
+  return getOrSet(cacheKey, 300, async () => {
+    const [voteAccounts, production, inflation, stats] = await Promise.all([
+      SolanaService.rpcRequest('getVoteAccounts', [], { network }),
+      SolanaService.rpcRequest('getBlockProduction', [], { network }),
+      SolanaService.rpcRequest('getInflationRate', [], { network }),
+      SolanaService.getNetworkStats({ network }),
+    ]);
+
+    const epochInfo = stats.data.epoch_info;
+    const { current, delinquent } = voteAccounts.data;
+    const all = [
+      ...current.map((account) => ({ ...account, delinquent: false })),
+      ...delinquent.map((account) => ({ ...account, delinquent: true })),
+    ];
+    const byIdentity = production.data.value.byIdentity;
+
+    // Vote credits earned in the last completed epoch
+    const lastEpoch = epochInfo.epoch - 1;
+    const creditsEarned = (account) => {
+      const entry = account.epochCredits.find(([epoch]) => epoch === lastEpoch);
+      return entry ? entry[1] - entry[2] : 0;
+    };
+    const maxCredits = Math.max(0, ...all.map(creditsEarned));
+
+    const totalStake = all.reduce((sum, account) => sum + account.activatedStake, 0) / LAMPORTS_PER_SOL;
+    const perYear = epochsPerYear(epochInfo);
+    const baseApr = totalStake > 0 ? (inflation.data.validator * stats.data.total_supply) / totalStake : 0;
+
+    const validators = all.map((account) => {
+      const [leaderSlots = 0, blocksProduced = 0] = byIdentity[account.nodePubkey] || [];
+      const credits = creditsEarned(account);
+      const performance = maxCredits > 0 ? credits / maxCredits : 0;
+      const apr = baseApr * performance * (1 - account.commission / 100);
+
+      return {
+        vote_account: account.votePubkey,
+        identity: account.nodePubkey,
+        commission: account.commission,
+        activated_stake: account.activatedStake / LAMPORTS_PER_SOL,
+        stake_share_pct: totalStake > 0
+          ? Number(((account.activatedStake / LAMPORTS_PER_SOL / totalStake) * 100).toFixed(4))
+          : 0,
+        delinquent: account.delinquent,
+        last_vote: account.lastVote,
+        root_slot: account.rootSlot,
+        epoch_credits: credits,
+        leader_slots: leaderSlots,
+        blocks_produced: blocksProduced,
+        skip_rate: leaderSlots > 0 ? Number(((1 - blocksProduced / leaderSlots) * 100).toFixed(2)) : null,
+        apy_estimate: annualize(apr / perYear, perYear),
+      };
+    });
+
+    return {
+      epoch: epochInfo.epoch,
+      total_active_stake: totalStake,
+      inflation: {
+        total: inflation.data.total,
+        validator: inflation.data.validator,
+        epoch: inflation.data.epoch,
+      },
+      base_apy: annualize(baseApr / perYear, perYear),
+      validators,
+    };
+  });
+}
+
+module.exports = {
+  getStakeAccounts,
+  getValidators,
+};
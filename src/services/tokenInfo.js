@@ -0,0 +1,183 @@
+/**
+ * Token Info Service
+ * Mint inspection for SPL Token and Token-2022 mints
+ *
+ * getTokenInfo reads the mint account (supply, decimals, authorities and
+ * Token-2022 extensions) and the largest token accounts, and sums them up
+ * as a rug-risk assessment: a list of flags, each low, medium or high.
+ */
+
+const SolanaService = require('./solana');
+const { getOrSet } = require('../utils/cache');
+const { SOLANA_NETWORKS } = require('../config/constants');
+
+const TOKEN_2022_PROGRAM = 'spl-token-2022';
+
+// Largest accounts getTokenLargestAccounts returns, and how many are listed
+const HOLDER_SAMPLE = 20;
+const TOP_HOLDERS_LISTED = 10;
+
+// Holder concentration (% of supply) at which flags are raised
+const CONCENTRATION_THRESHOLDS = {
+  top_1: { medium: 20, high: 50 },
+  top_10: { medium: 50, high: 80 },
+};
+
+// Transfer fees (basis points) at which the transfer fee flag is high
+const HIGH_TRANSFER_FEE_BPS = 500;
+
+// Score added per flag, capped at 100
+const SEVERITY_SCORES = { low: 5, medium: 15, high: 30 };
+
+/**
+ * Share of supply held by an amount, as a percentage (null for no supply)
+ */
+function shareOfSupply(amount, supply) {
+  if (supply === 0n) return null;
+  return Number((BigInt(amount) * 10000n) / supply) / 100;
+}
+
+/**
+ * Transfer fee in effect at an epoch, plus any scheduled change
+ */
+function formatTransferFee(state, epoch) {
+  const format = (fee) => ({
+    basis_points: fee.transferFeeBasisPoints,
+    maximum_fee: String(fee.maximumFee),
+    epoch: fee.epoch,
+  });
+  const newerActive = epoch >= state.newerTransferFee.epoch;
+
+  return {
+    ...format(newerActive ? state.newerTransferFee : state.olderTransferFee),
+    scheduled: newerActive ? null : format(state.newerTransferFee),
+    config_authority: state.transferFeeConfigAuthority ?? null,
+    withdraw_withheld_authority: state.withdrawWithheldAuthority ?? null,
+    withheld_amount: String(state.withheldAmount),
+  };
+}
+
+/**
+ * Flags for a mint's authorities, extensions and holder concentration
+ */
+function assessRisk(info) {
+  const flags = [];
+  const flag = (code, severity, message) => flags.push({ code, severity, message });
+
+  if (info.mint_authority) {
+    flag('MINT_AUTHORITY', 'high', 'Mint authority is set: supply can be increased');
+  }
+  if (info.freeze_authority) {
+    flag('FREEZE_AUTHORITY', 'high', 'Freeze authority is set: holder accounts can be frozen');
+  }
+  if (info.permanent_delegate) {
+    flag('PERMANENT_DELEGATE', 'high', 'Permanent delegate can transfer or burn tokens from any account');
+  }
+  if (info.non_transferable) {
+    flag('NON_TRANSFERABLE', 'high', 'Tokens cannot be transferred');
+  }
+  if (info.default_account_state === 'frozen') {
+    flag('DEFAULT_FROZEN', 'high', 'New token accounts start frozen');
+  }
+  if (info.transfer_hook) {
+    flag('TRANSFER_HOOK', 'medium', `Every transfer calls program ${info.transfer_hook.program_id}`);
+  }
+
+  const fee = info.transfer_fee;
+  const maxFeeBps = fee ? Math.max(fee.basis_points, fee.scheduled?.basis_points ?? 0) : 0;
+  if (fee && (maxFeeBps > 0 || fee.config_authority)) {
+    const severity = maxFeeBps >= HIGH_TRANSFER_FEE_BPS ? 'high' : maxFeeBps > 0 ? 'medium' : 'low';
+    const scheduled = fee.scheduled
+      ? ` (${fee.scheduled.basis_points / 100}% from epoch ${fee.scheduled.epoch})`
+      : '';
+    const message = `Transfer fee of ${fee.basis_points / 100}%${scheduled}`
+      + (fee.config_authority ? ', which its authority can change' : '');
+    flag('TRANSFER_FEE', severity, message);
+  }
+
+  for (const [key, thresholds] of Object.entries(CONCENTRATION_THRESHOLDS)) {
+    const pct = info.holders[`${key}_pct`];
+    const severity = pct >= thresholds.high ? 'high' : pct >= thresholds.medium ? 'medium' : null;
+    if (pct !== null && severity) {
+      const label = key === 'top_1' ? 'The largest account holds' : 'The 10 largest accounts hold';
+      flag(`${key.toUpperCase()}_CONCENTRATION`, severity, `${label} ${pct}% of supply`);
+    }
+  }
+
+  const severities = flags.map((item) => item.severity);
+  const level = ['high', 'medium'].find((severity) => severities.includes(severity)) || 'low';
+  const score = Math.min(100, severities.reduce((sum, severity) => sum + SEVERITY_SCORES[severity], 0));
+
+  return { level, score, flags };
+}
+
+/**
+ * Supply, authorities, extensions, top holders and rug-risk flags for a mint
+ * Returns null data if the address isn't a token mint
+ */
+async function getTokenInfo(mint, options = {}) {
+  const { network = SOLANA_NETWORKS.MAINNET } = options;
+  const cacheKey = `solana:tokenInfo:${network}:${mint}`;
+
+  return getOrSet(cacheKey, 60, async () => {
+    const account = await SolanaService.getAccountInfo(mint, { network });
+    const value = account.data.value;
+    const parsed = value?.data?.parsed;
+
+    if (parsed?.type !== 'mint') return null;
+
+    const { info } = parsed;
+    const extensions = new Map((info.extensions || []).map((item) => [item.extension, item.state || {}]));
+    const transferFee = extensions.get('transferFeeConfig');
+    const transferHook = extensions.get('transferHook');
+    const supply = BigInt(info.supply);
+
+    const [holders, epochInfo] = await Promise.all([
+      SolanaService.getTokenHolders(mint, HOLDER_SAMPLE, { network }),
+      transferFee ? SolanaService.getEpochInfo({ network }) : null,
+    ]);
+
+    const top = holders.data.map((holder) => ({
+      ...holder,
+      pct_of_supply: shareOfSupply(holder.amount_raw, supply),
+    }));
+    const sumShare = (count) => shareOfSupply(
+      top.slice(0, count).reduce((sum, holder) => sum + BigInt(holder.amount_raw), 0n),
+      supply
+    );
+
+    const result = {
+      mint,
+      network,
+      token_program: value.owner,
+      is_token_2022: value.data.program === TOKEN_2022_PROGRAM,
+      supply: info.supply,
+      ui_supply: Number(info.supply) / 10 ** info.decimals,
+      decimals: info.decimals,
+      mint_authority: info.mintAuthority ?? null,
+      freeze_authority: info.freezeAuthority ?? null,
+      extensions: Array.from(extensions.keys()),
+      transfer_fee: transferFee ? formatTransferFee(transferFee, epochInfo.data.epoch) : null,
+      transfer_hook: transferHook?.programId
+        ? { program_id: transferHook.programId, authority: transferHook.authority ?? null }
+        : null,
+      permanent_delegate: extensions.get('permanentDelegate')?.delegate ?? null,
+      non_transferable: extensions.has('nonTransferable'),
+      default_account_state: extensions.get('defaultAccountState')?.accountState ?? null,
+      holders: {
+        sampled: top.length,
+        top_1_pct: top.length > 0 ? sumShare(1) : null,
+        top_10_pct: top.length > 0 ? sumShare(TOP_HOLDERS_LISTED) : null,
+        top_20_pct: top.length > 0 ? sumShare(HOLDER_SAMPLE) : null,
+        top: top.slice(0, TOP_HOLDERS_LISTED),
+      },
+    };
+
+    result.risk = assessRisk(result);
+    return result;
+  });
+}
+
+module.exports = {
+  getTokenInfo,
+};
@@ -0,0 +1,442 @@
+/**
+ * Transaction Decoder
+ * Turns a landed transaction into a readable summary
+ *
+ * Works from the RPC's jsonParsed transaction alone: programs are named from
+ * SOLANA_PROGRAMS, balance changes come from the pre/post balances in the
+ * transaction meta, and the type is inferred from both.
+ */
+
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const SolanaService = require('./solana');
+const { SOLANA_PROGRAMS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+const SPL_TOKEN_PROGRAMS = ['spl-token', 'spl-token-2022'];
+const STAKE_ACTIONS = ['delegate', 'withdraw', 'deactivate', 'split', 'merge', 'initialize', 'initializeChecked'];
+
+/**
+ * Shorten an address for summaries
+ */
+function shortAddress(address) {
+  return address ? `${address.slice(0, 4)}...${address.slice(-4)}` : 'unknown';
+}
+
+/**
+ * Format a UI amount without float noise
+ */
+function formatAmount(value) {
+  return Math.abs(value).toLocaleString('en-US', { maximumFractionDigits: 9 });
+}
+
+/**
+ * Top-level and inner instructions, in execution order
+ */
+function getInstructions(tx) {
+  const inner = new Map((tx.meta?.innerInstructions || []).map((entry) => [entry.index, entry.instructions]));
+
+  return tx.transaction.message.instructions.flatMap((instruction, index) => [
+    { ...instruction, inner: false },
+    ...(inner.get(index) || []).map((innerInstruction) => ({ ...innerInstruction, inner: true })),
+  ]);
+}
+
+/**
+ * Programs invoked by the transaction, top-level programs first
+ */
+function getPrograms(instructions) {
+  const ids = [...new Set(
+    [...instructions.filter((ix) => !ix.inner), ...instructions.filter((ix) => ix.inner)].map((ix) => ix.programId)
+  )];
+
+  return ids.map((programId) => ({
+    program_id: programId,
+    name: SOLANA_PROGRAMS[programId]?.name || null,
+    category: SOLANA_PROGRAMS[programId]?.category || null,
+  }));
+}
+
+/**
+ * Symbol, name and decimals for each mint in the token balances
+ */
+async function getTokenInfo(tokenBalances, network) {
+  const onChainDecimals = new Map(tokenBalances.map((balance) => [balance.mint, balance.uiTokenAmount.decimals]));
+
+  const entries = await Promise.all(Array.from(onChainDecimals.keys()).map(async (mint) => {
+    let metadata = null;
+    try {
+      metadata = (await SolanaService.getTokenMetadata(mint, { network })).data;
+    } catch (error) {
+      logger.warn('Token metadata unavailable:', { mint, error: error.message });
+    }
+
+    // DAS reports 0 decimals for assets without token info, so only trust it when it has some
+    const decimals = metadata?.token_program ? metadata.decimals : onChainDecimals.get(mint);
+
+    return [mint, {
+      symbol: metadata?.symbol || null,
+      name: metadata?.name && metadata.name !== 'Unknown' ? metadata.name : null,
+      decimals,
+    }];
+  }));
+
+  return new Map(entries);
+}
+
+/**
+ * Net SOL and token changes per account
+ * Token changes are attributed to the token account's owner
+ */
+function getBalanceChanges(tx, accountKeys, tokenInfo) {
+  const { meta } = tx;
+  const changes = new Map();
+
+  const entryFor = (account) => {
+    if (!changes.has(account)) {
+      changes.set(account, { account, lamports_change: 0, sol_change: 0, tokens: [] });
+    }
+    return changes.get(account);
+  };
+
+  meta.preBalances.forEach((pre, index) => {
+    const diff = meta.postBalances[index] - pre;
+    if (diff !== 0) {
+      const entry = entryFor(accountKeys[index]);
+      entry.lamports_change = diff;
+      entry.sol_change = diff / LAMPORTS_PER_SOL;
+    }
+  });
+
+  const tokenDiffs = new Map();
+  const addTokenBalance = (balance, sign) => {
+    const owner = balance.owner || accountKeys[balance.accountIndex];
+    const key = `${owner}:${balance.mint}`;
+    const current = tokenDiffs.get(key) || { owner, mint: balance.mint, amount: 0n };
+    current.amount += sign * BigInt(balance.uiTokenAmount.amount);
+    tokenDiffs.set(key, current);
+  };
+
+  (meta.preTokenBalances || []).forEach((balance) => addTokenBalance(balance, -1n));
+  (meta.postTokenBalances || []).forEach((balance) => addTokenBalance(balance, 1n));
+
+  for (const { owner, mint, amount } of tokenDiffs.values()) {
+    if (amount === 0n) continue;
+
+    const info = tokenInfo.get(mint);
+    entryFor(owner).tokens.push({
+      mint,
+      symbol: info.symbol,
+      name: info.name,
+      decimals: info.decimals,
+      amount_change: amount.toString(),
+      ui_change: Number(amount) / 10 ** info.decimals,
+    });
+  }
+
+  return Array.from(changes.values());
+}
+
+/**
+ * Owner and mint of each token account in the transaction
+ */
+function getTokenAccounts(tx, accountKeys) {
+  const tokenAccounts = new Map();
+
+  [...(tx.meta.preTokenBalances || []), ...(tx.meta.postTokenBalances || [])].forEach((balance) => {
+    tokenAccounts.set(accountKeys[balance.accountIndex], {
+      mint: balance.mint,
+      owner: balance.owner,
+      decimals: balance.uiTokenAmount.decimals,
+    });
+  });
+
+  return tokenAccounts;
+}
+
+/**
+ * Label for a mint in summaries
+ */
+function tokenLabel(mint, tokenInfo) {
+  if (mint === WRAPPED_SOL_MINT) return 'SOL';
+
+  const info = tokenInfo.get(mint);
+  return info?.symbol || info?.name || shortAddress(mint);
+}
+
+/**
+ * Net changes for one account, with wrapped SOL folded into SOL
+ * The network fee is excluded when the account paid it
+ */
+function getAssetChanges(account, balanceChanges, feePayer, fee) {
+  const entry = balanceChanges.find((change) => change.account === account);
+  if (!entry) return [];
+
+  let sol = entry.sol_change + (account === feePayer ? fee : 0);
+  const assets = [];
+
+  entry.tokens.forEach((token) => {
+    if (token.mint === WRAPPED_SOL_MINT) {
+      sol += token.ui_change;
+    } else {
+      assets.push({ mint: token.mint, change: token.ui_change });
+    }
+  });
+
+  if (Math.abs(sol) > 1e-9) {
+    assets.push({ mint: WRAPPED_SOL_MINT, change: sol });
+  }
+
+  return assets;
+}
+
+/**
+ * NFT-like tokens (0 decimals, amount 1) that changed hands
+ */
+function getNftMovements(balanceChanges) {
+  const movements = new Map();
+
+  balanceChanges.forEach((entry) => {
+    entry.tokens
+      .filter((token) => token.decimals === 0 && Math.abs(token.ui_change) === 1)
+      .forEach((token) => {
+        const movement = movements.get(token.mint) || { mint: token.mint, from: null, to: null };
+        if (token.ui_change > 0) movement.to = entry.account;
+        else movement.from = entry.account;
+        movements.set(token.mint, movement);
+      });
+  });
+
+  return Array.from(movements.values());
+}
+
+/**
+ * Parsed instructions for the given parser program names
+ */
+function parsedInstructions(instructions, programs, types) {
+  return instructions.filter((ix) => programs.includes(ix.program) && types.includes(ix.parsed?.type));
+}
+
+/**
+ * Describe a swap from the signer's point of view
+ */
+function describeSwap(ctx, programs) {
+  const dex = programs.find((program) => program.category === 'dex');
+  const assets = getAssetChanges(ctx.feePayer, ctx.balanceChanges, ctx.feePayer, ctx.fee);
+
+  // Prefer token legs: SOL moves also carry rent for accounts opened along the way
+  const pick = (sign) => {
+    const legs = assets.filter((asset) => Math.sign(asset.change) === sign);
+    return legs.find((asset) => asset.mint !== WRAPPED_SOL_MINT) || legs[0];
+  };
+  const sold = pick(-1);
+  const bought = pick(1);
+  const venue = dex ? ` on ${dex.name}` : '';
+
+  if (!sold || !bought) {
+    return `Swap${venue}`;
+  }
+
+  return `Swapped ${formatAmount(sold.change)} ${tokenLabel(sold.mint, ctx.tokenInfo)} for `
+    + `${formatAmount(bought.change)} ${tokenLabel(bought.mint, ctx.tokenInfo)}${venue}`;
+}
+
+/**
+ * Describe a stake program instruction
+ */
+function describeStake(instructions) {
+  const stakeInstructions = parsedInstructions(instructions, ['stake'], STAKE_ACTIONS);
+  const instruction = STAKE_ACTIONS
+    .map((action) => stakeInstructions.find((ix) => ix.parsed.type === action))
+    .find(Boolean);
+
+  if (!instruction) {
+    return { action: null, summary: 'Stake program interaction' };
+  }
+
+  const { type, info } = instruction.parsed;
+  const stakeAccount = shortAddress(info.stakeAccount || info.source);
+
+  const summaries = {
+    delegate: `Delegated stake account ${stakeAccount} to validator ${shortAddress(info.voteAccount)}`,
+    withdraw: `Withdrew ${formatAmount((info.lamports || 0) / LAMPORTS_PER_SOL)} SOL from stake account ${stakeAccount}`,
+    deactivate: `Deactivated stake account ${stakeAccount}`,
+    split: `Split ${formatAmount((info.lamports || 0) / LAMPORTS_PER_SOL)} SOL from stake account ${stakeAccount}`,
+    merge: `Merged stake account ${stakeAccount} into ${shortAddress(info.destination)}`,
+  };
+
+  return {
+    action: type.startsWith('initialize') ? 'initialize' : type,
+    summary: summaries[type] || `Created stake account ${stakeAccount}`,
+  };
+}
+
+/**
+ * Append a count of any further transfers to a summary
+ */
+function withMore(summary, count) {
+  return count > 1 ? `${summary} and ${count - 1} more transfer${count > 2 ? 's' : ''}` : summary;
+}
+
+/**
+ * Classify the transaction and summarize it
+ */
+function classify(ctx) {
+  const { instructions, programs, balanceChanges, tokenInfo, tokenAccounts } = ctx;
+  const categories = new Set(programs.map((program) => program.category));
+  const nftMovements = getNftMovements(balanceChanges);
+
+  // NFT sale: an NFT changed hands on a marketplace, or the receiver paid the sender in SOL
+  const sale = nftMovements.find((movement) => {
+    if (!movement.from || !movement.to) return false;
+    if (categories.has('nft_marketplace')) return true;
+
+    const paid = getAssetChanges(movement.to, balanceChanges, ctx.feePayer, ctx.fee)
+      .find((asset) => asset.mint === WRAPPED_SOL_MINT);
+    const received = getAssetChanges(movement.from, balanceChanges, ctx.feePayer, ctx.fee)
+      .find((asset) => asset.mint === WRAPPED_SOL_MINT);
+    return paid?.change < 0 && received?.change > 0;
+  });
+
+  if (sale) {
+    const paid = getAssetChanges(sale.to, balanceChanges, ctx.feePayer, ctx.fee)
+      .find((asset) => asset.mint === WRAPPED_SOL_MINT);
+    const marketplace = programs.find((program) => program.category === 'nft_marketplace');
+    const price = paid?.change < 0 ? ` for ${formatAmount(paid.change)} SOL` : '';
+
+    return {
+      type: 'nft_sale',
+      summary: `${shortAddress(sale.to)} bought ${tokenLabel(sale.mint, tokenInfo)} from ${shortAddress(sale.from)}`
+        + `${price}${marketplace ? ` on ${marketplace.name}` : ''}`,
+    };
+  }
+
+  // NFT mint: a 0-decimal token minted alongside an NFT program, or a compressed mint
+  const mintedNft = parsedInstructions(instructions, SPL_TOKEN_PROGRAMS, ['mintTo', 'mintToChecked'])
+    .map((ix) => ix.parsed.info.mint)
+    .find((mint) => tokenInfo.get(mint)?.decimals === 0);
+  const compressedMint = (ctx.logs || []).some((log) => /Instruction: MintV1|Instruction: MintToCollectionV1/.test(log));
+
+  if (categories.has('nft') && (mintedNft || compressedMint)) {
+    return {
+      type: 'nft_mint',
+      summary: mintedNft
+        ? `Minted ${tokenLabel(mintedNft, tokenInfo)}`
+        : 'Minted a compressed NFT',
+    };
+  }
+
+  // Swap: a DEX was invoked, or the signer traded one token for another
+  const signerTokens = balanceChanges.find((change) => change.account === ctx.feePayer)?.tokens || [];
+  const tradedTokens = signerTokens.some((token) => token.ui_change < 0) && signerTokens.some((token) => token.ui_change > 0);
+
+  if (categories.has('dex') || tradedTokens) {
+    return { type: 'swap', summary: describeSwap(ctx, programs) };
+  }
+
+  if (categories.has('stake')) {
+    const { action, summary } = describeStake(instructions);
+    return { type: 'stake', stake_action: action, summary };
+  }
+
+  const tokenTransfers = parsedInstructions(instructions, SPL_TOKEN_PROGRAMS, ['transfer', 'transferChecked']);
+  if (tokenTransfers.length > 0) {
+    const { info } = tokenTransfers[0].parsed;
+    const source = tokenAccounts.get(info.source);
+    const destination = tokenAccounts.get(info.destination);
+    const mint = info.mint || source?.mint || destination?.mint;
+    const decimals = tokenInfo.get(mint)?.decimals ?? source?.decimals ?? 0;
+    const amount = info.tokenAmount ? Number(info.tokenAmount.amount) : Number(info.amount);
+    const from = source?.owner || info.authority || info.multisigAuthority;
+    const to = destination?.owner || info.destination;
+
+    return {
+      type: 'spl_transfer',
+      summary: withMore(
+        `Transferred ${formatAmount(amount / 10 ** decimals)} ${mint ? tokenLabel(mint, tokenInfo) : 'tokens'} `
+          + `from ${shortAddress(from)} to ${shortAddress(to)}`,
+        tokenTransfers.length
+      ),
+    };
+  }
+
+  const solTransfers = parsedInstructions(instructions, ['system'], ['transfer', 'transferWithSeed']);
+  if (solTransfers.length > 0) {
+    const { info } = solTransfers[0].parsed;
+
+    return {
+      type: 'sol_transfer',
+      summary: withMore(
+        `Transferred ${formatAmount(info.lamports / LAMPORTS_PER_SOL)} SOL `
+          + `from ${shortAddress(info.source)} to ${shortAddress(info.destination)}`,
+        solTransfers.length
+      ),
+    };
+  }
+
+  const called = programs
+    .filter((program) => !['system', 'token'].includes(program.category))
+    .map((program) => program.name || shortAddress(program.program_id));
+
+  return {
+    type: 'unknown',
+    summary: called.length > 0 ? `Interacted with ${called.join(', ')}` : 'Unclassified transaction',
+  };
+}
+
+/**
+ * Fetch and decode a transaction
+ * Returns null if the RPC doesn't know the signature
+ */
+async function getDecodedTransaction(signature, options = {}) {
+  const { network } = options;
+  const result = await SolanaService.getTransaction(signature, { network });
+  const tx = result.data;
+
+  if (!tx || !tx.meta) {
+    return null;
+  }
+
+  const accountKeys = tx.transaction.message.accountKeys.map((key) => key.pubkey || key);
+  const feePayer = accountKeys[0];
+  const fee = tx.meta.fee / LAMPORTS_PER_SOL;
+  const instructions = getInstructions(tx);
+  const programs = getPrograms(instructions);
+  const tokenInfo = await getTokenInfo(
+    [...(tx.meta.preTokenBalances || []), ...(tx.meta.postTokenBalances || [])],
+    network
+  );
+  const balanceChanges = getBalanceChanges(tx, accountKeys, tokenInfo);
+
+  const classification = classify({
+    instructions,
+    programs,
+    balanceChanges,
+    tokenInfo,
+    tokenAccounts: getTokenAccounts(tx, accountKeys),
+    feePayer,
+    fee,
+    logs: tx.meta.logMessages,
+  });
+
+  return {
+    data: {
+      signature,
+      slot: tx.slot,
+      block_time: tx.blockTime ? new Date(tx.blockTime * 1000).toISOString() : null,
+      version: tx.version ?? 'legacy',
+      success: !tx.meta.err,
+      err: tx.meta.err,
+      fee,
+      fee_payer: feePayer,
+      ...classification,
+      programs,
+      balance_changes: balanceChanges,
+    },
+    cached: result.cached,
+  };
+}
+
+module.exports = {
+  getDecodedTransaction,
+};
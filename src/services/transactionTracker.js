@@ -0,0 +1,257 @@
+/**
+ * Transaction Tracker
+ * Moves submitted transactions out of PENDING
+ *
+ * Polls signature statuses for pending transactions. A transaction becomes
+ * CONFIRMED once it reaches the configured commitment, FAILED if it landed
+ * with an error, and FAILED if its blockhash expired before it landed.
+ * Rows are only updated while still PENDING, so with several workers
+ * polling, each transaction is resolved (and its webhook sent) once.
+ * Transactions are checked on the network they were sent to.
+ */
+
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const SolanaService = require('./solana');
+const WebhookService = require('./webhook');
+const { Transaction } = require('../models');
+const { cache } = require('../utils/cache');
+const config = require('../config/app');
+const logger = require('../utils/logger');
+const { SOLANA_NETWORKS } = require('../config/constants');
+
+const LOCK_KEY = 'lock:transaction-tracker';
+const COMMITMENT_LEVELS = ['processed', 'confirmed', 'finalized'];
+
+// getSignatureStatuses accepts at most 256 signatures
+const MAX_SIGNATURES_PER_CALL = 256;
+
+// Blockhashes stay valid for ~60-90s. Younger transactions aren't checked for
+// expiry, which also keeps the finalized-commitment check below meaningful.
+const BLOCKHASH_MIN_AGE_MS = 90000;
+
+let pollTimer = null;
+let polling = null;
+
+/**
+ * Whether a signature status has reached the given commitment
+ */
+function reachedCommitment(status, commitment) {
+  return COMMITMENT_LEVELS.indexOf(status.confirmationStatus) >= COMMITMENT_LEVELS.indexOf(commitment);
+}
+
+/**
+ * Network a transaction was sent to (rows from before networks were recorded are mainnet)
+ */
+function networkOf(tx) {
+  return tx.data?.network || SOLANA_NETWORKS.MAINNET;
+}
+
+/**
+ * Blockhashes (of transactions old enough to check) that can no longer land
+ * Checked before fetching statuses: once a blockhash is invalid at finalized
+ * commitment, any transaction using it already shows up in its status.
+ */
+async function getExpiredBlockhashes(transactions) {
+  const now = Date.now();
+  const blockhashes = new Map(
+    transactions
+      .filter((tx) => tx.data?.recentBlockhash && now - new Date(tx.created_at).getTime() > BLOCKHASH_MIN_AGE_MS)
+      .map((tx) => [tx.data.recentBlockhash, networkOf(tx)])
+  );
+
+  const expired = new Set();
+
+  await Promise.all(Array.from(blockhashes).map(async ([blockhash, network]) => {
+    try {
+      const result = await SolanaService.rpcRequest('isBlockhashValid', [
+        blockhash,
+        { commitment: 'finalized' },
+      ], { network });
+      if (result.data?.value === false) {
+        expired.add(blockhash);
+      }
+    } catch (error) {
+      logger.warn('Blockhash check failed:', { blockhash, error: error.message });
+    }
+  }));
+
+  return expired;
+}
+
+/**
+ * Slot, fee and block time of a landed transaction
+ */
+async function getLandedDetails(signature, status, network) {
+  const details = { slot: status.slot, fee: null, blockTime: null };
+
+  try {
+    const result = await SolanaService.rpcRequest('getTransaction', [
+      signature,
+      { encoding: 'json', commitment: 'confirmed', maxSupportedTransactionVersion: 0 },
+    ], { network });
+
+    if (result.data) {
+      details.slot = result.data.slot;
+      details.fee = result.data.meta?.fee != null ? result.data.meta.fee / LAMPORTS_PER_SOL : null;
+      details.blockTime = result.data.blockTime ? new Date(result.data.blockTime * 1000) : null;
+    }
+  } catch (error) {
+    logger.warn('Could not fetch transaction details:', { signature, error: error.message });
+  }
+
+  return details;
+}
+
+/**
+ * Decide what a pending transaction should become
+ * Returns null while it should stay PENDING
+ */
+async function evaluate(tx, status, expiredBlockhashes) {
+  const { commitment, maxPendingMs } = config.transactionTracker;
+
+  if (status?.err) {
+    return {
+      status: 'FAILED',
+      ...(await getLandedDetails(tx.signature, status, networkOf(tx))),
+      data: { err: status.err, confirmationStatus: status.confirmationStatus },
+    };
+  }
+
+  if (status && reachedCommitment(status, commitment)) {
+    return {
+      status: 'CONFIRMED',
+      ...(await getLandedDetails(tx.signature, status, networkOf(tx))),
+      data: { confirmationStatus: status.confirmationStatus },
+    };
+  }
+
+  if (!status && expiredBlockhashes.has(tx.data?.recentBlockhash)) {
+    return { status: 'FAILED', data: { reason: 'blockhash_expired' } };
+  }
+
+  if (!status && !tx.data?.recentBlockhash && Date.now() - new Date(tx.created_at).getTime() > maxPendingMs) {
+    return { status: 'FAILED', data: { reason: 'expired' } };
+  }
+
+  return null;
+}
+
+/**
+ * Notify the owner that a transaction confirmed
+ */
+async function notifyConfirmed(row) {
+  if (!row.user_id) return;
+
+  await WebhookService.trigger('transaction.confirmed', {
+    signature: row.signature,
+    status: 'confirmed',
+    confirmation_status: row.data?.confirmationStatus || null,
+    slot: row.slot != null ? Number(row.slot) : null,
+    fee: row.fee != null ? Number(row.fee) : null,
+    block_time: row.block_time ? new Date(row.block_time).toISOString() : null,
+    fee_payer: row.from_address,
+    network: networkOf(row),
+  }, row.user_id);
+}
+
+/**
+ * Check one batch of pending transactions
+ */
+async function poll() {
+  // One process polls per interval; null means Redis is down, so poll anyway
+  const lockSeconds = Math.max(1, Math.floor(config.transactionTracker.pollIntervalMs / 1000));
+  if (await cache.setIfAbsent(LOCK_KEY, process.pid, lockSeconds) === false) {
+    return { checked: 0, resolved: 0 };
+  }
+
+  const pending = await Transaction.getPending(config.transactionTracker.batchSize);
+  if (pending.length === 0) {
+    return { checked: 0, resolved: 0 };
+  }
+
+  const expiredBlockhashes = await getExpiredBlockhashes(pending);
+  let resolved = 0;
+
+  const batches = [];
+  for (const network of new Set(pending.map(networkOf))) {
+    const transactions = pending.filter((tx) => networkOf(tx) === network);
+    for (let i = 0; i < transactions.length; i += MAX_SIGNATURES_PER_CALL) {
+      batches.push({ network, batch: transactions.slice(i, i + MAX_SIGNATURES_PER_CALL) });
+    }
+  }
+
+  for (const { network, batch } of batches) {
+    const statuses = await SolanaService.getSignatureStatuses(batch.map((tx) => tx.signature), { network });
+
+    for (const [index, tx] of batch.entries()) {
+      try {
+        const update = await evaluate(tx, statuses[index], expiredBlockhashes);
+        if (!update) continue;
+
+        const row = await Transaction.resolve(tx.signature, update);
+        if (!row) continue;
+
+        resolved++;
+        logger.info(`Transaction ${update.status.toLowerCase()}`, {
+          signature: tx.signature,
+          ...update.data,
+        });
+
+        if (row.status === 'CONFIRMED') {
+          await notifyConfirmed(row);
+        }
+      } catch (error) {
+        logger.error('Failed to update transaction status:', { signature: tx.signature, error: error.message });
+      }
+    }
+  }
+
+  return { checked: pending.length, resolved };
+}
+
+/**
+ * Run a poll unless one is already running
+ */
+async function runPoll() {
+  if (polling) return polling;
+
+  polling = poll();
+
+  try {
+    return await polling;
+  } finally {
+    polling = null;
+  }
+}
+
+/**
+ * Start polling
+ */
+function start(intervalMs = config.transactionTracker.pollIntervalMs) {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(() => {
+    runPoll().catch((error) => logger.error('Transaction tracker error:', error.message));
+  }, intervalMs);
+  pollTimer.unref();
+}
+
+/**
+ * Stop polling and wait for a running poll to finish
+ */
+async function stop() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  if (polling) {
+    await polling.catch(() => {});
+  }
+}
+
+module.exports = {
+  poll: runPoll,
+  start,
+  stop,
+};
@@ -0,0 +1,111 @@
+/**
+ * Usage Service
+ * Buffers per-request usage rows in memory and writes them in batches
+ *
+ * Requests only push onto the buffer, so recording never adds a database
+ * round trip to the hot path. The buffer is flushed when it reaches the batch
+ * size or on a timer, whichever comes first.
+ */
+
+const { UsageMetrics } = require('../models');
+const config = require('../config/app');
+const logger = require('../utils/logger');
+
+let buffer = [];
+let flushTimer = null;
+let flushing = null;
+let dropped = 0;
+
+/**
+ * Queue a usage row for the next batch
+ */
+function track(entry) {
+  const { batchSize, maxBuffer } = config.usageMetrics;
+
+  if (buffer.length >= maxBuffer) {
+    // Database is falling behind - drop the oldest rows rather than grow unbounded
+    buffer.shift();
+    dropped++;
+  }
+
+  buffer.push(entry);
+
+  if (buffer.length >= batchSize) {
+    flush().catch((error) => logger.error('Usage metrics flush error:', error.message));
+  }
+}
+
+/**
+ * Write buffered rows to Postgres
+ */
+async function flush() {
+  // One flush at a time; callers wait for the running one
+  if (flushing) return flushing;
+
+  flushing = (async () => {
+    let written = 0;
+
+    while (buffer.length > 0) {
+      const batch = buffer.splice(0, config.usageMetrics.batchSize);
+
+      try {
+        written += await UsageMetrics.recordBatch(batch);
+      } catch (error) {
+        logger.error('Failed to record usage metrics:', { rows: batch.length, error: error.message });
+
+        // Retry on the next flush, still dropping the oldest rows past maxBuffer
+        buffer.unshift(...batch);
+        const overflow = buffer.length - config.usageMetrics.maxBuffer;
+        if (overflow > 0) {
+          buffer.splice(0, overflow);
+          dropped += overflow;
+        }
+        break;
+      }
+    }
+
+    if (dropped > 0) {
+      logger.warn(`Dropped ${dropped} usage metrics rows (buffer full)`);
+      dropped = 0;
+    }
+
+    return written;
+  })();
+
+  try {
+    return await flushing;
+  } finally {
+    flushing = null;
+  }
+}
+
+/**
+ * Start the periodic flush
+ */
+function startFlusher(intervalMs = config.usageMetrics.flushIntervalMs) {
+  if (flushTimer) return;
+
+  flushTimer = setInterval(() => {
+    flush().catch((error) => logger.error('Usage metrics flush error:', error.message));
+  }, intervalMs);
+  flushTimer.unref();
+}
+
+/**
+ * Stop the flusher and write any buffered rows
+ */
+async function stopFlusher() {
+  if (flushTimer) {
+    clearInterval(flushTimer);
+    flushTimer = null;
+  }
+
+  await flush();
+}
+
+module.exports = {
+  track,
+  flush,
+  startFlusher,
+  stopFlusher,
+};
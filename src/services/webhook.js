@@ -7,6 +7,7 @@ const axios = require('axios');
 const Bull = require('bull');
 const { createHmacSignature } = require('../utils/crypto');
 const logger = require('../utils/logger');
+const { registerQueue } = require('../utils/metrics');
 const config = require('../config/app');
 const { Webhook, WebhookDelivery } = require('../models');
 const { WEBHOOK_RETRY_DELAYS } = require('../config/constants');
@@ -29,6 +30,8 @@ const webhookQueue = new Bull('webhook-delivery', {
   },
 });
 
+registerQueue('webhook-delivery', webhookQueue);
+
 // Process webhook jobs
 webhookQueue.process(async (job) => {
   const { deliveryId, webhook, event, payload } = job.data;
@@ -7,6 +7,7 @@ const Bull = require('bull');
 const axios = require('axios');
 const { redis } = require('../config/redis');
 const logger = require('../utils/logger');
+const { registerQueue } = require('../utils/metrics');
 const config = require('../config/app');
 const { Workflow, WorkflowExecution } = require('../models');
 const { WORKFLOW_ACTIONS, WORKFLOW_TRIGGERS } = require('../config/constants');
@@ -30,6 +31,8 @@ const workflowQueue = new Bull('workflow-execution', {
   },
 });
 
+registerQueue('workflow-execution', workflowQueue);
+
 // Process workflow jobs
 workflowQueue.process(async (job) => {
   const { executionId, workflow, triggerData } = job.data;
@@ -13,6 +13,7 @@ const path = require('path');
 const fs = require('fs');
 const snarkjs = require('snarkjs');
 const logger = require('../utils/logger');
+const { registerQueue } = require('../utils/metrics');
 const config = require('../config/app');
 const { ZkProof } = require('../models');
 const WebhookService = require('./webhook');
@@ -91,6 +92,8 @@ const proofQueue = new Bull('zk-proof-generation', {
   },
 });
 
+registerQueue('zk-proof-generation', proofQueue);
+
 // Process proof jobs
 proofQueue.process(async (job) => {
   const { proofId, circuitId, inputs, callbackUrl, userId } = job.data;
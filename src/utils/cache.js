@@ -4,6 +4,7 @@
 
 const { cache, redis } = require('../config/redis');
 const logger = require('./logger');
+const { recordCacheLookup } = require('./metrics');
 
 /**
  * Cache decorator - wraps an async function with caching
@@ -42,6 +43,7 @@ function withCache(keyPrefix, ttlSeconds = 60) {
 async function getOrSet(key, ttlSeconds, callback) {
   // Try cache first
   const cached = await cache.get(key);
+  recordCacheLookup(key, cached !== null);
   if (cached !== null) {
     return { data: cached, cached: true };
   }
@@ -72,37 +74,136 @@ async function invalidatePattern(pattern) {
   }
 }
 
+// Sliding window counter: the previous fixed window's count is weighted by how
+// much of it still overlaps the sliding window, so only two integers are stored.
+// KEYS = current window key, previous window key
+// ARGV = limit, window (ms), elapsed in current window (ms), cost
+// Returns { allowed, remaining, retry after (ms), reset (ms) }
+redis.defineCommand('rateLimitSlidingWindow', {
+  numberOfKeys: 2,
+  lua: `
+local limit = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local elapsed = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+local curr = tonumber(redis.call('GET', KEYS[1]) or '0')
+local prev = tonumber(redis.call('GET', KEYS[2]) or '0')
+local used = prev * (window - elapsed) / window + curr
+local allowed = 0
+
+if used + cost <= limit then
+  curr = redis.call('INCRBY', KEYS[1], cost)
+  redis.call('PEXPIRE', KEYS[1], window * 2)
+  used = used + cost
+  allowed = 1
+end
+
+local retry = 0
+if allowed == 0 then
+  if curr + cost <= limit then
+    retry = window * (1 - (limit - curr - cost) / prev) - elapsed
+  else
+    retry = (window - elapsed) + math.max(0, window * (1 - (limit - cost) / math.max(curr, 1)))
+  end
+end
+
+local reset = 0
+if curr > 0 then
+  reset = (window - elapsed) + window
+elseif prev > 0 then
+  reset = window - elapsed
+end
+
+return {allowed, math.floor(limit - used), math.ceil(retry), math.ceil(reset)}
+`,
+});
+
+// Token bucket: holds up to burst tokens, refilled continuously at limit/window.
+// KEYS = bucket hash
+// ARGV = capacity, refill rate (tokens/ms), now (ms), cost
+// Returns { allowed, remaining, retry after (ms), reset (ms) }
+redis.defineCommand('rateLimitTokenBucket', {
+  numberOfKeys: 1,
+  lua: `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(state[1]) or capacity
+local ts = tonumber(state[2]) or now
+
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate)
+
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / rate))
+
+local retry = 0
+if allowed == 0 then
+  retry = (cost - tokens) / rate
+end
+
+return {allowed, math.floor(tokens), math.ceil(retry), math.ceil((capacity - tokens) / rate)}
+`,
+});
+
 /**
- * Rate limit check using sorted set
+ * Atomic rate limit check
+ *
+ * policy: { algorithm: 'sliding_window' | 'token_bucket', requests, windowMs, burst, failClosed }
+ * Returns { allowed, limit, remaining, reset, retryAfter } with reset/retryAfter in seconds.
+ * If Redis fails the request is allowed, unless the policy is failClosed.
  */
-async function checkRateLimit(key, maxRequests, windowSeconds) {
+async function checkRateLimit(key, policy, cost = 1) {
+  const { algorithm = 'sliding_window', requests, windowMs, failClosed = false } = policy;
   const now = Date.now();
-  const windowStart = now - (windowSeconds * 1000);
+
+  // A token bucket holds up to `burst` tokens, so that's the limit it reports
+  const limit = algorithm === 'token_bucket' ? policy.burst || requests : requests;
 
   try {
-    // Remove old entries
-    await redis.zremrangebyscore(key, 0, windowStart);
-    
-    // Count current requests
-    const count = await redis.zcard(key);
-    
-    if (count >= maxRequests) {
-      return { allowed: false, remaining: 0, reset: windowSeconds };
+    let result;
+
+    if (algorithm === 'token_bucket') {
+      result = await redis.rateLimitTokenBucket(`${key}:tb`, limit, requests / windowMs, now, cost);
+    } else {
+      const index = Math.floor(now / windowMs);
+      result = await redis.rateLimitSlidingWindow(
+        `${key}:sw:${index}`,
+        `${key}:sw:${index - 1}`,
+        requests,
+        windowMs,
+        now - index * windowMs,
+        cost
+      );
     }
 
-    // Add new request
-    await redis.zadd(key, now, `${now}-${Math.random()}`);
-    await redis.expire(key, windowSeconds);
+    const [allowed, remaining, retryMs, resetMs] = result;
 
     return {
-      allowed: true,
-      remaining: maxRequests - count - 1,
-      reset: windowSeconds,
+      allowed: allowed === 1,
+      limit,
+      remaining: Math.max(0, remaining),
+      reset: Math.ceil(resetMs / 1000),
+      retryAfter: Math.max(1, Math.ceil(retryMs / 1000)),
     };
   } catch (error) {
     logger.error('Rate limit check error:', error.message);
-    // Allow request on error
-    return { allowed: true, remaining: maxRequests, reset: windowSeconds };
+
+    return {
+      allowed: !failClosed,
+      limit,
+      remaining: failClosed ? 0 : limit,
+      reset: Math.ceil(windowMs / 1000),
+      retryAfter: Math.ceil(windowMs / 1000),
+      error: true,
+    };
   }
 }
 
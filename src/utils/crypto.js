@@ -13,7 +13,8 @@ const config = require('../config/app');
  */
 function generateApiKey(tier = 'free') {
   const prefix = 'acceso';
-  const tierCode = tier === 'enterprise' ? 'ent' : tier === 'pro' ? 'pro' : 'free';
+  const tierCodes = { enterprise: 'ent', pro: 'pro', basic: 'basic' };
+  const tierCode = tierCodes[tier] || 'free';
   const randomBytes = crypto.randomBytes(24).toString('hex');
   return `${prefix}_${tierCode}_${randomBytes}`;
 }
@@ -60,6 +61,36 @@ function verifyHmacSignature(payload, signature, secret) {
   );
 }
 
+/**
+ * SHA-256 of a raw request body (hex, empty body hashes the empty string)
+ */
+function hashRequestBody(rawBody) {
+  return crypto.createHash('sha256').update(rawBody || '').digest('hex');
+}
+
+/**
+ * Derive the request signing key for an API key
+ * HMAC-SHA256 of the key under the server-side pepper (hex)
+ */
+function deriveSigningKey(apiKey) {
+  return crypto
+    .createHmac('sha256', config.requestSigning.pepper)
+    .update(apiKey)
+    .digest('hex');
+}
+
+/**
+ * Create signature for a signed API request
+ * HMAC-SHA256 over "METHOD\npath\nbodyHash\ntimestamp\nnonce"
+ */
+function createRequestSignature(signingKey, { method, path, bodyHash, timestamp, nonce }) {
+  const stringToSign = [method.toUpperCase(), path, bodyHash, timestamp, nonce].join('\n');
+  return crypto
+    .createHmac('sha256', signingKey)
+    .update(stringToSign)
+    .digest('hex');
+}
+
 /**
  * Hash password
  */
@@ -102,6 +133,9 @@ module.exports = {
   generateToken,
   createHmacSignature,
   verifyHmacSignature,
+  hashRequestBody,
+  deriveSigningKey,
+  createRequestSignature,
   hashPassword,
   verifyPassword,
   generateShortId,
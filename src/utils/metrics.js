@@ -0,0 +1,169 @@
+/**
+ * Prometheus Metrics
+ * Shared prom-client registry and instruments
+ *
+ * Everything registers on the default prom-client registry. Under
+ * src/cluster.js the master aggregates it across workers (AggregatorRegistry).
+ */
+
+const promClient = require('prom-client');
+
+const register = promClient.register;
+
+promClient.collectDefaultMetrics({ register });
+
+// Queues whose depth is sampled on every scrape
+const queues = new Map();
+
+const httpRequestDuration = new promClient.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route and status',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+});
+
+const rpcRequestsTotal = new promClient.Counter({
+  name: 'solana_rpc_requests_total',
+  help: 'Solana RPC calls by network, provider, method and outcome',
+  labelNames: ['network', 'provider', 'method', 'status'],
+});
+
+const rpcProviderFailuresTotal = new promClient.Counter({
+  name: 'solana_rpc_provider_failures_total',
+  help: 'Failed Solana RPC calls that count towards provider failover',
+  labelNames: ['network', 'provider'],
+});
+
+const rpcFailoversTotal = new promClient.Counter({
+  name: 'solana_rpc_failovers_total',
+  help: 'Times a Solana RPC provider was marked unhealthy and traffic failed over',
+  labelNames: ['network', 'provider'],
+});
+
+// Provider health is shared through Redis, so every worker reports the same values
+const rpcProviderUp = new promClient.Gauge({
+  name: 'solana_rpc_provider_up',
+  help: 'Whether a Solana RPC provider is taking traffic (1) or not (0)',
+  labelNames: ['network', 'provider'],
+  aggregator: 'max',
+});
+
+const rpcProviderLatency = new promClient.Gauge({
+  name: 'solana_rpc_provider_latency_seconds',
+  help: 'Smoothed Solana RPC provider latency from health probes',
+  labelNames: ['network', 'provider'],
+  aggregator: 'max',
+});
+
+const rpcProviderSlotLag = new promClient.Gauge({
+  name: 'solana_rpc_provider_slot_lag',
+  help: 'Slots a Solana RPC provider is behind the highest slot seen on its network',
+  labelNames: ['network', 'provider'],
+  aggregator: 'max',
+});
+
+const cacheRequestsTotal = new promClient.Counter({
+  name: 'cache_requests_total',
+  help: 'getOrSet cache lookups by key prefix and result',
+  labelNames: ['prefix', 'result'],
+});
+
+const upstreamRequestDuration = new promClient.Histogram({
+  name: 'upstream_request_duration_seconds',
+  help: 'Latency of calls to upstream APIs (Bitquery, Polymarket)',
+  labelNames: ['service', 'status'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+});
+
+// Every worker reports the same shared queues, so take the max when aggregating
+const queueJobs = new promClient.Gauge({
+  name: 'queue_jobs',
+  help: 'Bull queue jobs by state',
+  labelNames: ['queue', 'state'],
+  aggregator: 'max',
+  async collect() {
+    this.reset();
+
+    await Promise.all(Array.from(queues.entries()).map(async ([name, queue]) => {
+      try {
+        const counts = await queue.getJobCounts();
+        for (const [state, count] of Object.entries(counts)) {
+          this.set({ queue: name, state }, count);
+        }
+      } catch {
+        // Redis unavailable - leave this queue out of the scrape
+      }
+    }));
+  },
+});
+
+/**
+ * Track a Bull queue's depth
+ */
+function registerQueue(name, queue) {
+  queues.set(name, queue);
+}
+
+/**
+ * Key prefix used as the cache metric label (e.g. "solana:balance")
+ */
+function cachePrefix(key) {
+  return key.split(':').slice(0, 2).join(':');
+}
+
+/**
+ * Record a cache hit or miss
+ */
+function recordCacheLookup(key, hit) {
+  cacheRequestsTotal.inc({ prefix: cachePrefix(key), result: hit ? 'hit' : 'miss' });
+}
+
+/**
+ * Time every request made through an axios instance
+ */
+function instrumentAxios(client, service) {
+  const observe = (config, status) => {
+    const start = config?.metadata?.startTime;
+    if (start) {
+      upstreamRequestDuration.observe(
+        { service, status },
+        Number(process.hrtime.bigint() - start) / 1e9
+      );
+    }
+  };
+
+  client.interceptors.request.use((config) => {
+    config.metadata = { ...config.metadata, startTime: process.hrtime.bigint() };
+    return config;
+  });
+
+  client.interceptors.response.use(
+    (response) => {
+      observe(response.config, 'success');
+      return response;
+    },
+    (error) => {
+      observe(error.config, 'error');
+      return Promise.reject(error);
+    }
+  );
+
+  return client;
+}
+
+module.exports = {
+  promClient,
+  register,
+  httpRequestDuration,
+  rpcRequestsTotal,
+  rpcProviderFailuresTotal,
+  rpcFailoversTotal,
+  rpcProviderUp,
+  rpcProviderLatency,
+  rpcProviderSlotLag,
+  recordCacheLookup,
+  upstreamRequestDuration,
+  queueJobs,
+  registerQueue,
+  instrumentAxios,
+};
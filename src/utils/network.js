@@ -0,0 +1,81 @@
+/**
+ * Network Utilities
+ * IP/CIDR and Origin matching for API key allowlists
+ */
+
+const net = require('net');
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix (::ffff:1.2.3.4 -> 1.2.3.4)
+ */
+function normalizeIp(ip) {
+  if (typeof ip !== 'string') return ip;
+  return ip.startsWith('::ffff:') && net.isIPv4(ip.substring(7)) ? ip.substring(7) : ip;
+}
+
+/**
+ * Parse "10.0.0.0/8", "2001:db8::/32" or a bare IP into { address, prefix, type }
+ * Returns null if invalid
+ */
+function parseCidr(cidr) {
+  const [rawAddress, rawPrefix] = String(cidr).trim().split('/');
+  const address = normalizeIp(rawAddress);
+  const version = net.isIP(address);
+
+  if (!version) return null;
+
+  const maxPrefix = version === 4 ? 32 : 128;
+  const prefix = rawPrefix === undefined ? maxPrefix : Number(rawPrefix);
+
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) return null;
+
+  return { address, prefix, type: version === 4 ? 'ipv4' : 'ipv6' };
+}
+
+/**
+ * Check whether an IP falls inside any of the given CIDR ranges
+ */
+function ipInCidrs(ip, cidrs) {
+  const address = normalizeIp(ip);
+  const version = net.isIP(address);
+  if (!version) return false;
+
+  const blockList = new net.BlockList();
+  for (const cidr of cidrs) {
+    const parsed = parseCidr(cidr);
+    if (parsed) blockList.addSubnet(parsed.address, parsed.prefix, parsed.type);
+  }
+
+  return blockList.check(address, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Normalize an Origin header value (scheme://host[:port], lowercase)
+ * Returns null if invalid
+ */
+function normalizeOrigin(origin) {
+  try {
+    const url = new URL(origin);
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+    return url.origin.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether an Origin is in the allowlist
+ */
+function originAllowed(origin, allowedOrigins) {
+  const normalized = normalizeOrigin(origin);
+  if (!normalized) return false;
+  return allowedOrigins.some((allowed) => normalizeOrigin(allowed) === normalized);
+}
+
+module.exports = {
+  normalizeIp,
+  parseCidr,
+  ipInCidrs,
+  normalizeOrigin,
+  originAllowed,
+};
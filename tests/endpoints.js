@@ -85,7 +85,7 @@ const ENDPOINTS = {
       {
         method: 'POST',
         path: '/v1/solana/rpc',
-        description: 'JSON-RPC proxy to Solana nodes',
+        description: 'JSON-RPC 2.0 proxy to Solana nodes (single calls or batch arrays)',
         auth: true,
         body: {
           jsonrpc: '2.0',
@@ -97,7 +97,7 @@ const ENDPOINTS = {
           response: {
             jsonrpc: '2.0',
             id: 1,
-            result: { value: 1000000000 }
+            result: { context: { slot: 312408112 }, value: 1000000000 }
           }
         }
       },
@@ -129,6 +129,67 @@ const ENDPOINTS = {
           }
         }
       },
+      {
+        method: 'POST',
+        path: '/v1/solana/accounts/batch',
+        description: 'Balances, owners and token account data for up to 100 addresses',
+        auth: true,
+        body: { addresses: ['FGQ3rrA6tPdL4EHMvpZY4rQoMKtp58qvyxBSV5M28DWt', '...'] },
+        example: {
+          response: {
+            success: true,
+            data: {
+              count: 2,
+              found: 2,
+              accounts: [
+                { address: 'FGQ3r...', exists: true, lamports: 1000000000, balance: 1, owner: '11111111111111111111111111111111', executable: false, token: null, cached: true },
+                { address: '7xKXt...', exists: true, lamports: 2039280, owner: 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA', token: { mint: 'EPjFW...', amount: '2500000', decimals: 6, ui_amount: 2.5 }, cached: false }
+              ]
+            }
+          }
+        }
+      },
+      {
+        method: 'GET',
+        path: '/v1/solana/account/:address/portfolio',
+        description: 'Wallet value in USD with per-token allocation',
+        auth: true,
+        params: { address: 'Solana wallet address (base58)' },
+        query: { include_nfts: 'Estimate NFT value from collection floors (default false)' },
+        example: {
+          response: {
+            success: true,
+            data: {
+              address: 'FGQ3r...',
+              total_value_usd: 504,
+              sol: { balance: 3, price: 100, value_usd: 300, allocation_pct: 59.52 },
+              tokens: [{ mint: 'EPjFW...', symbol: 'USDC', balance: 204, price: 1, value_usd: 204, allocation_pct: 40.48 }],
+              unpriced_tokens: [],
+              nfts: null
+            }
+          }
+        }
+      },
+      {
+        method: 'GET',
+        path: '/v1/solana/account/:address/pnl',
+        description: 'Realized/unrealized PnL per token and daily equity curve (requires Bitquery)',
+        auth: true,
+        params: { address: 'Solana wallet address (base58)' },
+        query: { from: 'ISO date (default 30 days ago)', to: 'ISO date (default now, max 90 day range)' },
+        example: {
+          response: {
+            success: true,
+            data: {
+              address: 'FGQ3r...',
+              totals: { start_value_usd: 1020, end_value_usd: 1200, realized_pnl_usd: 60, unrealized_pnl_usd: 230, total_pnl_usd: 290 },
+              tokens: [{ mint: '11111111111111111111111111111111', symbol: 'SOL', realized_pnl_usd: 10, unrealized_pnl_usd: 180, priced: true }],
+              equity_curve: [{ date: '2026-01-01', value_usd: 1020 }],
+              truncated: false
+            }
+          }
+        }
+      },
       {
         method: 'GET',
         path: '/v1/solana/transaction/:signature',
@@ -142,19 +203,163 @@ const ENDPOINTS = {
           }
         }
       },
+      {
+        method: 'GET',
+        path: '/v1/solana/account/:address/stake',
+        description: 'Stake accounts with activation state and rewards per epoch',
+        auth: true,
+        params: { address: 'Solana wallet address (base58)' },
+        query: { epochs: 'Completed epochs of rewards, 1-10 (default 5)' },
+        example: {
+          response: {
+            success: true,
+            data: {
+              address: 'FGQ3r...',
+              epoch: 700,
+              summary: { accounts: 1, total_balance: 1000.3, active_stake: 1000, total_rewards: 1.5 },
+              stake_accounts: [{ address: '9xQeW...', state: 'active', delegation: { vote_account: 'Vote1...', stake: 1000 }, total_rewards: 1.5, apy_estimate: 5.63 }]
+            }
+          }
+        }
+      },
+      {
+        method: 'GET',
+        path: '/v1/solana/validators',
+        description: 'Validators with commission, skip rate and APY estimate',
+        auth: true,
+        query: { sort: 'stake | apy | commission | skip_rate', limit: '1-2000 (default 100)', include_delinquent: 'boolean' },
+        example: {
+          response: {
+            success: true,
+            data: {
+              epoch: 700,
+              base_apy: 7.02,
+              validators: [{ vote_account: 'Vote1...', identity: 'Node1...', commission: 5, activated_stake: 20000000, skip_rate: 5, apy_estimate: 6.46 }]
+            }
+          }
+        }
+      },
+      {
+        method: 'GET',
+        path: '/v1/solana/network/stats',
+        description: 'Slot, supply, TPS and current epoch progress',
+        auth: true,
+        example: {
+          response: {
+            success: true,
+            data: { network: 'mainnet-beta', slot: 302616000, epoch: 700, tps: 3200, epoch_info: { epoch: 700, progress_pct: 50, slots_remaining: 216000, estimated_end: '2026-01-02T12:00:00.000Z' } }
+          }
+        }
+      },
+      {
+        method: 'POST',
+        path: '/v1/solana/transactions/simulate',
+        description: 'Simulate a transaction (logs, compute units, account changes)',
+        auth: true,
+        body: {
+          transaction: 'base64 encoded transaction (signature optional)',
+          commitment: 'confirmed',
+          replace_recent_blockhash: true
+        },
+        example: {
+          response: {
+            success: true,
+            data: {
+              success: true,
+              err: null,
+              logs: ['Program 11111111111111111111111111111111 invoke [1]'],
+              units_consumed: 150,
+              account_changes: [{ address: 'FGQ3r...', lamports_before: 1000000000, lamports_after: 999990000, sol_change: -0.00001 }]
+            }
+          }
+        }
+      },
+      {
+        method: 'POST',
+        path: '/v1/solana/priority-fees/estimate',
+        description: 'Priority fee percentiles for writable accounts, with a recommended compute unit price and limit',
+        auth: true,
+        body: {
+          transaction: 'base64 encoded transaction (or accounts: [writable addresses])',
+          speed: 'fast'
+        },
+        example: {
+          response: {
+            success: true,
+            data: {
+              speed: 'fast',
+              samples: 150,
+              percentiles: { p25: 0, p50: 1000, p75: 25000, p95: 250000 },
+              recommended: { compute_unit_price: 25000, compute_unit_limit: 46365, compute_unit_limit_source: 'simulation', priority_fee_lamports: 1160 }
+            }
+          }
+        }
+      },
       {
         method: 'POST',
-        path: '/v1/solana/transaction/send',
-        description: 'Send a signed transaction',
+        path: '/v1/solana/transactions/send',
+        description: 'Send a signed transaction (requires solana:write scope)',
         auth: true,
         body: {
           transaction: 'base64 encoded signed transaction',
-          options: { skipPreflight: false, maxRetries: 3 }
+          skip_preflight: false,
+          max_retries: 3
+        },
+        example: {
+          response: {
+            success: true,
+            data: { signature: '5wHu1...', fee_payer: 'FGQ3r...', network: 'mainnet-beta', status: 'pending' }
+          }
+        }
+      },
+      {
+        method: 'GET',
+        path: '/v1/solana/transactions/:signature/decoded',
+        description: 'Classify a transaction and list net balance changes',
+        auth: true,
+        params: { signature: 'Transaction signature' },
+        example: {
+          response: {
+            success: true,
+            data: {
+              signature: '5wHu1...',
+              type: 'swap',
+              summary: 'Swapped 1 SOL for 150.25 USDC on Jupiter',
+              programs: [{ program_id: 'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4', name: 'Jupiter', category: 'dex' }],
+              balance_changes: [{ account: 'FGQ3r...', sol_change: -1.000005, tokens: [{ mint: 'EPjFW...', symbol: 'USDC', decimals: 6, ui_change: 150.25 }] }]
+            }
+          }
+        }
+      },
+      {
+        method: 'GET',
+        path: '/v1/solana/providers/status',
+        description: 'RPC provider health, latency and slot lag for the network',
+        auth: true,
+        example: {
+          response: {
+            success: true,
+            data: {
+              network: 'mainnet-beta',
+              available: 2,
+              providers: [{ name: 'primary', weight: 1, das: true, available: true, healthy: true, latency_ms: 84, slot_lag: 0 }]
+            }
+          }
+        }
+      },
+      {
+        method: 'POST',
+        path: '/v1/solana/airdrop',
+        description: 'Request test SOL on devnet or testnet (?network=devnet)',
+        auth: true,
+        body: {
+          address: 'Solana wallet address (base58)',
+          amount: 1
         },
         example: {
           response: {
             success: true,
-            data: { signature: '5wHu1...', status: 'sent' }
+            data: { address: 'FGQ3r...', signature: '4kpU2...', lamports: 1000000000, sol: 1, network: 'devnet' }
           }
         }
       },
@@ -196,6 +401,179 @@ const ENDPOINTS = {
           }
         }
       },
+      {
+        method: 'GET',
+        path: '/v1/solana/token/:mint/info',
+        description: 'Supply, authorities, Token-2022 extensions and a rug-risk summary for a mint',
+        auth: true,
+        params: { mint: 'Token mint address' },
+        example: {
+          response: {
+            success: true,
+            data: {
+              mint: 'EPjFW...',
+              is_token_2022: false,
+              supply: '9000000000000000',
+              decimals: 6,
+              mint_authority: null,
+              freeze_authority: '7dGbd...',
+              extensions: [],
+              holders: { sampled: 20, top_1_pct: 4.12, top_10_pct: 21.5 },
+              risk: { level: 'high', score: 30, flags: [{ code: 'FREEZE_AUTHORITY', severity: 'high' }] }
+            }
+          }
+        }
+      },
+      {
+        method: 'GET',
+        path: '/v1/solana/collections/:address/assets',
+        description: 'List the NFTs in a collection (DAS, cursor pagination)',
+        auth: true,
+        params: { address: 'Collection address' },
+        query: { limit: 'Assets per page (1-1000, default 100)', cursor: 'next_cursor from the previous page' },
+        example: {
+          response: {
+            success: true,
+            data: {
+              collection: { address: 'J1S9H...', name: 'Mad Lads', image: 'https://...' },
+              count: 100,
+              assets: [{ id: 'F9Lw3...', name: 'Mad Lad #8420', owner: '4zdNG...', compressed: false }],
+              next_cursor: '2VzKkQ...'
+            }
+          }
+        }
+      },
+      {
+        method: 'GET',
+        path: '/v1/solana/assets/:id',
+        description: 'Get an NFT or compressed NFT with creators, royalties and ownership',
+        auth: true,
+        params: { id: 'Asset id (mint address, or asset id for compressed NFTs)' },
+        example: {
+          response: {
+            success: true,
+            data: {
+              id: 'F9Lw3...',
+              name: 'Mad Lad #8420',
+              creators: [{ address: '5XvhF...', share: 100, verified: true }],
+              royalty: { basis_points: 420, percent: 0.042, primary_sale_happened: true },
+              compressed: false
+            }
+          }
+        }
+      },
+      {
+        method: 'GET',
+        path: '/v1/solana/assets/:id/proof',
+        description: 'Merkle proof for a compressed NFT (DAS getAssetProof)',
+        auth: true,
+        params: { id: 'Compressed asset id' },
+        example: {
+          response: {
+            success: true,
+            data: { id: 'JDuAm...', tree: '2kuTF...', root: '7Gnb...', leaf: '4Pq3...', node_index: 16387, proof: ['EmJX...', '9Fq2...'] }
+          }
+        }
+      },
+      {
+        method: 'POST',
+        path: '/v1/solana/watch',
+        description: 'Watch an account for changes (account.updated webhooks, account_change workflows)',
+        auth: true,
+        body: { address: 'FGQ3rrA6tPdL4EHMvpZY4rQoMKtp58qvyxBSV5M28DWt', label: 'Treasury' },
+        example: {
+          response: {
+            success: true,
+            data: { id: 'clx...', address: 'FGQ3r...', label: 'Treasury', last_seen: null }
+          }
+        }
+      },
+      {
+        method: 'GET',
+        path: '/v1/solana/watch',
+        description: 'List watched accounts with their last seen state',
+        auth: true,
+        example: {
+          response: {
+            success: true,
+            data: {
+              count: 1,
+              limit: 5,
+              accounts: [{ id: 'clx...', address: 'FGQ3r...', last_seen: { slot: 312345678, lamports: 1500000000, balance: 1.5 } }]
+            }
+          }
+        }
+      },
+      {
+        method: 'DELETE',
+        path: '/v1/solana/watch/:id',
+        description: 'Stop watching an account',
+        auth: true,
+        params: { id: 'Watched account ID' },
+        example: { response: null }
+      },
+      {
+        method: 'GET',
+        path: '/v1/solana/labels',
+        description: 'List your private address labels',
+        auth: true,
+        query: { page: 'Page (default 1)', limit: 'Per page (1-100, default 50)', category: 'Filter by category' },
+        example: {
+          response: {
+            success: true,
+            data: [{ address: 'FGQ3r...', name: 'Treasury', category: 'internal' }],
+            pagination: { page: 1, limit: 50, total: 1 }
+          }
+        }
+      },
+      {
+        method: 'GET',
+        path: '/v1/solana/labels/registry',
+        description: 'Public labels for known programs, exchanges, DEX pools and bridges',
+        auth: true,
+        query: { category: 'Filter by category (e.g. exchange, bridge, dex_pool)' },
+        example: {
+          response: {
+            success: true,
+            data: { count: 1, categories: ['bridge', 'exchange'], labels: [{ address: '9WzDX...', name: 'Binance', category: 'exchange' }] }
+          }
+        }
+      },
+      {
+        method: 'GET',
+        path: '/v1/solana/labels/:address',
+        description: 'Label for an address (private label first, then the registry)',
+        auth: true,
+        params: { address: 'Solana address' },
+        example: {
+          response: {
+            success: true,
+            data: { address: '9WzDX...', name: 'Binance', category: 'exchange', source: 'registry' }
+          }
+        }
+      },
+      {
+        method: 'PUT',
+        path: '/v1/solana/labels/:address',
+        description: 'Set a private label for an address',
+        auth: true,
+        params: { address: 'Solana address' },
+        body: { name: 'Treasury', category: 'internal' },
+        example: {
+          response: {
+            success: true,
+            data: { address: 'FGQ3r...', name: 'Treasury', category: 'internal' }
+          }
+        }
+      },
+      {
+        method: 'DELETE',
+        path: '/v1/solana/labels/:address',
+        description: 'Remove a private label',
+        auth: true,
+        params: { address: 'Solana address' },
+        example: { response: null }
+      },
     ]
   },
 